@@ -1,8 +1,180 @@
-const jwt = require('jsonwebtoken');
 const db = require('../config/database');
+const { findActiveApiKey, touchApiKey } = require('../utils/apiKeys');
+const { signAccessToken, verifyAccessToken } = require('../utils/jwt');
+const { findActiveImpersonation, recordImpersonatedRequest } = require('../utils/impersonation');
 
-// Middleware to authenticate JWT token
+// Look up the token's user, their roles and permissions, and whether the session
+// the token belongs to is still active
+const findAuthenticatedUser = (decoded) => {
+  return db.query(
+    `SELECT u.id, u.email, u.first_name, u.last_name, u.is_admin, u.email_verified_at, u.totp_enabled_at, u.disabled_at,
+            u.customer_group_id,
+            ARRAY(SELECT r.name FROM user_roles ur JOIN roles r ON r.id = ur.role_id
+                  WHERE ur.user_id = u.id ORDER BY r.name) AS roles,
+            ARRAY(SELECT DISTINCT p.name FROM user_roles ur
+                  JOIN role_permissions rp ON rp.role_id = ur.role_id
+                  JOIN permissions p ON p.id = rp.permission_id
+                  WHERE ur.user_id = u.id) AS permissions,
+            (s.id IS NOT NULL AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP) AS session_active,
+            COALESCE(s.mfa_verified, false) AS mfa_verified
+     FROM users u
+     LEFT JOIN user_sessions s ON s.id = $2 AND s.user_id = u.id
+     WHERE u.id = $1 AND u.closed_at IS NULL`,
+    [decoded.userId, decoded.sid || null]
+  );
+};
+
+// Disabled accounts keep their data but can't use the API until staff enable them again
+const accountDisabled = (res) => {
+  return res.status(403).json({
+    error: 'Account disabled',
+    message: 'This account has been disabled, please contact support'
+  });
+};
+
+// Record activity on a session. Writes at most once a minute per session.
+const touchSession = async (sessionId, ip) => {
+  await db.query(
+    `UPDATE user_sessions
+     SET last_seen_at = CURRENT_TIMESTAMP, ip_address = COALESCE($2, ip_address)
+     WHERE id = $1 AND (last_seen_at IS NULL OR last_seen_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')`,
+    [sessionId, ip]
+  );
+};
+
+// API keys are only accepted on routes guarded by requirePermission or requireApiKeyScope,
+// so a key can never reach endpoints that act on its owner's own account (profile, cart, ...)
+const routeAcceptsApiKeys = (req) => {
+  return !!req.route && req.route.stack.some(layer => layer.handle.requiredPermissions);
+};
+
+// Authenticate a request made with an X-API-Key header. The key acts as the user
+// who created it, limited to the key's scopes.
+const authenticateApiKey = async (req, res, next, key) => {
+  if (!routeAcceptsApiKeys(req)) {
+    return res.status(403).json({
+      error: 'Access forbidden',
+      message: 'API keys cannot be used for this endpoint'
+    });
+  }
+
+  try {
+    const apiKey = await findActiveApiKey(key);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Invalid, expired or revoked API key'
+      });
+    }
+
+    const result = await findAuthenticatedUser({ userId: apiKey.user_id });
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'User not found'
+      });
+    }
+
+    const { session_active, mfa_verified, disabled_at, ...user } = result.rows[0];
+
+    if (disabled_at) {
+      return accountDisabled(res);
+    }
+
+    // The owner losing a permission also takes it away from their keys
+    user.permissions = user.permissions.filter(permission => apiKey.scopes.includes(permission));
+
+    await touchApiKey(apiKey.id, req.ip);
+
+    req.user = user;
+    req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+    req.sessionId = null;
+    req.mfaVerified = false;
+    next();
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Authentication failed'
+    });
+  }
+};
+
+// The active impersonation an impersonation token belongs to and the customer it acts as
+// (impersonation is null once it has ended, user if the customer is gone)
+const findImpersonatedUser = async (decoded) => {
+  const impersonation = await findActiveImpersonation(decoded.imp);
+
+  if (!impersonation || impersonation.user_id !== decoded.userId) {
+    return { impersonation: null, user: null };
+  }
+
+  const result = await findAuthenticatedUser({ userId: impersonation.user_id });
+
+  return { impersonation, user: result.rows[0] || null };
+};
+
+// Let the request act as the impersonated customer, never with any permissions, and add it to
+// the impersonation's audit trail
+const actAsImpersonatedUser = (req, res, impersonation, { session_active, mfa_verified, disabled_at, ...user }) => {
+  user.permissions = [];
+
+  res.on('finish', () => {
+    recordImpersonatedRequest({
+      impersonationId: impersonation.id,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip
+    }).catch(error => console.error('Record impersonated request error:', error));
+  });
+
+  req.user = user;
+  req.impersonator = {
+    id: impersonation.admin_id,
+    email: impersonation.admin_email,
+    impersonation_id: impersonation.id
+  };
+  req.sessionId = null;
+  req.mfaVerified = false;
+};
+
+// Authenticate a token issued by POST /api/users/:id/impersonate
+const authenticateImpersonation = async (req, res, next, decoded) => {
+  const { impersonation, user } = await findImpersonatedUser(decoded);
+
+  if (!impersonation) {
+    return res.status(401).json({
+      error: 'Access denied',
+      message: 'Impersonation has ended'
+    });
+  }
+
+  if (!user) {
+    return res.status(401).json({
+      error: 'Access denied',
+      message: 'User not found'
+    });
+  }
+
+  if (user.disabled_at) {
+    return accountDisabled(res);
+  }
+
+  actAsImpersonatedUser(req, res, impersonation, user);
+  next();
+};
+
+// Middleware to authenticate a JWT bearer token or an API key
 const authenticateToken = async (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+
+  if (apiKey) {
+    return authenticateApiKey(req, res, next, apiKey);
+  }
+
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -14,13 +186,14 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
+
+    if (decoded.imp) {
+      return await authenticateImpersonation(req, res, next, decoded);
+    }
 
-    // Fetch user from database to ensure they still exist
-    const result = await db.query(
-      'SELECT id, email, first_name, last_name, is_admin FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    // Fetch user and session from database to ensure they still exist and are active
+    const result = await findAuthenticatedUser(decoded);
 
     if (result.rows.length === 0) {
       return res.status(401).json({
@@ -29,7 +202,24 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    req.user = result.rows[0];
+    const { session_active, mfa_verified, disabled_at, ...user } = result.rows[0];
+
+    if (disabled_at) {
+      return accountDisabled(res);
+    }
+
+    if (!session_active) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Session has been revoked'
+      });
+    }
+
+    await touchSession(decoded.sid, req.ip);
+
+    req.user = user;
+    req.sessionId = decoded.sid;
+    req.mfaVerified = mfa_verified;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -52,23 +242,89 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user is admin
-const requireAdmin = (req, res, next) => {
-  if (!req.user.is_admin) {
+// Check whether an authenticated user holds a permission
+const hasPermission = (user, permission) => {
+  return !!user && user.permissions.includes(permission);
+};
+
+// Middleware to require one or more permissions (granted through the user's roles,
+// or the scopes of an API key).
+// With REQUIRE_ADMIN_2FA=true staff must also have logged in with two-factor authentication.
+const requirePermission = (...permissions) => {
+  const check = (req, res, next) => {
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Access forbidden',
+        message: `Missing permission: ${missing.join(', ')}`
+      });
+    }
+
+    if (process.env.REQUIRE_ADMIN_2FA === 'true' && !req.apiKey) {
+      if (!req.user.totp_enabled_at) {
+        return res.status(403).json({
+          error: 'Access forbidden',
+          message: 'Two-factor authentication must be enabled for staff accounts'
+        });
+      }
+
+      if (!req.mfaVerified) {
+        return res.status(403).json({
+          error: 'Access forbidden',
+          message: 'Please log in again using two-factor authentication'
+        });
+      }
+    }
+
+    next();
+  };
+
+  check.requiredPermissions = permissions;
+  return check;
+};
+
+// Middleware for routes shared by customers and staff: requests made with an API key
+// must have the given scopes, everything else is left to the route's own checks
+const requireApiKeyScope = (...scopes) => {
+  const check = (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    const missing = scopes.filter(scope => !hasPermission(req.user, scope));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Access forbidden',
+        message: `Missing permission: ${missing.join(', ')}`
+      });
+    }
+
+    next();
+  };
+
+  check.requiredPermissions = scopes;
+  return check;
+};
+
+// Middleware to require a verified email address (configurable with REQUIRE_EMAIL_VERIFICATION_FOR_ORDERS)
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION_FOR_ORDERS !== 'false' && !req.user.email_verified_at) {
     return res.status(403).json({
       error: 'Access forbidden',
-      message: 'Admin privileges required'
+      message: 'Please verify your email address before continuing'
     });
   }
   next();
 };
 
-// Middleware to check if user owns the resource or is admin
-const requireOwnershipOrAdmin = (userIdField = 'user_id') => {
+// Middleware to check if user owns the resource or holds a permission
+const requireOwnershipOrPermission = (permission, userIdField = 'user_id') => {
   return (req, res, next) => {
     const resourceUserId = req.params[userIdField] || req.body[userIdField];
 
-    if (!req.user.is_admin && req.user.id !== parseInt(resourceUserId)) {
+    if (!hasPermission(req.user, permission) && req.user.id !== parseInt(resourceUserId)) {
       return res.status(403).json({
         error: 'Access forbidden',
         message: 'You can only access your own resources'
@@ -78,6 +334,17 @@ const requireOwnershipOrAdmin = (userIdField = 'user_id') => {
   };
 };
 
+// Middleware to block account changes (password, deletion, ...) while staff impersonate a user
+const forbidImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      error: 'Access forbidden',
+      message: 'This action is not allowed while impersonating a user'
+    });
+  }
+  next();
+};
+
 // Optional authentication middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -89,15 +356,29 @@ const optionalAuth = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
+
+    // Staff impersonating a customer see what the customer sees, such as their group's prices
+    if (decoded.imp) {
+      const { impersonation, user } = await findImpersonatedUser(decoded);
+
+      if (impersonation && user && !user.disabled_at) {
+        actAsImpersonatedUser(req, res, impersonation, user);
+      } else {
+        req.user = null;
+      }
+
+      return next();
+    }
 
-    const result = await db.query(
-      'SELECT id, email, first_name, last_name, is_admin FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    const result = await findAuthenticatedUser(decoded);
 
-    if (result.rows.length > 0) {
-      req.user = result.rows[0];
+    if (result.rows.length > 0 && result.rows[0].session_active && !result.rows[0].disabled_at) {
+      const { session_active, mfa_verified, disabled_at, ...user } = result.rows[0];
+      await touchSession(decoded.sid, req.ip);
+      req.user = user;
+      req.sessionId = decoded.sid;
+      req.mfaVerified = mfa_verified;
     } else {
       req.user = null;
     }
@@ -109,19 +390,22 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+// Generate a short-lived JWT access token tied to a session
+const generateToken = (userId, sessionId) => {
+  return signAccessToken(
+    { userId, sid: sessionId },
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
 module.exports = {
   authenticateToken,
-  requireAdmin,
-  requireOwnershipOrAdmin,
+  requirePermission,
+  requireApiKeyScope,
+  requireVerifiedEmail,
+  requireOwnershipOrPermission,
+  forbidImpersonation,
+  hasPermission,
   optionalAuth,
   generateToken
 };
@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { checkWebhookHost } = require('../utils/webhooks');
 
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -13,32 +14,65 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Account fields checked on registration and on the admin CSV import
+const registrationEmail = () => body('email')
+  .isEmail()
+  .withMessage('Please provide a valid email address')
+  .normalizeEmail();
+
+const registrationName = (field, label) => body(field)
+  .trim()
+  .isLength({ min: 2, max: 50 })
+  .withMessage(`${label} must be between 2 and 50 characters`)
+  .isAlpha('en-US', { ignore: ' -' })
+  .withMessage(`${label} can only contain letters, spaces, and hyphens`);
+
 // User registration validation
 const validateUserRegistration = [
-  body('email')
-    .isEmail()
-    .withMessage('Please provide a valid email address')
-    .normalizeEmail(),
+  registrationEmail(),
   body('password')
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long')
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
     .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
-  body('first_name')
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('First name must be between 2 and 50 characters')
-    .isAlpha('en-US', { ignore: ' -' })
-    .withMessage('First name can only contain letters, spaces, and hyphens'),
-  body('last_name')
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('Last name must be between 2 and 50 characters')
-    .isAlpha('en-US', { ignore: ' -' })
-    .withMessage('Last name can only contain letters, spaces, and hyphens'),
+  registrationName('first_name', 'First name'),
+  registrationName('last_name', 'Last name'),
   handleValidationErrors
 ];
 
+// Check one row of a user import against the registration rules. Imported users choose their
+// password when they accept the invite, so there is none to check. Returns the sanitized row
+// and one error message per invalid field.
+const validateImportedUser = async (row) => {
+  const req = { body: { ...row } };
+
+  for (const chain of [registrationEmail(), registrationName('first_name', 'First name'), registrationName('last_name', 'Last name')]) {
+    await chain.run(req);
+  }
+
+  return {
+    user: req.body,
+    errors: validationResult(req).array({ onlyFirstError: true }).map(error => error.msg)
+  };
+};
+
+// User import options
+const validateUserImport = [
+  query('dry_run')
+    .optional()
+    .isBoolean()
+    .withMessage('dry_run must be true or false')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+// Logging in to a closed account reactivates it only when asked to
+const reactivateFlag = () => body('reactivate')
+  .optional()
+  .isBoolean()
+  .withMessage('Reactivate must be a boolean')
+  .toBoolean();
+
 // User login validation
 const validateUserLogin = [
   body('email')
@@ -48,6 +82,158 @@ const validateUserLogin = [
   body('password')
     .notEmpty()
     .withMessage('Password is required'),
+  reactivateFlag(),
+  handleValidationErrors
+];
+
+// Refresh token validation
+const validateRefreshToken = [
+  body('refresh_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  handleValidationErrors
+];
+
+// Forgot password validation
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  handleValidationErrors
+];
+
+// Magic link request validation
+const validateMagicLinkRequest = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  handleValidationErrors
+];
+
+// Magic link login validation
+const validateMagicLinkLogin = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Login token is required'),
+  reactivateFlag(),
+  handleValidationErrors
+];
+
+// Password reset validation
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  handleValidationErrors
+];
+
+// Invite acceptance validation (imported users set their first password)
+const validateInviteAcceptance = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invite token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  handleValidationErrors
+];
+
+// Email verification validation
+const validateEmailVerification = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  handleValidationErrors
+];
+
+// Email change confirmation validation
+const validateEmailChangeConfirmation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Confirmation token is required'),
+  handleValidationErrors
+];
+
+// OIDC login token validation (issued by the provider callback)
+const validateOidcExchange = [
+  body('login_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Login token is required'),
+  reactivateFlag(),
+  handleValidationErrors
+];
+
+// Two-factor code validation (authenticator app code)
+const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be a 6-digit number'),
+  handleValidationErrors
+];
+
+// Second login step validation (authenticator code or recovery code)
+const validateTwoFactorLogin = [
+  body('challenge_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be a 6-digit number'),
+  body('recovery_code')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  body()
+    .custom((value) => {
+      if (!value.code && !value.recovery_code) {
+        throw new Error('Either code or recovery_code is required');
+      }
+      return true;
+    }),
+  handleValidationErrors
+];
+
+// Disabling two-factor validation
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be a 6-digit number'),
+  body('recovery_code')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  body()
+    .custom((value) => {
+      if (!value.code && !value.recovery_code) {
+        throw new Error('Either code or recovery_code is required');
+      }
+      return true;
+    }),
   handleValidationErrors
 ];
 
@@ -78,6 +264,60 @@ const validateUserUpdate = [
     .withMessage('Password must be at least 6 characters long')
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
     .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  body('current_password')
+    .optional()
+    .isString()
+    .withMessage('Current password must be a string'),
+  handleValidationErrors
+];
+
+// Staff user search filters
+const booleanFilter = (name) => query(name)
+  .optional()
+  .isBoolean()
+  .withMessage(`${name} must be true or false`)
+  .toBoolean();
+
+const validateUserFilters = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be between 1 and 100 characters'),
+  booleanFilter('is_admin'),
+  booleanFilter('verified'),
+  booleanFilter('has_orders'),
+  booleanFilter('disabled'),
+  query('customer_group_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('customer_group_id must be a positive integer'),
+  query('created_from')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('created_from must be an ISO 8601 date'),
+  query('created_to')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('created_to must be an ISO 8601 date'),
+  query('sort')
+    .optional()
+    .isIn(['created_at', 'email', 'first_name', 'last_name'])
+    .withMessage('Sort must be one of: created_at, email, first_name, last_name'),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc'),
+  handleValidationErrors
+];
+
+// Disabling an account (the reason is shown to staff)
+const validateDisableUser = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Reason must be between 1 and 255 characters'),
   handleValidationErrors
 ];
 
@@ -104,11 +344,14 @@ const validateProduct = [
   body('stock_quantity')
     .isInt({ min: 0 })
     .withMessage('Stock quantity must be a non-negative integer'),
-  body('category')
+  body('category_ids')
     .optional()
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Category must be between 2 and 100 characters'),
+    .isArray({ max: 20 })
+    .withMessage('category_ids must be an array of at most 20 category IDs'),
+  body('category_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('Category IDs must be positive integers')
+    .toInt(),
   body('image_url')
     .optional()
     .isURL()
@@ -146,11 +389,14 @@ const validateProductUpdate = [
     .optional()
     .isInt({ min: 0 })
     .withMessage('Stock quantity must be a non-negative integer'),
-  body('category')
+  body('category_ids')
     .optional()
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Category must be between 2 and 100 characters'),
+    .isArray({ max: 20 })
+    .withMessage('category_ids must be an array of at most 20 category IDs'),
+  body('category_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('Category IDs must be positive integers')
+    .toInt(),
   body('image_url')
     .optional()
     .isURL()
@@ -162,11 +408,107 @@ const validateProductUpdate = [
   handleValidationErrors
 ];
 
+// Product options: each a name and the values it comes in, e.g. { name: 'Size', values: ['9', '10'] }
+const validateProductOptions = [
+  body('options')
+    .isArray({ max: 10 })
+    .withMessage('Options must be an array of at most 10 options'),
+  body('options.*.name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Option names must be between 1 and 50 characters'),
+  body('options.*.values')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Each option must have between 1 and 100 values'),
+  body('options.*.values.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Option values must be between 1 and 100 characters'),
+  body('options')
+    .custom((options) => {
+      const names = options.map(option => String(option.name).toLowerCase());
+      if (new Set(names).size !== names.length) {
+        throw new Error('Option names must be unique');
+      }
+      if (options.some(option => new Set(option.values).size !== option.values.length)) {
+        throw new Error('The values of an option must be unique');
+      }
+      return true;
+    }),
+  handleValidationErrors
+];
+
+// Fields of a product variant; on update every field is optional
+const variantFields = (partial) => {
+  const optionalOnUpdate = (chain) => (partial ? chain.optional() : chain);
+
+  return [
+    optionalOnUpdate(body('sku'))
+      .trim()
+      .matches(/^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/)
+      .withMessage('SKU must be 1-64 letters, numbers, dots, hyphens or underscores'),
+    body('options')
+      .optional()
+      .isObject()
+      .withMessage('Options must be an object of option names and values')
+      .custom(options => Object.values(options).every(value => typeof value === 'string'))
+      .withMessage('Option values must be strings'),
+    body('price')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0.01 })
+      .withMessage('Price must be a positive number')
+      .custom((value) => {
+        if (!/^\d+(\.\d{1,2})?$/.test(value.toString())) {
+          throw new Error('Price must have at most 2 decimal places');
+        }
+        return true;
+      }),
+    body('stock_quantity')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Stock quantity must be a non-negative integer'),
+    body('image_url')
+      .optional({ values: 'null' })
+      .isURL()
+      .withMessage('Image URL must be a valid URL'),
+    body('is_active')
+      .optional()
+      .isBoolean()
+      .withMessage('is_active must be a boolean value')
+  ];
+};
+
+const validateVariant = [
+  ...variantFields(false),
+  handleValidationErrors
+];
+
+const validateVariantUpdate = [
+  param('variantId')
+    .isInt({ min: 1 })
+    .withMessage('Variant ID must be a positive integer'),
+  ...variantFields(true),
+  handleValidationErrors
+];
+
+const validateVariantId = [
+  param('variantId')
+    .isInt({ min: 1 })
+    .withMessage('Variant ID must be a positive integer'),
+  handleValidationErrors
+];
+
 // Cart item validation
 const validateCartItem = [
   body('product_id')
     .isInt({ min: 1 })
     .withMessage('Product ID must be a positive integer'),
+  body('variant_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Variant ID must be a positive integer'),
   body('quantity')
     .isInt({ min: 1 })
     .withMessage('Quantity must be a positive integer'),
@@ -182,20 +524,141 @@ const validateCartItemUpdate = [
 ];
 
 // Order validation
-const validateOrder = [
-  body('shipping_address')
-    .trim()
-    .isLength({ min: 10, max: 500 })
-    .withMessage('Shipping address must be between 10 and 500 characters'),
-  body('billing_address')
+// Rules for the fields of a structured address. Fields are nested under prefix (e.g. 'shipping_address.')
+// and, with when, only checked if that body field is an object.
+const addressFields = ({ prefix = '', partial = false, when = null } = {}) => {
+  const field = (name, required) => {
+    let chain = body(`${prefix}${name}`);
+    if (when) {
+      chain = chain.if(body(when).isObject());
+    }
+    if (!required) {
+      return chain.optional({ values: 'null' });
+    }
+    return partial ? chain.optional() : chain;
+  };
+
+  return [
+    field('label', false)
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Label must be at most 50 characters'),
+    field('full_name', true)
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage('Full name must be between 2 and 200 characters'),
+    field('line1', true)
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage('Address line 1 must be between 2 and 200 characters'),
+    field('line2', false)
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Address line 2 must be at most 200 characters'),
+    field('city', true)
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('City must be between 1 and 100 characters'),
+    field('region', false)
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Region must be at most 100 characters'),
+    field('postal_code', false)
+      .trim()
+      .matches(/^[A-Za-z0-9][A-Za-z0-9 -]{0,19}$/)
+      .withMessage('Postal code must be at most 20 letters, numbers, spaces or hyphens'),
+    field('country', true)
+      .trim()
+      .toUpperCase()
+      .isISO31661Alpha2()
+      .withMessage('Country must be a two-letter ISO 3166-1 country code'),
+    field('phone', false)
+      .trim()
+      .matches(/^\+?[0-9 ()-]{5,30}$/)
+      .withMessage('Phone must be 5-30 digits, spaces, parentheses or hyphens')
+  ];
+};
+
+// Address book validation
+const validateAddress = [
+  ...addressFields(),
+  body(['is_default_shipping', 'is_default_billing'])
+    .optional()
+    .isBoolean()
+    .withMessage('Default flags must be booleans')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+const validateAddressUpdate = [
+  ...addressFields({ partial: true }),
+  body(['is_default_shipping', 'is_default_billing'])
     .optional()
+    .isBoolean()
+    .withMessage('Default flags must be booleans')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+// Notification inbox and preferences validation
+const validateNotificationFilters = [
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('unread must be true or false')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+const validateNotificationPreferences = [
+  body(['in_app', 'email', 'webhook'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Channel preferences must be true or false'),
+  body('webhook_url')
+    .optional({ values: 'null' })
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('webhook_url must be an https URL')
+    .isLength({ max: 500 })
+    .withMessage('webhook_url must be at most 500 characters')
+    .bail()
+    .custom(async (value) => {
+      const problem = await checkWebhookHost(value);
+      if (problem) {
+        throw new Error(problem);
+      }
+    }),
+  handleValidationErrors
+];
+
+// An order address is a saved address ID, a structured address or (for older clients) free text
+const orderAddress = (name, label) => [
+  body(`${name}_id`)
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage(`${label} address ID must be a positive integer`)
+    .toInt()
+    .custom((value, { req }) => req.body[name] === undefined)
+    .withMessage(`Provide either ${name} or ${name}_id, not both`),
+  body(name)
+    .optional()
+    .custom(value => typeof value === 'string' || (value !== null && typeof value === 'object' && !Array.isArray(value)))
+    .withMessage(`${label} address must be an address object or a string`),
+  body(name)
+    .if(body(name).isString())
     .trim()
     .isLength({ min: 10, max: 500 })
-    .withMessage('Billing address must be between 10 and 500 characters'),
+    .withMessage(`${label} address must be between 10 and 500 characters`),
+  ...addressFields({ prefix: `${name}.`, when: name })
+];
+
+// Order validation
+const validateOrder = [
+  ...orderAddress('shipping_address', 'Shipping'),
+  ...orderAddress('billing_address', 'Billing'),
   handleValidationErrors
 ];
 
-// Order status update validation
 const validateOrderStatusUpdate = [
   body('status')
     .isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled'])
@@ -203,6 +666,204 @@ const validateOrderStatusUpdate = [
   handleValidationErrors
 ];
 
+// Role validation
+const validateRole = [
+  body('name')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]{1,49}$/)
+    .withMessage('Name must be 2-50 lowercase letters, numbers or underscores, starting with a letter'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters'),
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array of permission names'),
+  body('permissions.*')
+    .isString()
+    .withMessage('Permission names must be strings'),
+  handleValidationErrors
+];
+
+// Role update validation
+const validateRoleUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .matches(/^[a-z][a-z0-9_]{1,49}$/)
+    .withMessage('Name must be 2-50 lowercase letters, numbers or underscores, starting with a letter'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array of permission names'),
+  body('permissions.*')
+    .isString()
+    .withMessage('Permission names must be strings'),
+  handleValidationErrors
+];
+
+// User role assignment validation
+const validateUserRoles = [
+  body('role_ids')
+    .isArray()
+    .withMessage('role_ids must be an array of role IDs'),
+  body('role_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('Role IDs must be positive integers')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Customer group validation
+const groupDiscount = () => body('discount_percent')
+  .isFloat({ min: 0, max: 99.99 })
+  .withMessage('Discount must be a percentage from 0 to 99.99')
+  .toFloat();
+
+const validateCustomerGroup = [
+  body('name')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]{1,49}$/)
+    .withMessage('Name must be 2-50 lowercase letters, numbers or underscores, starting with a letter'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters'),
+  groupDiscount().optional(),
+  handleValidationErrors
+];
+
+const validateCustomerGroupUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .matches(/^[a-z][a-z0-9_]{1,49}$/)
+    .withMessage('Name must be 2-50 lowercase letters, numbers or underscores, starting with a letter'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters'),
+  groupDiscount().optional(),
+  handleValidationErrors
+];
+
+// Categories; parent_id null puts a category at the top level
+const categoryFields = (partial) => {
+  const optionalOnUpdate = (chain) => (partial ? chain.optional() : chain);
+
+  return [
+    optionalOnUpdate(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('slug')
+      .optional()
+      .trim()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage('Slug must be lowercase letters and numbers separated by single hyphens')
+      .isLength({ max: 120 })
+      .withMessage('Slug must be at most 120 characters'),
+    body('description')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be at most 1000 characters'),
+    body('parent_id')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('parent_id must be a category ID or null')
+      .toInt(),
+    body('sort_order')
+      .optional()
+      .isInt({ min: -1000000, max: 1000000 })
+      .withMessage('sort_order must be an integer')
+      .toInt()
+  ];
+};
+
+const validateCategory = [
+  ...categoryFields(false),
+  handleValidationErrors
+];
+
+const validateCategoryUpdate = [
+  ...categoryFields(true),
+  handleValidationErrors
+];
+
+// A category in the URL, by ID or slug
+const validateCategoryRef = [
+  param('idOrSlug')
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Category must be a category ID or slug'),
+  handleValidationErrors
+];
+
+// A customer group's price for one product
+const validateGroupPrice = [
+  param('productId')
+    .isInt({ min: 1 })
+    .withMessage('Product ID must be a positive integer'),
+  body('price')
+    .isFloat({ min: 0.01 })
+    .withMessage('Price must be a positive number')
+    .custom((value) => {
+      if (!/^\d+(\.\d{1,2})?$/.test(value.toString())) {
+        throw new Error('Price must have at most 2 decimal places');
+      }
+      return true;
+    }),
+  handleValidationErrors
+];
+
+const validateProductId = [
+  param('productId')
+    .isInt({ min: 1 })
+    .withMessage('Product ID must be a positive integer'),
+  handleValidationErrors
+];
+
+// Customer group membership; null takes the user out of their group
+const validateUserCustomerGroup = [
+  body('customer_group_id')
+    .custom(value => value === null || (Number.isInteger(value) && value > 0))
+    .withMessage('customer_group_id must be a group ID or null'),
+  handleValidationErrors
+];
+
+// API key validation
+const validateApiKey = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array of permission names'),
+  body('scopes.*')
+    .isString()
+    .withMessage('Scopes must be permission names'),
+  body('expires_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('expires_at must be an ISO 8601 date')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('expires_at must be in the future');
+      }
+      return true;
+    }),
+  handleValidationErrors
+];
+
 // ID parameter validation
 const validateId = [
   param('id')
@@ -211,6 +872,52 @@ const validateId = [
   handleValidationErrors
 ];
 
+// Impersonation validation (the reason is kept in the audit trail)
+const validateImpersonation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters'),
+  handleValidationErrors
+];
+
+// Impersonation audit trail filters
+const validateImpersonationFilters = [
+  query('admin_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Admin ID must be a positive integer'),
+  query('user_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+  handleValidationErrors
+];
+
+// Session ID parameter validation (nested under a user ID)
+const validateSessionId = [
+  param('sessionId')
+    .isInt({ min: 1 })
+    .withMessage('Session ID must be a positive integer'),
+  handleValidationErrors
+];
+
+// Data export validation
+const validateExportId = [
+  param('exportId')
+    .isInt({ min: 1 })
+    .withMessage('Export ID must be a positive integer'),
+  handleValidationErrors
+];
+
+const validateExportFormat = [
+  query('format')
+    .optional()
+    .isIn(['json', 'zip'])
+    .withMessage('Format must be json or zip'),
+  handleValidationErrors
+];
+
 // Pagination validation
 const validatePagination = [
   query('page')
@@ -221,9 +928,19 @@ const validatePagination = [
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100'),
+  query('cursor')
+    .optional()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Cursor must be the next_cursor of a previous page'),
   handleValidationErrors
 ];
 
+// Sort order of lists sorted by sort; the sort's own default order applies without one
+const sortOrder = () => query('order')
+  .optional()
+  .isIn(['asc', 'desc'])
+  .withMessage('Order must be asc or desc');
+
 // Search validation
 const validateSearch = [
   query('q')
@@ -234,8 +951,8 @@ const validateSearch = [
   query('category')
     .optional()
     .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Category must be between 2 and 100 characters'),
+    .isLength({ min: 1, max: 120 })
+    .withMessage('Category must be a category ID or slug'),
   query('min_price')
     .optional()
     .isFloat({ min: 0 })
@@ -244,21 +961,85 @@ const validateSearch = [
     .optional()
     .isFloat({ min: 0 })
     .withMessage('Maximum price must be a non-negative number'),
+  query('facets')
+    .optional()
+    .isBoolean()
+    .withMessage('facets must be true or false')
+    .toBoolean(),
+  query('sort')
+    .optional()
+    .isIn(['relevance', 'newest', 'price', 'name', 'popularity', 'stock'])
+    .withMessage('Sort must be one of: relevance, newest, price, name, popularity, stock')
+    .custom((sort, { req }) => sort !== 'relevance' || Boolean(req.query.q))
+    .withMessage('Sorting by relevance needs a search query'),
+  sortOrder(),
+  handleValidationErrors
+];
+
+// Order list sorting
+const validateOrderSort = [
+  query('sort')
+    .optional()
+    .isIn(['newest', 'total', 'status'])
+    .withMessage('Sort must be one of: newest, total, status'),
+  sortOrder(),
   handleValidationErrors
 ];
 
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateMagicLinkRequest,
+  validateMagicLinkLogin,
+  validatePasswordReset,
+  validateInviteAcceptance,
+  validateEmailVerification,
+  validateEmailChangeConfirmation,
+  validateOidcExchange,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateRole,
+  validateRoleUpdate,
+  validateUserRoles,
+  validateCustomerGroup,
+  validateCustomerGroupUpdate,
+  validateGroupPrice,
+  validateProductId,
+  validateUserCustomerGroup,
+  validateApiKey,
+  validateImpersonation,
+  validateImpersonationFilters,
   validateUserUpdate,
+  validateUserFilters,
+  validateDisableUser,
+  validateUserImport,
+  validateImportedUser,
   validateProduct,
   validateProductUpdate,
+  validateProductOptions,
+  validateVariant,
+  validateVariantUpdate,
+  validateVariantId,
   validateCartItem,
   validateCartItemUpdate,
+  validateAddress,
+  validateAddressUpdate,
+  validateNotificationFilters,
+  validateNotificationPreferences,
   validateOrder,
   validateOrderStatusUpdate,
   validateId,
+  validateSessionId,
+  validateExportId,
+  validateExportFormat,
   validatePagination,
+  validateOrderSort,
+  validateCategory,
+  validateCategoryUpdate,
+  validateCategoryRef,
   validateSearch,
   handleValidationErrors
 };
@@ -0,0 +1,377 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { validateId, validateAddress, validateAddressUpdate } = require('../middleware/validation');
+const {
+  listAddresses,
+  findAddress,
+  createAddress,
+  updateAddress,
+  deleteAddress
+} = require('../utils/addresses');
+
+const router = express.Router();
+
+const addressNotFound = (res) => {
+  return res.status(404).json({
+    error: 'Address not found',
+    message: 'Address with the specified ID not found'
+  });
+};
+
+// Only the address fields from the body; undefined means "leave unchanged"
+const addressData = (body) => ({
+  label: body.label,
+  full_name: body.full_name,
+  line1: body.line1,
+  line2: body.line2,
+  city: body.city,
+  region: body.region,
+  postal_code: body.postal_code,
+  country: body.country,
+  phone: body.phone,
+  is_default_shipping: body.is_default_shipping,
+  is_default_billing: body.is_default_billing
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AddressInput:
+ *       type: object
+ *       required:
+ *         - full_name
+ *         - line1
+ *         - city
+ *         - country
+ *       properties:
+ *         label:
+ *           type: string
+ *           example: Home
+ *         full_name:
+ *           type: string
+ *           example: John Doe
+ *         line1:
+ *           type: string
+ *           example: 123 Main St
+ *         line2:
+ *           type: string
+ *           example: Apt 4B
+ *         city:
+ *           type: string
+ *           example: Springfield
+ *         region:
+ *           type: string
+ *           description: State, province or county
+ *           example: IL
+ *         postal_code:
+ *           type: string
+ *           example: '62701'
+ *         country:
+ *           type: string
+ *           description: ISO 3166-1 alpha-2 country code
+ *           example: US
+ *         phone:
+ *           type: string
+ *           example: '+1 555 123 4567'
+ *     Address:
+ *       allOf:
+ *         - $ref: '#/components/schemas/AddressInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             is_default_shipping:
+ *               type: boolean
+ *             is_default_billing:
+ *               type: boolean
+ *             created_at:
+ *               type: string
+ *               format: date-time
+ *             updated_at:
+ *               type: string
+ *               format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Addresses
+ *   description: The current user's saved address book
+ */
+
+/**
+ * @swagger
+ * /api/users/profile/addresses:
+ *   get:
+ *     summary: Get the current user's saved addresses
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved addresses, defaults first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 addresses:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Address'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const addresses = await listAddresses(req.user.id);
+
+    res.json({
+      addresses
+    });
+
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve addresses'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/profile/addresses:
+ *   post:
+ *     summary: Save a new address
+ *     description: |
+ *       The first saved address becomes the default for both shipping and billing. Setting a
+ *       default flag moves it from the user's other addresses.
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AddressInput'
+ *               - type: object
+ *                 properties:
+ *                   is_default_shipping:
+ *                     type: boolean
+ *                   is_default_billing:
+ *                     type: boolean
+ *     responses:
+ *       201:
+ *         description: Address saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 address:
+ *                   $ref: '#/components/schemas/Address'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', authenticateToken, validateAddress, async (req, res) => {
+  try {
+    const address = await createAddress(req.user.id, addressData(req.body));
+
+    res.status(201).json({
+      message: 'Address saved successfully',
+      address
+    });
+
+  } catch (error) {
+    console.error('Create address error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to save address'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/profile/addresses/{id}:
+ *   get:
+ *     summary: Get one of the current user's addresses
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Address details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 address:
+ *                   $ref: '#/components/schemas/Address'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Address not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', authenticateToken, validateId, async (req, res) => {
+  try {
+    const address = await findAddress(req.user.id, req.params.id);
+
+    if (!address) {
+      return addressNotFound(res);
+    }
+
+    res.json({
+      address
+    });
+
+  } catch (error) {
+    console.error('Get address error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve address'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/profile/addresses/{id}:
+ *   put:
+ *     summary: Update one of the current user's addresses
+ *     description: |
+ *       Only the fields sent are changed; send null to clear an optional field. Orders already
+ *       placed keep the address they were placed with.
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AddressInput'
+ *               - type: object
+ *                 properties:
+ *                   is_default_shipping:
+ *                     type: boolean
+ *                   is_default_billing:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: Address updated
+ *       400:
+ *         description: Validation error or no fields to update
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Address not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', authenticateToken, validateId, validateAddressUpdate, async (req, res) => {
+  try {
+    const data = addressData(req.body);
+
+    if (Object.values(data).every(value => value === undefined)) {
+      return res.status(400).json({
+        error: 'Update failed',
+        message: 'No fields to update'
+      });
+    }
+
+    const address = await updateAddress(req.user.id, req.params.id, data);
+
+    if (!address) {
+      return addressNotFound(res);
+    }
+
+    res.json({
+      message: 'Address updated successfully',
+      address
+    });
+
+  } catch (error) {
+    console.error('Update address error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update address'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/profile/addresses/{id}:
+ *   delete:
+ *     summary: Delete one of the current user's addresses
+ *     description: Orders already placed keep their copy of the address.
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Address deleted
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Address not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', authenticateToken, validateId, async (req, res) => {
+  try {
+    const deleted = await deleteAddress(req.user.id, req.params.id);
+
+    if (!deleted) {
+      return addressNotFound(res);
+    }
+
+    res.json({
+      message: 'Address deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete address error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete address'
+    });
+  }
+});
+
+module.exports = router;
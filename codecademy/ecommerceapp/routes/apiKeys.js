@@ -0,0 +1,346 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateApiKey, validateId, validatePagination } = require('../middleware/validation');
+const { createApiKey, findApiKey, listApiKeys, revokeApiKey } = require('../utils/apiKeys');
+const { resolvePermissionIds, permissionsNotHeld } = require('../utils/roles');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *           description: The staff user the key acts as
+ *         owner_email:
+ *           type: string
+ *         name:
+ *           type: string
+ *         key_prefix:
+ *           type: string
+ *           description: First characters of the key, to tell keys apart
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_used_ip:
+ *           type: string
+ *           nullable: true
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Keys for server-to-server integrations (all endpoints require api_keys:manage)
+ */
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: Get API keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: include_revoked
+ *         schema:
+ *           type: boolean
+ *         description: Also list revoked keys
+ *     responses:
+ *       200:
+ *         description: List of API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 api_keys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, requirePermission('api_keys:manage'), validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const { apiKeys, total } = await listApiKeys({
+      includeRevoked: req.query.include_revoked === 'true',
+      limit,
+      offset
+    });
+
+    res.json({
+      api_keys: apiKeys,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve API keys'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: |
+ *       The key acts as the user who creates it, limited to its scopes. Scopes are permission
+ *       names and can only include permissions the creator holds. The key is only returned once.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *           example:
+ *             name: Warehouse scanner
+ *             scopes: [orders:read, orders:update_status]
+ *             expires_at: 2025-12-31T23:59:59Z
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: API key created successfully
+ *               key: ek_3q2-7wYxk1m0c9QnZr8v4aLd0pX5uBe6TgHs1nKw2yM
+ *               api_key:
+ *                 id: 1
+ *                 name: Warehouse scanner
+ *                 key_prefix: ek_3q2-7wYx
+ *                 scopes: [orders:read, orders:update_status]
+ *       400:
+ *         description: Validation error or unknown scope
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission, or a scope the creator doesn't hold
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', authenticateToken, requirePermission('api_keys:manage'), validateApiKey, async (req, res) => {
+  try {
+    const { name, expires_at } = req.body;
+    const scopes = [...new Set(req.body.scopes)];
+
+    if (!(await resolvePermissionIds(scopes))) {
+      return res.status(400).json({
+        error: 'Invalid scopes',
+        message: 'One or more scopes are not known permissions'
+      });
+    }
+
+    const missing = permissionsNotHeld(req.user, scopes);
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Access forbidden',
+        message: `You can't grant permissions you don't have: ${missing.join(', ')}`
+      });
+    }
+
+    const { key, apiKey } = await createApiKey({
+      userId: req.user.id,
+      name,
+      scopes,
+      expiresAt: expires_at || null
+    });
+
+    res.status(201).json({
+      message: 'API key created successfully',
+      key,
+      api_key: apiKey
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create API key'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   get:
+ *     summary: Get API key by ID
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 api_key:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: API key not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', authenticateToken, requirePermission('api_keys:manage'), validateId, async (req, res) => {
+  try {
+    const apiKey = await findApiKey(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: 'API key with the specified ID not found'
+      });
+    }
+
+    res.json({
+      api_key: apiKey
+    });
+
+  } catch (error) {
+    console.error('Get API key error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve API key'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stops working immediately. Revoked keys stay listed with include_revoked=true.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: API key not found or already revoked
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', authenticateToken, requirePermission('api_keys:manage'), validateId, async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: 'API key not found or already revoked'
+      });
+    }
+
+    res.json({
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,72 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { generateToken } = require('../middleware/auth');
-const { validateUserRegistration, validateUserLogin } = require('../middleware/validation');
+const { authenticateToken, forbidImpersonation } = require('../middleware/auth');
+const {
+  validateUserRegistration,
+  validateUserLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateMagicLinkRequest,
+  validateMagicLinkLogin,
+  validatePasswordReset,
+  validateInviteAcceptance,
+  validateEmailVerification,
+  validateEmailChangeConfirmation,
+  validateTwoFactorLogin
+} = require('../middleware/validation');
+const { issueAuthTokens, rotateRefreshToken, revokeSession, revokeUserSessions } = require('../utils/sessions');
+const { createUserToken, findUserToken, consumeUserToken, revokeUserTokens } = require('../utils/userTokens');
+const { sendPasswordResetEmail, sendVerificationEmail, sendMagicLinkEmail } = require('../utils/emails');
+const { verifySecondFactor } = require('../utils/twoFactor');
+const {
+  buildLoginResponse,
+  buildAccountClosedResponse,
+  buildAccountDisabledResponse,
+  completeLogin
+} = require('../utils/login');
+const { reactivateAccount } = require('../utils/accountClosure');
+const { endImpersonation } = require('../utils/impersonation');
+const {
+  recordLoginAttempt,
+  checkIpThrottle,
+  checkAccountThrottle,
+  registerFailedLogin,
+  resetFailedLogins
+} = require('../utils/loginThrottle');
 const db = require('../config/database');
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_EXPIRES_IN_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_EXPIRES_IN_HOURS) || 24;
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TOKEN_EXPIRES_IN_MINUTES) || 15;
+
+// Respond to a login attempt that was locked out or throttled
+const sendThrottled = (res, throttle) => {
+  if (throttle.reason === 'account_locked') {
+    const retryAfter = Math.max(Math.ceil((new Date(throttle.lockedUntil).getTime() - Date.now()) / 1000), 1);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(423).json({
+      error: 'Account locked',
+      message: 'Too many failed login attempts. Please try again later or reset your password',
+      locked_until: throttle.lockedUntil
+    });
+  }
+
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    error: 'Too many login attempts',
+    message: `Please wait ${throttle.retryAfter} seconds before trying again`,
+    retry_after: throttle.retryAfter
+  });
+};
+
+// Create an email verification token and send it to the user
+const sendEmailVerification = async (user) => {
+  const token = await createUserToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60);
+  await sendVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS);
+};
+
 /**
  * @swagger
  * components:
@@ -41,7 +102,7 @@ const router = express.Router();
  *           description: The user's last name
  *         is_admin:
  *           type: boolean
- *           description: Whether the user is an admin
+ *           description: Whether the user has the superuser role
  *         created_at:
  *           type: string
  *           format: date-time
@@ -89,6 +150,9 @@ const router = express.Router();
  *         password:
  *           type: string
  *           description: The user's password
+ *         reactivate:
+ *           type: boolean
+ *           description: Reactivate the account if it has been closed
  *     AuthResponse:
  *       type: object
  *       properties:
@@ -97,7 +161,13 @@ const router = express.Router();
  *           description: Success message
  *         token:
  *           type: string
- *           description: JWT token for authentication
+ *           description: Short-lived JWT access token for authentication
+ *         refresh_token:
+ *           type: string
+ *           description: Single-use token for obtaining a new access token
+ *         expires_in:
+ *           type: integer
+ *           description: Access token lifetime in seconds
  *         user:
  *           type: object
  *           properties:
@@ -111,6 +181,8 @@ const router = express.Router();
  *               type: string
  *             is_admin:
  *               type: boolean
+ *             email_verified:
+ *               type: boolean
  */
 
 /**
@@ -140,12 +212,15 @@ const router = express.Router();
  *             example:
  *               message: User registered successfully
  *               token: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *               refresh_token: 3q2-7wYxk1m0c9QnZr8v4a...
+ *               expires_in: 900
  *               user:
  *                 id: 1
  *                 email: john.doe@example.com
  *                 first_name: John
  *                 last_name: Doe
  *                 is_admin: false
+ *                 email_verified: false
  *       400:
  *         description: Validation error or user already exists
  *         content:
@@ -189,7 +264,7 @@ router.post('/register', validateUserRegistration, async (req, res) => {
     const result = await db.query(
       `INSERT INTO users (email, password_hash, first_name, last_name)
        VALUES ($1, $2, $3, $4)
-       RETURNING id, email, first_name, last_name, is_admin, created_at`,
+       RETURNING id, email, first_name, last_name, is_admin, email_verified_at, created_at`,
       [email, password_hash, first_name, last_name]
     );
 
@@ -201,18 +276,26 @@ router.post('/register', validateUserRegistration, async (req, res) => {
       [user.id]
     );
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // Send verification email; a delivery problem shouldn't fail the registration
+    try {
+      await sendEmailVerification(user);
+    } catch (error) {
+      console.error('Send verification email error:', error);
+    }
+
+    // Start a session and generate tokens
+    const tokens = await issueAuthTokens(user.id, { ip: req.ip, userAgent: req.get('user-agent') });
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
         first_name: user.first_name,
         last_name: user.last_name,
-        is_admin: user.is_admin
+        is_admin: user.is_admin,
+        email_verified: !!user.email_verified_at
       }
     });
 
@@ -230,6 +313,13 @@ router.post('/register', validateUserRegistration, async (req, res) => {
  * /api/auth/login:
  *   post:
  *     summary: Login user
+ *     description: |
+ *       When the account has two-factor authentication enabled no tokens are returned.
+ *       The response contains `two_factor_required: true` and a `challenge_token`
+ *       to be completed at /api/auth/login/2fa.
+ *
+ *       Closed accounts are refused with 403 until the login is retried with `reactivate: true`,
+ *       which reopens the account if it is still within its deletion grace period.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -250,12 +340,15 @@ router.post('/register', validateUserRegistration, async (req, res) => {
  *             example:
  *               message: Login successful
  *               token: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *               refresh_token: 3q2-7wYxk1m0c9QnZr8v4a...
+ *               expires_in: 900
  *               user:
  *                 id: 1
  *                 email: john.doe@example.com
  *                 first_name: John
  *                 last_name: Doe
  *                 is_admin: false
+ *                 email_verified: true
  *       401:
  *         description: Invalid credentials
  *         content:
@@ -269,55 +362,449 @@ router.post('/register', validateUserRegistration, async (req, res) => {
  *                   type: string
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Account disabled, or closed; log in with reactivate set to true to reactivate a closed account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 deletion_scheduled_at:
+ *                   type: string
+ *                   format: date-time
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts, retry after the number of seconds in the Retry-After header
  *       500:
  *         description: Internal server error
  */
 router.post('/login', validateUserLogin, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, reactivate } = req.body;
 
     // Find user by email
     const result = await db.query(
-      'SELECT id, email, password_hash, first_name, last_name, is_admin FROM users WHERE email = $1',
+      `SELECT id, email, password_hash, first_name, last_name, is_admin, email_verified_at,
+              failed_login_attempts, last_failed_login_at, locked_until, totp_enabled_at, closed_at, disabled_at
+       FROM users WHERE email = $1`,
       [email]
     );
 
-    if (result.rows.length === 0) {
+    const user = result.rows[0];
+    const attempt = { email, userId: user ? user.id : null, ip: req.ip, userAgent: req.get('user-agent') };
+
+    // Slow down or block IP addresses with many recent failures
+    const ipThrottle = await checkIpThrottle(req.ip);
+
+    if (ipThrottle) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: ipThrottle.reason });
+      return sendThrottled(res, ipThrottle);
+    }
+
+    if (!user) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'unknown_email' });
       return res.status(401).json({
         error: 'Authentication failed',
         message: 'Invalid email or password'
       });
     }
 
-    const user = result.rows[0];
+    // Refuse locked accounts and enforce the delay after recent failures
+    const accountThrottle = checkAccountThrottle(user);
+
+    if (accountThrottle) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: accountThrottle.reason });
+      return sendThrottled(res, accountThrottle);
+    }
 
     // Check password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
     if (!isValidPassword) {
+      const lockedUntil = await registerFailedLogin(user);
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'invalid_password' });
+
+      if (lockedUntil) {
+        return sendThrottled(res, { reason: 'account_locked', lockedUntil });
+      }
+
       return res.status(401).json({
         error: 'Authentication failed',
         message: 'Invalid email or password'
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    if (user.disabled_at) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'account_disabled' });
+      return res.status(403).json(buildAccountDisabledResponse());
+    }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        is_admin: user.is_admin
+    if (user.closed_at && !reactivate) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'account_closed' });
+      return res.status(403).json(buildAccountClosedResponse(user));
+    }
+
+    // Accounts with two-factor enabled get a challenge to finish at /login/2fa
+    res.json(await completeLogin(user, attempt, { reactivate }));
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to login user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with a two-factor code
+ *     description: Exchanges the challenge token from /api/auth/login and an authenticator or recovery code for tokens
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challenge_token
+ *             properties:
+ *               challenge_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recovery_code:
+ *                 type: string
+ *                 description: One of the recovery codes, used instead of code
+ *           example:
+ *             challenge_token: Vb3kq9XlZp0m2R7tYc4e1a...
+ *             code: '123456'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *       403:
+ *         description: Account disabled, or closed; log in with reactivate set to true to reactivate a closed account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 deletion_scheduled_at:
+ *                   type: string
+ *                   format: date-time
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/login/2fa', validateTwoFactorLogin, async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    const challenge = await consumeUserToken(challenge_token, 'login_challenge');
+
+    if (!challenge) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Login challenge is invalid or has expired, please log in again'
+      });
+    }
+
+    const result = await db.query(
+      `SELECT id, email, first_name, last_name, is_admin, email_verified_at,
+              failed_login_attempts, last_failed_login_at, locked_until, closed_at, disabled_at
+       FROM users WHERE id = $1`,
+      [challenge.userId]
+    );
+
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Login challenge is invalid or has expired, please log in again'
+      });
+    }
+
+    const attempt = { email: user.email, userId: user.id, ip: req.ip, userAgent: req.get('user-agent') };
+
+    // The account may have been disabled or closed since the challenge was issued
+    if (user.disabled_at) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'account_disabled' });
+      return res.status(403).json(buildAccountDisabledResponse());
+    }
+
+    if (user.closed_at && !challenge.data.reactivate) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'account_closed' });
+      return res.status(403).json(buildAccountClosedResponse(user));
+    }
+
+    const accountThrottle = checkAccountThrottle(user);
+
+    if (accountThrottle && accountThrottle.reason === 'account_locked') {
+      await recordLoginAttempt({ ...attempt, success: false, reason: accountThrottle.reason });
+      return sendThrottled(res, accountThrottle);
+    }
+
+    const verified = await verifySecondFactor(user.id, { code, recovery_code });
+
+    if (!verified) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      const lockedUntil = await registerFailedLogin(user);
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'invalid_2fa_code' });
+
+      if (lockedUntil) {
+        return sendThrottled(res, { reason: 'account_locked', lockedUntil });
       }
+
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid two-factor authentication code, please log in again'
+      });
+    }
+
+    if (user.failed_login_attempts > 0 || user.locked_until) {
+      await resetFailedLogins(user.id);
+    }
+    if (user.closed_at) {
+      await reactivateAccount(user.id);
+    }
+    await recordLoginAttempt({
+      ...attempt,
+      success: true,
+      reason: recovery_code && !code ? 'success_recovery_code' : 'success'
+    });
+
+    const tokens = await issueAuthTokens(user.id, {
+      mfaVerified: true,
+      ip: attempt.ip,
+      userAgent: attempt.userAgent
     });
 
+    res.json(buildLoginResponse(user, tokens));
+
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to login user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/magic-link:
+ *   post:
+ *     summary: Email a one-time login link
+ *     description: |
+ *       Passwordless login. Always responds with the same message so it cannot be used to find out
+ *       which emails are registered. The link's token is exchanged at /api/auth/magic-link/consume.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *           example:
+ *             email: john.doe@example.com
+ *     responses:
+ *       200:
+ *         description: Login link sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/magic-link', validateMagicLinkRequest, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const result = await db.query(
+      'SELECT id, email, first_name FROM users WHERE email = $1',
+      [email]
+    );
+
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      const token = await createUserToken(user.id, 'magic_link', MAGIC_LINK_TTL_MINUTES);
+
+      await sendMagicLinkEmail(user, token, MAGIC_LINK_TTL_MINUTES);
+    }
+
+    res.json({
+      message: 'If an account with that email exists, a login link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to process login link request'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/magic-link/consume:
+ *   post:
+ *     summary: Log in with a magic link token
+ *     description: |
+ *       Exchanges the token from the emailed link for the same response /api/auth/login returns,
+ *       including the two-factor challenge for accounts that have it enabled. Tokens are single-use, but a
+ *       link refused because the account is closed, disabled or locked can be used again.
+ *       Following the link also proves the user owns the email address, so it is marked as verified.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               reactivate:
+ *                 type: boolean
+ *                 description: Reactivate the account if it has been closed
+ *           example:
+ *             token: 9QvGx0b3y2cN5m...
+ *     responses:
+ *       200:
+ *         description: Login successful, or two-factor authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid, expired or already used link
+ *       403:
+ *         description: Account disabled, or closed; log in with reactivate set to true to reactivate a closed account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 deletion_scheduled_at:
+ *                   type: string
+ *                   format: date-time
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/magic-link/consume', validateMagicLinkLogin, async (req, res) => {
+  try {
+    const invalidLink = () => res.status(401).json({
+      error: 'Authentication failed',
+      message: 'Login link is invalid or has expired'
+    });
+
+    // The account is checked before the link is used up, so a closed account can follow the same
+    // link again with reactivate set
+    const magicLink = await findUserToken(req.body.token, 'magic_link');
+
+    if (!magicLink) {
+      return invalidLink();
+    }
+
+    const userResult = await db.query(
+      `SELECT id, email, failed_login_attempts, last_failed_login_at, locked_until, closed_at, disabled_at
+       FROM users WHERE id = $1`,
+      [magicLink.userId]
+    );
+
+    const account = userResult.rows[0];
+
+    if (!account) {
+      return invalidLink();
+    }
+
+    const attempt = { email: account.email, userId: account.id, ip: req.ip, userAgent: req.get('user-agent') };
+
+    const accountThrottle = checkAccountThrottle(account);
+
+    if (accountThrottle && accountThrottle.reason === 'account_locked') {
+      await recordLoginAttempt({ ...attempt, success: false, reason: accountThrottle.reason });
+      return sendThrottled(res, accountThrottle);
+    }
+
+    if (account.disabled_at) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'account_disabled' });
+      return res.status(403).json(buildAccountDisabledResponse());
+    }
+
+    if (account.closed_at && !req.body.reactivate) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'account_closed' });
+      return res.status(403).json(buildAccountClosedResponse(account));
+    }
+
+    if (!await consumeUserToken(req.body.token, 'magic_link')) {
+      return invalidLink();
+    }
+
+    // Receiving the link proves the user owns the address
+    const result = await db.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+       WHERE id = $1
+       RETURNING id, email, first_name, last_name, is_admin, email_verified_at,
+                 failed_login_attempts, last_failed_login_at, locked_until, totp_enabled_at, closed_at, disabled_at`,
+      [magicLink.userId]
+    );
+
+    const user = result.rows[0];
+
+    res.json(await completeLogin(user, attempt, {
+      successReason: 'success_magic_link',
+      reactivate: req.body.reactivate
+    }));
+
+  } catch (error) {
+    console.error('Magic link login error:', error);
     res.status(500).json({
       error: 'Internal server error',
       message: 'Failed to login user'
@@ -356,12 +843,33 @@ router.post('/login', validateUserLogin, async (req, res) => {
  *                       type: string
  *                     is_admin:
  *                       type: boolean
+ *                     email_verified:
+ *                       type: boolean
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                 impersonated_by:
+ *                   type: object
+ *                   nullable: true
+ *                   description: The staff member acting as this user, when the token is an impersonation token
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     email:
+ *                       type: string
+ *                     impersonation_id:
+ *                       type: integer
  *       401:
  *         description: Invalid or expired token
  *       500:
  *         description: Internal server error
  */
-router.get('/verify', require('../middleware/auth').authenticateToken, (req, res) => {
+router.get('/verify', authenticateToken, (req, res) => {
   res.json({
     message: 'Token is valid',
     user: {
@@ -369,9 +877,587 @@ router.get('/verify', require('../middleware/auth').authenticateToken, (req, res
       email: req.user.email,
       first_name: req.user.first_name,
       last_name: req.user.last_name,
-      is_admin: req.user.is_admin
-    }
+      is_admin: req.user.is_admin,
+      email_verified: !!req.user.email_verified_at,
+      roles: req.user.roles,
+      permissions: req.user.permissions
+    },
+    impersonated_by: req.impersonator || null
   });
 });
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Refresh tokens are single-use. Presenting a token that was already used revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                 refresh_token:
+ *                   type: string
+ *                 expires_in:
+ *                   type: integer
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const rotated = await rotateRefreshToken(req.body.refresh_token, { ip: req.ip });
+
+    if (!rotated) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const { userId, ...tokens } = rotated;
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to refresh token'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout the current session
+ *     description: Revokes the session the access token belongs to, including its refresh token.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    // Logging out of an impersonation ends it; the staff member's own session stays active
+    if (req.impersonator) {
+      await endImpersonation(req.impersonator.impersonation_id);
+    } else {
+      await revokeSession(req.sessionId, 'logout');
+    }
+
+    res.json({
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to logout'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Logout everywhere
+ *     description: Revokes every active session of the current user, including the current one.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revoked_sessions:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating a user
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/logout-all', authenticateToken, forbidImpersonation, async (req, res) => {
+  try {
+    const revokedSessions = await revokeUserSessions(req.user.id, 'logout_all');
+
+    res.json({
+      message: 'Logged out from all sessions successfully',
+      revoked_sessions: revokedSessions
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to logout from all sessions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always responds with the same message so it cannot be used to find out which emails are registered.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *           example:
+ *             email: john.doe@example.com
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const result = await db.query(
+      'SELECT id, email, first_name FROM users WHERE email = $1',
+      [email]
+    );
+
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      const token = await createUserToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+
+      await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+    }
+
+    res.json({
+      message: 'If an account with that email exists, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to process password reset request'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password using a reset token
+ *     description: Reset tokens are single-use and expire. A successful reset logs the user out of every session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *           example:
+ *             token: 9QvGx0b3y2cN5m...
+ *             password: NewPassword123
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Validation error or invalid/expired token
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/reset-password', validatePasswordReset, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const resetToken = await consumeUserToken(token, 'password_reset');
+
+    if (!resetToken) {
+      return res.status(400).json({
+        error: 'Password reset failed',
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Hash password
+    const saltRounds = 10;
+    const password_hash = await bcrypt.hash(password, saltRounds);
+
+    await db.query(
+      'UPDATE users SET password_hash = $1 WHERE id = $2',
+      [password_hash, resetToken.userId]
+    );
+
+    // Log out every existing session, the old password may have been compromised
+    await revokeUserSessions(resetToken.userId, 'password_reset');
+
+    // Proving access to the mailbox lifts any brute-force lockout
+    await resetFailedLogins(resetToken.userId);
+
+    res.json({
+      message: 'Password has been reset successfully'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/accept-invite:
+ *   post:
+ *     summary: Choose a password for an account created by staff
+ *     description: >
+ *       Users imported by staff are emailed an invite instead of a password. Accepting it sets their
+ *       password and verifies their email address; they can then log in as usual.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *           example:
+ *             token: 9QvGx0b3y2cN5m...
+ *             password: NewPassword123
+ *     responses:
+ *       200:
+ *         description: Invite accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Validation error or invalid/expired token
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/accept-invite', validateInviteAcceptance, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const invite = await consumeUserToken(token, 'invite');
+
+    if (!invite) {
+      return res.status(400).json({
+        error: 'Invite acceptance failed',
+        message: 'Invalid or expired invite token'
+      });
+    }
+
+    const password_hash = await bcrypt.hash(password, 10);
+
+    // The invite was sent to the user's email address, so following it proves they own it
+    await db.query(
+      `UPDATE users
+       SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+       WHERE id = $2`,
+      [password_hash, invite.userId]
+    );
+
+    res.json({
+      message: 'Your password has been set, you can now log in'
+    });
+
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to accept invite'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify email address using a verification token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Validation error or invalid/expired token
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/verify-email', validateEmailVerification, async (req, res) => {
+  try {
+    const verificationToken = await consumeUserToken(req.body.token, 'email_verification');
+
+    if (!verificationToken) {
+      return res.status(400).json({
+        error: 'Verification failed',
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    await db.query(
+      'UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = $1 AND email_verified_at IS NULL',
+      [verificationToken.userId]
+    );
+
+    res.json({
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to verify email'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/confirm-email-change:
+ *   post:
+ *     summary: Confirm a new email address
+ *     description: |
+ *       Completes an email change requested with PUT /api/users/profile, using the token from the
+ *       link sent to the new address. The new address replaces the old one and counts as verified.
+ *       Password reset and login links sent to the old address stop working.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email address changed
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Email address changed successfully
+ *               email: john.updated@example.com
+ *       400:
+ *         description: Validation error, invalid/expired token, or the address has been taken since
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/confirm-email-change', validateEmailChangeConfirmation, async (req, res) => {
+  try {
+    const emailChange = await consumeUserToken(req.body.token, 'email_change');
+
+    if (!emailChange) {
+      return res.status(400).json({
+        error: 'Confirmation failed',
+        message: 'Invalid or expired confirmation token'
+      });
+    }
+
+    const { email } = emailChange.data;
+
+    // Someone may have registered the address since the change was requested
+    const existingUser = await db.query(
+      'SELECT id FROM users WHERE email = $1 AND id != $2',
+      [email, emailChange.userId]
+    );
+
+    if (existingUser.rows.length > 0) {
+      return res.status(400).json({
+        error: 'Confirmation failed',
+        message: 'Email already exists'
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE users SET email = $2, email_verified_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND anonymized_at IS NULL
+       RETURNING id`,
+      [emailChange.userId, email]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({
+        error: 'Confirmation failed',
+        message: 'Invalid or expired confirmation token'
+      });
+    }
+
+    // Links that went to the old address must not outlive it
+    for (const purpose of ['password_reset', 'magic_link', 'email_verification']) {
+      await revokeUserTokens(emailChange.userId, purpose);
+    }
+
+    res.json({
+      message: 'Email address changed successfully',
+      email
+    });
+
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to change email address'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     description: Issues a new verification token; previously sent links stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(400).json({
+        error: 'Verification failed',
+        message: 'Email address is already verified'
+      });
+    }
+
+    await sendEmailVerification(req.user);
+
+    res.json({
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,10 +1,50 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const { validateCartItem, validateCartItemUpdate, validateId } = require('../middleware/validation');
+const { groupPriceJoins, GROUP_VARIANT_PRICE, VARIANT_LIST_PRICE } = require('../utils/customerGroups');
+const { findVariant, hasVariants } = require('../utils/productVariants');
+const { PRODUCT_CATEGORIES } = require('../utils/categories');
 const db = require('../config/database');
 
 const router = express.Router();
 
+// Cart items with their product and chosen variant, priced for the customer group in $2
+const CART_ITEM_QUERY = `
+  SELECT
+    ci.id, ci.cart_id, ci.product_id, ci.variant_id, ci.quantity, ci.created_at, ci.updated_at,
+    p.name, p.description, ${GROUP_VARIANT_PRICE} AS price, ${VARIANT_LIST_PRICE} AS list_price,
+    COALESCE(v.stock_quantity, p.stock_quantity) AS stock_quantity, ${PRODUCT_CATEGORIES} AS categories, p.image_url,
+    v.sku, v.options, v.image_url AS variant_image_url,
+    (ci.quantity * ${GROUP_VARIANT_PRICE}) as subtotal
+  FROM cart_items ci
+  JOIN products p ON ci.product_id = p.id
+  LEFT JOIN product_variants v ON ci.variant_id = v.id
+  ${groupPriceJoins('$2')}`;
+
+const formatCartItem = (item) => ({
+  id: item.id,
+  cart_id: item.cart_id,
+  product_id: item.product_id,
+  variant_id: item.variant_id,
+  quantity: item.quantity,
+  product: {
+    id: item.product_id,
+    name: item.name,
+    description: item.description,
+    price: parseFloat(item.price),
+    list_price: parseFloat(item.list_price),
+    stock_quantity: item.stock_quantity,
+    categories: item.categories,
+    image_url: item.image_url
+  },
+  variant: item.variant_id
+    ? { id: item.variant_id, sku: item.sku, options: item.options, image_url: item.variant_image_url }
+    : null,
+  subtotal: parseFloat(item.subtotal),
+  created_at: item.created_at,
+  updated_at: item.updated_at
+});
+
 /**
  * @swagger
  * components:
@@ -21,6 +61,10 @@ const router = express.Router();
  *         product_id:
  *           type: integer
  *           description: Product ID
+ *         variant_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The variant chosen, for products sold as variants
  *         quantity:
  *           type: integer
  *           minimum: 1
@@ -37,12 +81,34 @@ const router = express.Router();
  *             price:
  *               type: number
  *               format: decimal
+ *               description: The price the customer pays for the item (or its variant), after any customer group pricing
+ *             list_price:
+ *               type: number
+ *               format: decimal
  *             stock_quantity:
  *               type: integer
- *             category:
+ *               description: Stock of the item's variant, if it has one
+ *             categories:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CategorySummary'
+ *             image_url:
+ *               type: string
+ *         variant:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             sku:
  *               type: string
+ *             options:
+ *               type: object
+ *               additionalProperties:
+ *                 type: string
  *             image_url:
  *               type: string
+ *               nullable: true
  *         subtotal:
  *           type: number
  *           format: decimal
@@ -87,6 +153,10 @@ const router = express.Router();
  *           type: integer
  *           minimum: 1
  *           description: ID of the product to add
+ *         variant_id:
+ *           type: integer
+ *           minimum: 1
+ *           description: ID of the variant to add; required for products sold as variants
  *         quantity:
  *           type: integer
  *           minimum: 1
@@ -164,35 +234,13 @@ router.get('/', authenticateToken, async (req, res) => {
 
     // Get cart items with product details
     const itemsResult = await db.query(
-      `SELECT
-         ci.id, ci.cart_id, ci.product_id, ci.quantity, ci.created_at, ci.updated_at,
-         p.name, p.description, p.price, p.stock_quantity, p.category, p.image_url,
-         (ci.quantity * p.price) as subtotal
-       FROM cart_items ci
-       JOIN products p ON ci.product_id = p.id
-       WHERE ci.cart_id = $1 AND p.is_active = true
+      `${CART_ITEM_QUERY}
+       WHERE ci.cart_id = $1 AND p.is_active = true AND (v.id IS NULL OR v.is_active)
        ORDER BY ci.created_at DESC`,
-      [cart.id]
+      [cart.id, req.user.customer_group_id]
     );
 
-    const items = itemsResult.rows.map(item => ({
-      id: item.id,
-      cart_id: item.cart_id,
-      product_id: item.product_id,
-      quantity: item.quantity,
-      product: {
-        id: item.product_id,
-        name: item.name,
-        description: item.description,
-        price: parseFloat(item.price),
-        stock_quantity: item.stock_quantity,
-        category: item.category,
-        image_url: item.image_url
-      },
-      subtotal: parseFloat(item.subtotal),
-      created_at: item.created_at,
-      updated_at: item.updated_at
-    }));
+    const items = itemsResult.rows.map(formatCartItem);
 
     const totalAmount = items.reduce((sum, item) => sum + item.subtotal, 0);
     const totalItems = items.reduce((sum, item) => sum + item.quantity, 0);
@@ -248,17 +296,17 @@ router.get('/', authenticateToken, async (req, res) => {
  *                 cart_item:
  *                   $ref: '#/components/schemas/CartItem'
  *       400:
- *         description: Validation error or insufficient stock
+ *         description: Validation error, insufficient stock, or no variant chosen for a product sold as variants
  *       401:
  *         description: Unauthorized
  *       404:
- *         description: Product not found
+ *         description: Product or variant not found
  *       500:
  *         description: Internal server error
  */
 router.post('/items', authenticateToken, validateCartItem, async (req, res) => {
   try {
-    const { product_id, quantity } = req.body;
+    const { product_id, variant_id, quantity } = req.body;
     const userId = req.user.id;
 
     // Check if product exists and is active
@@ -275,12 +323,32 @@ router.post('/items', authenticateToken, validateCartItem, async (req, res) => {
     }
 
     const product = productResult.rows[0];
+    let stockQuantity = product.stock_quantity;
+
+    // Products sold as variants are stocked per variant
+    if (variant_id) {
+      const variant = await findVariant(product_id, variant_id, null);
+
+      if (!variant) {
+        return res.status(404).json({
+          error: 'Variant not found',
+          message: 'Variant not found for this product or is not available'
+        });
+      }
+
+      stockQuantity = variant.stock_quantity;
+    } else if (await hasVariants(product_id)) {
+      return res.status(400).json({
+        error: 'Variant required',
+        message: 'Choose a variant_id for this product'
+      });
+    }
 
     // Check if there's enough stock
-    if (product.stock_quantity < quantity) {
+    if (stockQuantity < quantity) {
       return res.status(400).json({
         error: 'Insufficient stock',
-        message: `Only ${product.stock_quantity} items available in stock`
+        message: `Only ${stockQuantity} items available in stock`
       });
     }
 
@@ -301,8 +369,9 @@ router.post('/items', authenticateToken, validateCartItem, async (req, res) => {
 
     // Check if item already exists in cart
     const existingItemResult = await db.query(
-      'SELECT id, quantity FROM cart_items WHERE cart_id = $1 AND product_id = $2',
-      [cartId, product_id]
+      `SELECT id, quantity FROM cart_items
+       WHERE cart_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3::INTEGER`,
+      [cartId, product_id, variant_id || null]
     );
 
     let cartItem;
@@ -313,10 +382,10 @@ router.post('/items', authenticateToken, validateCartItem, async (req, res) => {
       const newQuantity = existingItem.quantity + quantity;
 
       // Check if total quantity exceeds stock
-      if (newQuantity > product.stock_quantity) {
+      if (newQuantity > stockQuantity) {
         return res.status(400).json({
           error: 'Insufficient stock',
-          message: `Cannot add ${quantity} more items. Only ${product.stock_quantity - existingItem.quantity} more items can be added`
+          message: `Cannot add ${quantity} more items. Only ${stockQuantity - existingItem.quantity} more items can be added`
         });
       }
 
@@ -324,7 +393,7 @@ router.post('/items', authenticateToken, validateCartItem, async (req, res) => {
         `UPDATE cart_items
          SET quantity = $1
          WHERE id = $2
-         RETURNING id, cart_id, product_id, quantity, created_at, updated_at`,
+         RETURNING id, cart_id, product_id, variant_id, quantity, created_at, updated_at`,
         [newQuantity, existingItem.id]
       );
 
@@ -332,10 +401,10 @@ router.post('/items', authenticateToken, validateCartItem, async (req, res) => {
     } else {
       // Create new cart item
       const insertResult = await db.query(
-        `INSERT INTO cart_items (cart_id, product_id, quantity)
-         VALUES ($1, $2, $3)
-         RETURNING id, cart_id, product_id, quantity, created_at, updated_at`,
-        [cartId, product_id, quantity]
+        `INSERT INTO cart_items (cart_id, product_id, variant_id, quantity)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, cart_id, product_id, variant_id, quantity, created_at, updated_at`,
+        [cartId, product_id, variant_id || null, quantity]
       );
 
       cartItem = insertResult.rows[0];
@@ -343,36 +412,12 @@ router.post('/items', authenticateToken, validateCartItem, async (req, res) => {
 
     // Get full cart item details with product info
     const fullItemResult = await db.query(
-      `SELECT
-         ci.id, ci.cart_id, ci.product_id, ci.quantity, ci.created_at, ci.updated_at,
-         p.name, p.description, p.price, p.stock_quantity, p.category, p.image_url,
-         (ci.quantity * p.price) as subtotal
-       FROM cart_items ci
-       JOIN products p ON ci.product_id = p.id
+      `${CART_ITEM_QUERY}
        WHERE ci.id = $1`,
-      [cartItem.id]
+      [cartItem.id, req.user.customer_group_id]
     );
 
-    const fullItem = fullItemResult.rows[0];
-
-    const responseItem = {
-      id: fullItem.id,
-      cart_id: fullItem.cart_id,
-      product_id: fullItem.product_id,
-      quantity: fullItem.quantity,
-      product: {
-        id: fullItem.product_id,
-        name: fullItem.name,
-        description: fullItem.description,
-        price: parseFloat(fullItem.price),
-        stock_quantity: fullItem.stock_quantity,
-        category: fullItem.category,
-        image_url: fullItem.image_url
-      },
-      subtotal: parseFloat(fullItem.subtotal),
-      created_at: fullItem.created_at,
-      updated_at: fullItem.updated_at
-    };
+    const responseItem = formatCartItem(fullItemResult.rows[0]);
 
     res.status(201).json({
       message: 'Item added to cart successfully',
@@ -442,7 +487,7 @@ router.put('/items/:id', authenticateToken, validateId, validateCartItemUpdate,
 
     // Check if cart item exists and belongs to user
     const itemResult = await db.query(
-      `SELECT ci.id, ci.product_id, ci.quantity, c.user_id
+      `SELECT ci.id, ci.product_id, ci.variant_id, ci.quantity, c.user_id
        FROM cart_items ci
        JOIN carts c ON ci.cart_id = c.id
        WHERE ci.id = $1`,
@@ -465,10 +510,13 @@ router.put('/items/:id', authenticateToken, validateId, validateCartItemUpdate,
       });
     }
 
-    // Check product stock
+    // Check the stock of the product, or of its variant
     const productResult = await db.query(
-      'SELECT stock_quantity FROM products WHERE id = $1 AND is_active = true',
-      [cartItem.product_id]
+      `SELECT COALESCE(v.stock_quantity, p.stock_quantity) AS stock_quantity
+       FROM products p
+       LEFT JOIN product_variants v ON v.id = $2 AND v.product_id = p.id
+       WHERE p.id = $1 AND p.is_active = true AND ($2::INTEGER IS NULL OR v.is_active)`,
+      [cartItem.product_id, cartItem.variant_id]
     );
 
     if (productResult.rows.length === 0) {
@@ -492,42 +540,18 @@ router.put('/items/:id', authenticateToken, validateId, validateCartItemUpdate,
       `UPDATE cart_items
        SET quantity = $1
        WHERE id = $2
-       RETURNING id, cart_id, product_id, quantity, created_at, updated_at`,
+       RETURNING id, cart_id, product_id, variant_id, quantity, created_at, updated_at`,
       [quantity, itemId]
     );
 
     // Get full cart item details with product info
     const fullItemResult = await db.query(
-      `SELECT
-         ci.id, ci.cart_id, ci.product_id, ci.quantity, ci.created_at, ci.updated_at,
-         p.name, p.description, p.price, p.stock_quantity, p.category, p.image_url,
-         (ci.quantity * p.price) as subtotal
-       FROM cart_items ci
-       JOIN products p ON ci.product_id = p.id
+      `${CART_ITEM_QUERY}
        WHERE ci.id = $1`,
-      [itemId]
+      [itemId, req.user.customer_group_id]
     );
 
-    const fullItem = fullItemResult.rows[0];
-
-    const responseItem = {
-      id: fullItem.id,
-      cart_id: fullItem.cart_id,
-      product_id: fullItem.product_id,
-      quantity: fullItem.quantity,
-      product: {
-        id: fullItem.product_id,
-        name: fullItem.name,
-        description: fullItem.description,
-        price: parseFloat(fullItem.price),
-        stock_quantity: fullItem.stock_quantity,
-        category: fullItem.category,
-        image_url: fullItem.image_url
-      },
-      subtotal: parseFloat(fullItem.subtotal),
-      created_at: fullItem.created_at,
-      updated_at: fullItem.updated_at
-    };
+    const responseItem = formatCartItem(fullItemResult.rows[0]);
 
     res.json({
       message: 'Cart item updated successfully',
@@ -0,0 +1,482 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  validateId,
+  validateCategory,
+  validateCategoryUpdate,
+  validateCategoryRef
+} = require('../middleware/validation');
+const {
+  slugify,
+  findCategories,
+  buildCategoryTree,
+  findCategory,
+  wouldCreateCycle,
+  findMissingCategories
+} = require('../utils/categories');
+const db = require('../config/database');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         parent_id:
+ *           type: integer
+ *           nullable: true
+ *           description: null for top-level categories
+ *         name:
+ *           type: string
+ *         slug:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         sort_order:
+ *           type: integer
+ *           description: Categories with the same parent are listed by sort_order, then name
+ *         product_count:
+ *           type: integer
+ *           description: Active products in the category or any category below it
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     CategoryNode:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Category'
+ *         - type: object
+ *           properties:
+ *             children:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CategoryNode'
+ *     CategoryDetail:
+ *       allOf:
+ *         - $ref: '#/components/schemas/CategoryNode'
+ *         - type: object
+ *           properties:
+ *             ancestors:
+ *               type: array
+ *               description: The categories above this one, top-level first (for breadcrumbs)
+ *               items:
+ *                 $ref: '#/components/schemas/CategorySummary'
+ *     CategorySummary:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         slug:
+ *           type: string
+ *     CategoryInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         slug:
+ *           type: string
+ *           pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$'
+ *           description: Made from the name when a category is created without one; kept when it is renamed
+ *         description:
+ *           type: string
+ *           maxLength: 1000
+ *           nullable: true
+ *         parent_id:
+ *           type: integer
+ *           nullable: true
+ *         sort_order:
+ *           type: integer
+ *           default: 0
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Categories
+ *   description: The product category tree (changing it requires categories:manage)
+ */
+
+const categoryNotFound = (res) => {
+  return res.status(404).json({
+    error: 'Category not found',
+    message: 'Category with the specified ID not found'
+  });
+};
+
+const parentNotFound = (res) => {
+  return res.status(400).json({
+    error: 'Parent category not found',
+    message: 'parent_id must be the ID of an existing category'
+  });
+};
+
+const slugTaken = (res, slug) => {
+  return res.status(400).json({
+    error: 'Category already exists',
+    message: `Another category already has the slug ${slug}`
+  });
+};
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: Get the category tree
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: Top-level categories, each with the categories below it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CategoryNode'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { roots } = buildCategoryTree(await findCategories());
+
+    res.json({
+      categories: roots
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve categories'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{idOrSlug}:
+ *   get:
+ *     summary: Get a category by ID or slug
+ *     description: Includes the categories above it and below it. Its products are listed by GET /api/products?category={idOrSlug}.
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 category:
+ *                   $ref: '#/components/schemas/CategoryDetail'
+ *       400:
+ *         description: Not a category ID or slug
+ *       404:
+ *         description: Category not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:idOrSlug', validateCategoryRef, async (req, res) => {
+  try {
+    const category = await findCategory(req.params.idOrSlug);
+
+    if (!category) {
+      return categoryNotFound(res);
+    }
+
+    res.json({
+      category
+    });
+
+  } catch (error) {
+    console.error('Get category error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve category'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories:
+ *   post:
+ *     summary: Create a category
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CategoryInput'
+ *               - required:
+ *                   - name
+ *           example:
+ *             name: Headphones
+ *             parent_id: 3
+ *             description: Over-ear, on-ear and in-ear headphones
+ *     responses:
+ *       201:
+ *         description: Category created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 category:
+ *                   $ref: '#/components/schemas/CategoryDetail'
+ *       400:
+ *         description: Validation error, parent not found or slug already taken
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', authenticateToken, requirePermission('categories:manage'), validateCategory, async (req, res) => {
+  try {
+    const { name, description, parent_id, sort_order } = req.body;
+    const slug = req.body.slug || slugify(name);
+
+    if (!slug) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Give the category a slug, as its name has no letters or numbers'
+      });
+    }
+
+    if (parent_id && (await findMissingCategories([parent_id])).length > 0) {
+      return parentNotFound(res);
+    }
+
+    const inserted = await db.query(
+      `INSERT INTO categories (parent_id, name, slug, description, sort_order)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (slug) DO NOTHING
+       RETURNING id`,
+      [parent_id || null, name, slug, description || null, sort_order || 0]
+    );
+
+    if (inserted.rows.length === 0) {
+      return slugTaken(res, slug);
+    }
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: await findCategory(inserted.rows[0].id)
+    });
+
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create category'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   put:
+ *     summary: Update a category
+ *     description: Setting parent_id moves the category, with everything below it; null moves it to the top level.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryInput'
+ *           example:
+ *             parent_id: null
+ *             sort_order: 5
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 category:
+ *                   $ref: '#/components/schemas/CategoryDetail'
+ *       400:
+ *         description: Validation error, no fields to update, slug already taken, or a parent that is missing or below the category
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Category not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', authenticateToken, requirePermission('categories:manage'), validateId, validateCategoryUpdate, async (req, res) => {
+  try {
+    const categoryId = parseInt(req.params.id);
+    const { name, slug, description, parent_id, sort_order } = req.body;
+
+    const existing = await db.query('SELECT id FROM categories WHERE id = $1', [categoryId]);
+    if (existing.rows.length === 0) {
+      return categoryNotFound(res);
+    }
+
+    if (parent_id) {
+      if ((await findMissingCategories([parent_id])).length > 0) {
+        return parentNotFound(res);
+      }
+
+      if (await wouldCreateCycle(categoryId, parent_id)) {
+        return res.status(400).json({
+          error: 'Invalid parent',
+          message: 'A category cannot be moved below itself or one of its subcategories'
+        });
+      }
+    }
+
+    if (slug) {
+      const taken = await db.query('SELECT id FROM categories WHERE slug = $1 AND id != $2', [slug, categoryId]);
+      if (taken.rows.length > 0) {
+        return slugTaken(res, slug);
+      }
+    }
+
+    // Build dynamic update query
+    const fields = { name, slug, description, parent_id, sort_order };
+    const updateFields = [];
+    const updateValues = [];
+
+    for (const [column, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        updateValues.push(value);
+        updateFields.push(`${column} = $${updateValues.length}`);
+      }
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({
+        error: 'Update failed',
+        message: 'No fields to update'
+      });
+    }
+
+    updateValues.push(categoryId);
+    await db.query(
+      `UPDATE categories SET ${updateFields.join(', ')} WHERE id = $${updateValues.length}`,
+      updateValues
+    );
+
+    res.json({
+      message: 'Category updated successfully',
+      category: await findCategory(categoryId)
+    });
+
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update category'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   delete:
+ *     summary: Delete a category
+ *     description: Only categories without subcategories can be deleted. Their products stay in any other categories they are in.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Category deleted successfully
+ *       400:
+ *         description: The category has subcategories
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Category not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', authenticateToken, requirePermission('categories:manage'), validateId, async (req, res) => {
+  try {
+    const children = await db.query('SELECT 1 FROM categories WHERE parent_id = $1 LIMIT 1', [req.params.id]);
+
+    if (children.rows.length > 0) {
+      return res.status(400).json({
+        error: 'Category has subcategories',
+        message: 'Move or delete the subcategories of this category first'
+      });
+    }
+
+    const result = await db.query('DELETE FROM categories WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return categoryNotFound(res);
+    }
+
+    res.json({
+      message: 'Category deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete category'
+    });
+  }
+});
+
+module.exports = router;
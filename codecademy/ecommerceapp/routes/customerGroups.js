@@ -0,0 +1,569 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  validateCustomerGroup,
+  validateCustomerGroupUpdate,
+  validateGroupPrice,
+  validateProductId,
+  validateId
+} = require('../middleware/validation');
+const { findCustomerGroups, findGroupPrices } = require('../utils/customerGroups');
+const db = require('../config/database');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CustomerGroup:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         discount_percent:
+ *           type: number
+ *           description: Taken off the list price of products the group has no price for
+ *         member_count:
+ *           type: integer
+ *         price_count:
+ *           type: integer
+ *           description: Number of products the group has its own price for
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     CustomerGroupPrice:
+ *       type: object
+ *       properties:
+ *         product_id:
+ *           type: integer
+ *         product_name:
+ *           type: string
+ *         list_price:
+ *           type: number
+ *         price:
+ *           type: number
+ *           description: What the group's members pay
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     CustomerGroupInput:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           pattern: '^[a-z][a-z0-9_]{1,49}$'
+ *         description:
+ *           type: string
+ *           maxLength: 255
+ *         discount_percent:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 99.99
+ *           default: 0
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Customer Groups
+ *   description: Customer groups and their prices (all endpoints require customer_groups:manage)
+ */
+
+const groupNotFound = (res) => {
+  return res.status(404).json({
+    error: 'Customer group not found',
+    message: 'Customer group with the specified ID not found'
+  });
+};
+
+const groupNameTaken = (res) => {
+  return res.status(400).json({
+    error: 'Customer group already exists',
+    message: 'A customer group with this name already exists'
+  });
+};
+
+/**
+ * @swagger
+ * /api/customer-groups:
+ *   get:
+ *     summary: Get all customer groups
+ *     tags: [Customer Groups]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: List of customer groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 customer_groups:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CustomerGroup'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, requirePermission('customer_groups:manage'), async (req, res) => {
+  try {
+    const customerGroups = await findCustomerGroups();
+
+    res.json({
+      customer_groups: customerGroups
+    });
+
+  } catch (error) {
+    console.error('Get customer groups error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve customer groups'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customer-groups/{id}:
+ *   get:
+ *     summary: Get a customer group with its price list
+ *     tags: [Customer Groups]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Customer group details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 customer_group:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/CustomerGroup'
+ *                     - type: object
+ *                       properties:
+ *                         prices:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/CustomerGroupPrice'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Customer group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', authenticateToken, requirePermission('customer_groups:manage'), validateId, async (req, res) => {
+  try {
+    const [group] = await findCustomerGroups([parseInt(req.params.id)]);
+
+    if (!group) {
+      return groupNotFound(res);
+    }
+
+    res.json({
+      customer_group: {
+        ...group,
+        prices: await findGroupPrices(group.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get customer group error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve customer group'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customer-groups:
+ *   post:
+ *     summary: Create a customer group
+ *     tags: [Customer Groups]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomerGroupInput'
+ *           example:
+ *             name: wholesale
+ *             description: Trade customers buying in bulk
+ *             discount_percent: 20
+ *     responses:
+ *       201:
+ *         description: Customer group created successfully
+ *       400:
+ *         description: Validation error or name already taken
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', authenticateToken, requirePermission('customer_groups:manage'), validateCustomerGroup, async (req, res) => {
+  try {
+    const { name, description, discount_percent } = req.body;
+
+    const inserted = await db.query(
+      `INSERT INTO customer_groups (name, description, discount_percent)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (name) DO NOTHING
+       RETURNING id`,
+      [name, description || null, discount_percent || 0]
+    );
+
+    if (inserted.rows.length === 0) {
+      return groupNameTaken(res);
+    }
+
+    const [group] = await findCustomerGroups([inserted.rows[0].id]);
+
+    res.status(201).json({
+      message: 'Customer group created successfully',
+      customer_group: group
+    });
+
+  } catch (error) {
+    console.error('Create customer group error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create customer group'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customer-groups/{id}:
+ *   put:
+ *     summary: Update a customer group
+ *     description: A new discount applies straight away to the prices members see and to carts not yet ordered.
+ *     tags: [Customer Groups]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               discount_percent:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Customer group updated successfully
+ *       400:
+ *         description: Validation error or name already taken
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Customer group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', authenticateToken, requirePermission('customer_groups:manage'), validateId, validateCustomerGroupUpdate, async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+    const { name, description, discount_percent } = req.body;
+
+    const existing = await db.query(
+      'SELECT id FROM customer_groups WHERE name = $1 AND id != $2',
+      [name || null, groupId]
+    );
+
+    if (existing.rows.length > 0) {
+      return groupNameTaken(res);
+    }
+
+    const result = await db.query(
+      `UPDATE customer_groups
+       SET name = COALESCE($1, name), description = COALESCE($2, description),
+           discount_percent = COALESCE($3, discount_percent)
+       WHERE id = $4
+       RETURNING id`,
+      [name || null, description !== undefined ? description : null,
+        discount_percent !== undefined ? discount_percent : null, groupId]
+    );
+
+    if (result.rows.length === 0) {
+      return groupNotFound(res);
+    }
+
+    const [group] = await findCustomerGroups([groupId]);
+
+    res.json({
+      message: 'Customer group updated successfully',
+      customer_group: group
+    });
+
+  } catch (error) {
+    console.error('Update customer group error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update customer group'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customer-groups/{id}:
+ *   delete:
+ *     summary: Delete a customer group
+ *     description: Its members go back to paying list prices.
+ *     tags: [Customer Groups]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Customer group deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Customer group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', authenticateToken, requirePermission('customer_groups:manage'), validateId, async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM customer_groups WHERE id = $1 RETURNING id',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return groupNotFound(res);
+    }
+
+    res.json({
+      message: 'Customer group deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete customer group error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete customer group'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customer-groups/{id}/prices/{productId}:
+ *   put:
+ *     summary: Set the group's price for a product
+ *     description: The group's members pay this price instead of the discounted list price.
+ *     tags: [Customer Groups]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - price
+ *             properties:
+ *               price:
+ *                 type: number
+ *                 minimum: 0.01
+ *           example:
+ *             price: 849.99
+ *     responses:
+ *       200:
+ *         description: Price set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 price:
+ *                   $ref: '#/components/schemas/CustomerGroupPrice'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Customer group or product not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id/prices/:productId', authenticateToken, requirePermission('customer_groups:manage'), validateId, validateGroupPrice, async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+    const productId = parseInt(req.params.productId);
+
+    const [group] = await findCustomerGroups([groupId]);
+
+    if (!group) {
+      return groupNotFound(res);
+    }
+
+    const product = await db.query('SELECT id FROM products WHERE id = $1', [productId]);
+
+    if (product.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Product not found',
+        message: 'Product with the specified ID not found'
+      });
+    }
+
+    await db.query(
+      `INSERT INTO customer_group_prices (customer_group_id, product_id, price)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (customer_group_id, product_id) DO UPDATE SET price = EXCLUDED.price`,
+      [groupId, productId, req.body.price]
+    );
+
+    const prices = await findGroupPrices(groupId);
+
+    res.json({
+      message: 'Customer group price set successfully',
+      price: prices.find(price => price.product_id === productId)
+    });
+
+  } catch (error) {
+    console.error('Set customer group price error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to set customer group price'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customer-groups/{id}/prices/{productId}:
+ *   delete:
+ *     summary: Remove the group's price for a product
+ *     description: The group's members go back to paying the list price less the group's discount.
+ *     tags: [Customer Groups]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Price removed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: The group has no price for this product
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/prices/:productId', authenticateToken, requirePermission('customer_groups:manage'), validateId, validateProductId, async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM customer_group_prices WHERE customer_group_id = $1 AND product_id = $2 RETURNING product_id',
+      [req.params.id, req.params.productId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Price not found',
+        message: 'The customer group has no price for this product'
+      });
+    }
+
+    res.json({
+      message: 'Customer group price removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove customer group price error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to remove customer group price'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,253 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateId, validatePagination, validateImpersonationFilters } = require('../middleware/validation');
+const { listImpersonations, findImpersonation, endImpersonation } = require('../utils/impersonation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Impersonation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         admin_id:
+ *           type: integer
+ *           nullable: true
+ *         admin_email:
+ *           type: string
+ *         user_id:
+ *           type: integer
+ *           nullable: true
+ *         user_email:
+ *           type: string
+ *         reason:
+ *           type: string
+ *         ip_address:
+ *           type: string
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         ended_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Impersonation
+ *   description: Audit trail of staff logging in as customers
+ */
+
+/**
+ * @swagger
+ * /api/impersonations:
+ *   get:
+ *     summary: Get impersonations (requires audit:read)
+ *     tags: [Impersonation]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: admin_id
+ *         schema:
+ *           type: integer
+ *         description: Only impersonations started by this staff member
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Only impersonations of this customer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Impersonations, newest first, with the number of requests made in each
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 impersonations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Impersonation'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, requirePermission('audit:read'), validatePagination, validateImpersonationFilters, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const { impersonations, total } = await listImpersonations({
+      adminId: req.query.admin_id ? parseInt(req.query.admin_id) : null,
+      userId: req.query.user_id ? parseInt(req.query.user_id) : null,
+      limit,
+      offset
+    });
+
+    res.json({
+      impersonations,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get impersonations error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve impersonations'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/impersonations/{id}:
+ *   get:
+ *     summary: Get an impersonation with every request made during it (requires audit:read)
+ *     tags: [Impersonation]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Impersonation details
+ *         content:
+ *           application/json:
+ *             example:
+ *               impersonation:
+ *                 id: 1
+ *                 admin_email: admin@example.com
+ *                 user_email: john.doe@example.com
+ *                 reason: 'Ticket #4521: customer cannot see their last order'
+ *                 requests:
+ *                   - method: GET
+ *                     path: /api/orders
+ *                     status_code: 200
+ *                     ip_address: 127.0.0.1
+ *                     created_at: 2024-01-01T00:01:00.000Z
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Impersonation not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', authenticateToken, requirePermission('audit:read'), validateId, async (req, res) => {
+  try {
+    const impersonation = await findImpersonation(req.params.id);
+
+    if (!impersonation) {
+      return res.status(404).json({
+        error: 'Impersonation not found',
+        message: 'Impersonation with the specified ID not found'
+      });
+    }
+
+    res.json({
+      impersonation
+    });
+
+  } catch (error) {
+    console.error('Get impersonation error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve impersonation'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/impersonations/{id}:
+ *   delete:
+ *     summary: End an impersonation (requires users:impersonate)
+ *     description: Its token stops working immediately.
+ *     tags: [Impersonation]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Impersonation not found or already ended
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', authenticateToken, requirePermission('users:impersonate'), validateId, async (req, res) => {
+  try {
+    const ended = await endImpersonation(req.params.id);
+
+    if (!ended) {
+      return res.status(404).json({
+        error: 'Impersonation not found',
+        message: 'Impersonation not found or already ended'
+      });
+    }
+
+    res.json({
+      message: 'Impersonation ended successfully'
+    });
+
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to end impersonation'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,398 @@
+const express = require('express');
+const { authenticateToken, forbidImpersonation } = require('../middleware/auth');
+const {
+  validateId,
+  validatePagination,
+  validateNotificationFilters,
+  validateNotificationPreferences
+} = require('../middleware/validation');
+const {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../utils/notifications');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           enum: [order_created, order_status_changed, order_cancelled]
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *         data:
+ *           type: object
+ *           description: Details of the event, such as order_id and status
+ *         read_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     NotificationPreferences:
+ *       type: object
+ *       properties:
+ *         in_app:
+ *           type: boolean
+ *           description: Keep notifications in the inbox (on by default)
+ *         email:
+ *           type: boolean
+ *           description: Email notifications (on by default)
+ *         webhook:
+ *           type: boolean
+ *           description: POST notifications to webhook_url (off by default)
+ *         webhook_url:
+ *           type: string
+ *           nullable: true
+ *         webhook_secret:
+ *           type: string
+ *           nullable: true
+ *           description: Webhooks carry an X-Webhook-Signature header, sha256= followed by the HMAC-SHA256 of the body with this secret
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: The current user's notification inbox and how they want to be notified
+ */
+
+/**
+ * @swagger
+ * /api/users/profile/notifications:
+ *   get:
+ *     summary: Get the current user's notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Notifications, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 unread_count:
+ *                   type: integer
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, validatePagination, validateNotificationFilters, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { notifications, total, unread } = await listNotifications(req.user.id, {
+      unreadOnly: req.query.unread === true,
+      limit,
+      offset
+    });
+
+    res.json({
+      notifications,
+      unread_count: unread,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve notifications'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/profile/notifications/read:
+ *   post:
+ *     summary: Mark all of the current user's notifications read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 marked:
+ *                   type: integer
+ *                   description: How many were unread
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/read', authenticateToken, forbidImpersonation, async (req, res) => {
+  try {
+    const marked = await markAllNotificationsRead(req.user.id);
+
+    res.json({
+      message: 'Notifications marked as read',
+      marked
+    });
+
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to mark notifications as read'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/profile/notifications/preferences:
+ *   get:
+ *     summary: Get how the current user wants to be notified
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 preferences:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/preferences', authenticateToken, forbidImpersonation, async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences(req.user.id);
+
+    res.json({
+      preferences
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve notification preferences'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/profile/notifications/preferences:
+ *   put:
+ *     summary: Choose how the current user is notified
+ *     description: |
+ *       Only the channels given are changed. Setting a new webhook_url generates a new
+ *       webhook_secret; null removes the webhook. The webhook channel needs a URL to be turned on.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               in_app:
+ *                 type: boolean
+ *               email:
+ *                 type: boolean
+ *               webhook:
+ *                 type: boolean
+ *               webhook_url:
+ *                 type: string
+ *                 format: uri
+ *                 nullable: true
+ *                 description: An https URL with a host name that doesn't point to a private or reserved address
+ *           example:
+ *             email: false
+ *             webhook: true
+ *             webhook_url: https://example.com/hooks/orders
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 preferences:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *       400:
+ *         description: Validation error (including webhook URLs pointing to private addresses), or turning on webhooks without a URL
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/preferences', authenticateToken, forbidImpersonation, validateNotificationPreferences, async (req, res) => {
+  try {
+    const { webhook_url } = req.body;
+    const changes = Object.fromEntries(
+      ['in_app', 'email', 'webhook']
+        .filter(channel => req.body[channel] !== undefined)
+        .map(channel => [channel, req.body[channel]])
+    );
+
+    const current = await getNotificationPreferences(req.user.id);
+    const webhookUrl = webhook_url !== undefined ? webhook_url : current.webhook_url;
+    const webhookEnabled = changes.webhook !== undefined ? changes.webhook : current.webhook;
+
+    if (webhookEnabled && !webhookUrl) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Set a webhook_url to receive webhook notifications'
+      });
+    }
+
+    const preferences = await updateNotificationPreferences(req.user.id, changes, webhook_url);
+
+    res.json({
+      message: 'Notification preferences updated successfully',
+      preferences
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update notification preferences'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/profile/notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification marked read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 notification:
+ *                   $ref: '#/components/schemas/Notification'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating
+ *       404:
+ *         description: Notification not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/read', authenticateToken, forbidImpersonation, validateId, async (req, res) => {
+  try {
+    const notification = await markNotificationRead(req.user.id, req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        error: 'Notification not found',
+        message: 'Notification with the specified ID not found'
+      });
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to mark notification as read'
+    });
+  }
+});
+
+module.exports = router;
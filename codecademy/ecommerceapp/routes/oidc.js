@@ -0,0 +1,401 @@
+const express = require('express');
+const { authenticateToken, forbidImpersonation } = require('../middleware/auth');
+const { validateOidcExchange, validateId } = require('../middleware/validation');
+const {
+  AUTH_REQUEST_TTL_MINUTES,
+  STATE_COOKIE,
+  stateCookieOptions,
+  getProvider,
+  listProviders,
+  createAuthorizationUrl,
+  fetchCallbackClaims,
+  findOrCreateOidcUser
+} = require('../utils/oidc');
+const { createUserToken, consumeUserToken } = require('../utils/userTokens');
+const { buildAccountClosedResponse, buildAccountDisabledResponse, completeLogin } = require('../utils/login');
+const { recordLoginAttempt, checkAccountThrottle } = require('../utils/loginThrottle');
+const db = require('../config/database');
+
+const router = express.Router();
+
+const LOGIN_TOKEN_TTL_MINUTES = 5;
+const LOGIN_REDIRECT_URL = process.env.OIDC_LOGIN_REDIRECT_URL ||
+  `${process.env.APP_URL || 'http://localhost:3000'}/login/oidc`;
+
+// Send the browser back to the frontend with either a login token or an error code
+const redirectToFrontend = (res, params) => {
+  const location = new URL(LOGIN_REDIRECT_URL);
+  Object.entries(params).forEach(([name, value]) => location.searchParams.set(name, value));
+  res.redirect(location.toString());
+};
+
+const providerNotFound = (res) => {
+  return res.status(404).json({
+    error: 'Provider not found',
+    message: 'This identity provider is not configured'
+  });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Single Sign-On
+ *   description: Login with external OpenID Connect providers
+ */
+
+/**
+ * @swagger
+ * /api/auth/oidc/providers:
+ *   get:
+ *     summary: Get configured identity providers
+ *     tags: [Single Sign-On]
+ *     responses:
+ *       200:
+ *         description: List of providers
+ *         content:
+ *           application/json:
+ *             example:
+ *               providers:
+ *                 - name: google
+ *                   display_name: Google
+ *                   login_url: /api/auth/oidc/google
+ */
+router.get('/providers', (req, res) => {
+  res.json({
+    providers: listProviders().map(provider => ({
+      name: provider.name,
+      display_name: provider.displayName,
+      login_url: `/api/auth/oidc/${provider.name}`
+    }))
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/identities:
+ *   get:
+ *     summary: Get the current user's linked provider identities
+ *     tags: [Single Sign-On]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked identities
+ *         content:
+ *           application/json:
+ *             example:
+ *               identities:
+ *                 - id: 1
+ *                   provider: google
+ *                   email: john.doe@example.com
+ *                   last_login_at: 2024-01-01T00:00:00.000Z
+ *                   created_at: 2024-01-01T00:00:00.000Z
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/identities', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT id, provider, email, last_login_at, created_at
+       FROM user_identities
+       WHERE user_id = $1
+       ORDER BY created_at`,
+      [req.user.id]
+    );
+
+    res.json({
+      identities: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get identities error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve identities'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/identities/{id}:
+ *   delete:
+ *     summary: Unlink a provider identity
+ *     description: |
+ *       The provider can no longer be used to log in to this account. Accounts created through a
+ *       provider have no password; use /api/auth/forgot-password to set one before unlinking.
+ *     tags: [Single Sign-On]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Identity unlinked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating a user
+ *       404:
+ *         description: Identity not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/identities/:id', authenticateToken, forbidImpersonation, validateId, async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM user_identities WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Identity not found',
+        message: 'Identity with the specified ID not found'
+      });
+    }
+
+    res.json({
+      message: 'Identity unlinked successfully'
+    });
+
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to unlink identity'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/exchange:
+ *   post:
+ *     summary: Exchange an SSO login token for tokens
+ *     description: |
+ *       Completes a login started at /api/auth/oidc/{provider}. Accounts with two-factor
+ *       authentication get a challenge to complete at /api/auth/login/2fa instead.
+ *     tags: [Single Sign-On]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - login_token
+ *             properties:
+ *               login_token:
+ *                 type: string
+ *                 description: Token from the login redirect
+ *               reactivate:
+ *                 type: boolean
+ *                 description: Reactivate the account if it has been closed
+ *     responses:
+ *       200:
+ *         description: Login successful, or two-factor authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid or expired login token
+ *       403:
+ *         description: Account disabled, or closed; log in with reactivate set to true to reactivate a closed account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 deletion_scheduled_at:
+ *                   type: string
+ *                   format: date-time
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/exchange', validateOidcExchange, async (req, res) => {
+  try {
+    const loginToken = await consumeUserToken(req.body.login_token, 'oidc_login');
+
+    if (!loginToken) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Login token is invalid or has expired, please log in again'
+      });
+    }
+
+    const result = await db.query(
+      `SELECT id, email, first_name, last_name, is_admin, email_verified_at,
+              failed_login_attempts, last_failed_login_at, locked_until, totp_enabled_at, closed_at, disabled_at
+       FROM users WHERE id = $1`,
+      [loginToken.userId]
+    );
+
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Login token is invalid or has expired, please log in again'
+      });
+    }
+
+    const attempt = { email: user.email, userId: user.id, ip: req.ip, userAgent: req.get('user-agent') };
+
+    const accountThrottle = checkAccountThrottle(user);
+
+    if (accountThrottle && accountThrottle.reason === 'account_locked') {
+      await recordLoginAttempt({ ...attempt, success: false, reason: accountThrottle.reason });
+      return res.status(423).json({
+        error: 'Account locked',
+        message: 'Too many failed login attempts. Please try again later or reset your password',
+        locked_until: accountThrottle.lockedUntil
+      });
+    }
+
+    if (user.disabled_at) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'account_disabled' });
+      return res.status(403).json(buildAccountDisabledResponse());
+    }
+
+    if (user.closed_at && !req.body.reactivate) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'account_closed' });
+      return res.status(403).json(buildAccountClosedResponse(user));
+    }
+
+    res.json(await completeLogin(user, attempt, {
+      successReason: 'success_oidc',
+      reactivate: req.body.reactivate
+    }));
+
+  } catch (error) {
+    console.error('OIDC exchange error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to login user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}:
+ *   get:
+ *     summary: Start a login with an identity provider
+ *     description: |
+ *       Redirects the browser to the provider (authorization code flow with PKCE). The provider
+ *       sends the user back to /api/auth/oidc/{provider}/callback, which only completes the login in
+ *       the browser that started it (an httpOnly oidc_state cookie, valid for 10 minutes).
+ *     tags: [Single Sign-On]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: login_hint
+ *         schema:
+ *           type: string
+ *         description: Email address to pre-fill at the provider
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider
+ *       404:
+ *         description: Provider not configured
+ *       502:
+ *         description: Provider could not be reached
+ */
+router.get('/:provider', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    return providerNotFound(res);
+  }
+
+  try {
+    const loginHint = typeof req.query.login_hint === 'string' ? req.query.login_hint : undefined;
+    const { url, state } = await createAuthorizationUrl(provider, { loginHint });
+
+    res.cookie(STATE_COOKIE, state, {
+      ...stateCookieOptions(provider),
+      maxAge: AUTH_REQUEST_TTL_MINUTES * 60 * 1000
+    });
+    res.redirect(url);
+
+  } catch (error) {
+    console.error('OIDC authorization error:', error);
+    res.status(502).json({
+      error: 'Provider unavailable',
+      message: 'Failed to contact the identity provider'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}/callback:
+ *   get:
+ *     summary: Identity provider callback
+ *     description: |
+ *       Validates the provider's response and redirects to OIDC_LOGIN_REDIRECT_URL with a short-lived
+ *       login_token to exchange at /api/auth/oidc/exchange, or with an error code. The identity is
+ *       linked to the account with the same email if the provider has verified it; otherwise a new
+ *       account (with a cart) is created.
+ *     tags: [Single Sign-On]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend with login_token or error
+ *       404:
+ *         description: Provider not configured
+ */
+router.get('/:provider/callback', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    return providerNotFound(res);
+  }
+
+  // The state cookie is single use, whether or not the login succeeds
+  res.clearCookie(STATE_COOKIE, stateCookieOptions(provider));
+
+  try {
+    const claims = await fetchCallbackClaims(provider, req);
+    const { user } = await findOrCreateOidcUser(provider.name, claims);
+
+    const loginToken = await createUserToken(user.id, 'oidc_login', LOGIN_TOKEN_TTL_MINUTES, {
+      provider: provider.name
+    });
+
+    redirectToFrontend(res, { login_token: loginToken });
+
+  } catch (error) {
+    if (!error.loginError) {
+      console.error('OIDC callback error:', error);
+    }
+    redirectToFrontend(res, { error: error.loginError || 'login_failed' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,95 @@
 const express = require('express');
-const { authenticateToken, requireAdmin, requireOwnershipOrAdmin } = require('../middleware/auth');
-const { validateOrder, validateOrderStatusUpdate, validateId, validatePagination } = require('../middleware/validation');
+const {
+  authenticateToken,
+  requirePermission,
+  requireApiKeyScope,
+  requireVerifiedEmail,
+  hasPermission
+} = require('../middleware/auth');
+const {
+  validateOrder,
+  validateOrderStatusUpdate,
+  validateId,
+  validatePagination,
+  validateOrderSort
+} = require('../middleware/validation');
+const { findAddress, findDefaultAddress, toSnapshot, formatAddress } = require('../utils/addresses');
+const { groupPriceJoins, GROUP_VARIANT_PRICE } = require('../utils/customerGroups');
+const { emitNotification } = require('../utils/notifications');
+const { PRODUCT_CATEGORIES } = require('../utils/categories');
+const { listSort, orderBy, cursorValue, afterCursor, encodeCursor, decodeCursor } = require('../utils/pagination');
 const db = require('../config/database');
 
 const router = express.Router();
 
+// Sorts of the order list, newest first by default
+const ORDER_SORTS = {
+  newest: { expression: 'o.created_at', type: 'TIMESTAMP', order: 'desc' },
+  total: { expression: 'o.total_amount', type: 'NUMERIC', order: 'desc' },
+  status: { expression: 'o.status', type: 'TEXT', order: 'asc' }
+};
+
+// The one-line text and structured copy of an address stored on an order
+const toOrderAddress = (address) => {
+  const snapshot = toSnapshot(address);
+  return { text: formatAddress(snapshot), snapshot };
+};
+
+// Work out an order address from a saved address ID, a structured address or free text.
+// Returns null if none was given and { notFound: true } for someone else's address ID.
+const resolveOrderAddress = async (userId, addressId, address) => {
+  if (addressId) {
+    const saved = await findAddress(userId, addressId);
+    return saved ? toOrderAddress(saved) : { notFound: true };
+  }
+
+  if (address && typeof address === 'object') {
+    return toOrderAddress(address);
+  }
+
+  if (address) {
+    // Free-text addresses from older clients have no structured copy
+    return { text: address, snapshot: null };
+  }
+
+  return null;
+};
+
+// An order's items with their products and the variants ordered
+const findOrderItems = async (orderId) => {
+  const result = await db.query(
+    `SELECT oi.id, oi.order_id, oi.product_id, oi.variant_id, oi.sku, oi.variant_options, oi.quantity, oi.price,
+            oi.created_at, oi.updated_at, p.name, p.description, ${PRODUCT_CATEGORIES} AS categories, p.image_url,
+            (oi.quantity * oi.price) as subtotal
+     FROM order_items oi
+     JOIN products p ON oi.product_id = p.id
+     WHERE oi.order_id = $1
+     ORDER BY oi.created_at`,
+    [orderId]
+  );
+
+  return result.rows.map(item => ({
+    id: item.id,
+    order_id: item.order_id,
+    product_id: item.product_id,
+    variant_id: item.variant_id,
+    sku: item.sku,
+    options: item.variant_options,
+    quantity: item.quantity,
+    price: parseFloat(item.price),
+    product: {
+      id: item.product_id,
+      name: item.name,
+      description: item.description,
+      categories: item.categories,
+      image_url: item.image_url
+    },
+    subtotal: parseFloat(item.subtotal),
+    created_at: item.created_at,
+    updated_at: item.updated_at
+  }));
+};
+
 /**
  * @swagger
  * components:
@@ -28,10 +113,14 @@ const router = express.Router();
  *           description: Order status
  *         shipping_address:
  *           type: string
- *           description: Shipping address
+ *           description: Shipping address as a single line
  *         billing_address:
  *           type: string
- *           description: Billing address
+ *           description: Billing address as a single line
+ *         shipping_address_snapshot:
+ *           $ref: '#/components/schemas/AddressSnapshot'
+ *         billing_address_snapshot:
+ *           $ref: '#/components/schemas/AddressSnapshot'
  *         items:
  *           type: array
  *           items:
@@ -51,6 +140,19 @@ const router = express.Router();
  *           type: integer
  *         product_id:
  *           type: integer
+ *         variant_id:
+ *           type: integer
+ *           nullable: true
+ *         sku:
+ *           type: string
+ *           nullable: true
+ *           description: SKU of the variant ordered
+ *         options:
+ *           type: object
+ *           nullable: true
+ *           additionalProperties:
+ *             type: string
+ *           description: Options of the variant ordered, as they were when ordering
  *         quantity:
  *           type: integer
  *         price:
@@ -65,8 +167,10 @@ const router = express.Router();
  *               type: string
  *             description:
  *               type: string
- *             category:
- *               type: string
+ *             categories:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CategorySummary'
  *             image_url:
  *               type: string
  *         subtotal:
@@ -78,21 +182,55 @@ const router = express.Router();
  *         updated_at:
  *           type: string
  *           format: date-time
+ *     AddressSnapshot:
+ *       type: object
+ *       nullable: true
+ *       description: Copy of the structured address the order was placed with (null for free-text addresses)
+ *       properties:
+ *         full_name:
+ *           type: string
+ *         line1:
+ *           type: string
+ *         line2:
+ *           type: string
+ *         city:
+ *           type: string
+ *         region:
+ *           type: string
+ *         postal_code:
+ *           type: string
+ *         country:
+ *           type: string
+ *         phone:
+ *           type: string
  *     CreateOrder:
  *       type: object
- *       required:
- *         - shipping_address
+ *       description: |
+ *         Each address may be given as the ID of a saved address, a structured address or free text,
+ *         but not as both an ID and an address. Without a shipping address the user's default
+ *         shipping address is used. Without a billing address the default billing address is used,
+ *         or else the shipping address.
  *       properties:
+ *         shipping_address_id:
+ *           type: integer
+ *           description: ID of one of the user's saved addresses
  *         shipping_address:
- *           type: string
- *           minLength: 10
- *           maxLength: 500
- *           description: Shipping address
+ *           oneOf:
+ *             - $ref: '#/components/schemas/AddressInput'
+ *             - type: string
+ *               minLength: 10
+ *               maxLength: 500
+ *           description: Structured address, or free text for older clients
+ *         billing_address_id:
+ *           type: integer
+ *           description: ID of one of the user's saved addresses
  *         billing_address:
- *           type: string
- *           minLength: 10
- *           maxLength: 500
- *           description: Billing address (optional, defaults to shipping address)
+ *           oneOf:
+ *             - $ref: '#/components/schemas/AddressInput'
+ *             - type: string
+ *               minLength: 10
+ *               maxLength: 500
+ *           description: Structured address, or free text for older clients
  *     UpdateOrderStatus:
  *       type: object
  *       required:
@@ -108,10 +246,11 @@ const router = express.Router();
  * @swagger
  * /api/orders:
  *   get:
- *     summary: Get user's orders (or all orders for admin)
+ *     summary: Get user's orders (or all orders with orders:read)
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -132,6 +271,23 @@ const router = express.Router();
  *           type: string
  *           enum: [pending, processing, shipped, delivered, cancelled]
  *         description: Filter by order status
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, total, status]
+ *           default: newest
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Defaults to desc for newest and total and asc for status
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor of the previous page, to continue after it instead of using page
  *     responses:
  *       200:
  *         description: Orders retrieved successfully
@@ -146,6 +302,7 @@ const router = express.Router();
  *                     $ref: '#/components/schemas/Order'
  *                 pagination:
  *                   type: object
+ *                   description: page and pages are left out when paging with a cursor
  *                   properties:
  *                     page:
  *                       type: integer
@@ -155,26 +312,32 @@ const router = express.Router();
  *                       type: integer
  *                     pages:
  *                       type: integer
+ *                     next_cursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Pass as cursor to get the next page; null on the last page
+ *       400:
+ *         description: Validation error or invalid cursor
  *       401:
  *         description: Unauthorized
  *       500:
  *         description: Internal server error
  */
-router.get('/', authenticateToken, validatePagination, async (req, res) => {
+router.get('/', authenticateToken, requireApiKeyScope('orders:read'), validatePagination, validateOrderSort, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
-    const { status } = req.query;
+    const { status, cursor } = req.query;
     const userId = req.user.id;
-    const isAdmin = req.user.is_admin;
+    const canViewAll = hasPermission(req.user, 'orders:read');
 
     // Build WHERE clause
     const conditions = [];
     const params = [];
     let paramCount = 1;
 
-    if (!isAdmin) {
+    if (!canViewAll) {
       conditions.push(`user_id = $${paramCount}`);
       params.push(userId);
       paramCount++;
@@ -193,50 +356,44 @@ router.get('/', authenticateToken, validatePagination, async (req, res) => {
     const countResult = await db.query(countQuery, params);
     const total = parseInt(countResult.rows[0].count);
 
-    // Get orders
+    // A cursor continues after the last order of the previous page instead of skipping rows
+    const sort = listSort(ORDER_SORTS, req.query);
+
+    if (cursor) {
+      const position = decodeCursor(cursor, sort);
+
+      if (!position) {
+        return res.status(400).json({
+          error: 'Invalid cursor',
+          message: 'The cursor is not from this list and sort order'
+        });
+      }
+
+      conditions.push(afterCursor(sort, 'o.id', paramCount));
+      params.push(position.value, position.id);
+      paramCount += 2;
+    }
+
+    // Get orders, one more than the page holds to tell whether there is a next page
     const ordersQuery = `
-      SELECT o.id, o.user_id, o.total_amount, o.status, o.shipping_address, o.billing_address, o.created_at, o.updated_at,
-             u.first_name, u.last_name, u.email
+      SELECT o.id, o.user_id, o.total_amount, o.status, o.shipping_address, o.billing_address,
+             o.shipping_address_snapshot, o.billing_address_snapshot, o.created_at, o.updated_at,
+             u.first_name, u.last_name, u.email, ${cursorValue(sort)}
       FROM orders o
       JOIN users u ON o.user_id = u.id
-      ${whereClause}
-      ORDER BY o.created_at DESC
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${orderBy(sort, 'o.id')}
       LIMIT $${paramCount} OFFSET $${paramCount + 1}
     `;
 
-    const ordersResult = await db.query(ordersQuery, [...params, limit, offset]);
+    const ordersResult = await db.query(ordersQuery, [...params, limit + 1, cursor ? 0 : offset]);
+    const rows = ordersResult.rows.slice(0, limit);
+    const nextCursor = ordersResult.rows.length > limit ? encodeCursor(sort, rows[rows.length - 1]) : null;
 
     // Get order items for each order
     const ordersWithItems = await Promise.all(
-      ordersResult.rows.map(async (order) => {
-        const itemsResult = await db.query(
-          `SELECT oi.id, oi.order_id, oi.product_id, oi.quantity, oi.price, oi.created_at, oi.updated_at,
-                  p.name, p.description, p.category, p.image_url,
-                  (oi.quantity * oi.price) as subtotal
-           FROM order_items oi
-           JOIN products p ON oi.product_id = p.id
-           WHERE oi.order_id = $1
-           ORDER BY oi.created_at`,
-          [order.id]
-        );
-
-        const items = itemsResult.rows.map(item => ({
-          id: item.id,
-          order_id: item.order_id,
-          product_id: item.product_id,
-          quantity: item.quantity,
-          price: parseFloat(item.price),
-          product: {
-            id: item.product_id,
-            name: item.name,
-            description: item.description,
-            category: item.category,
-            image_url: item.image_url
-          },
-          subtotal: parseFloat(item.subtotal),
-          created_at: item.created_at,
-          updated_at: item.updated_at
-        }));
+      rows.map(async (order) => {
+        const items = await findOrderItems(order.id);
 
         return {
           id: order.id,
@@ -245,7 +402,9 @@ router.get('/', authenticateToken, validatePagination, async (req, res) => {
           status: order.status,
           shipping_address: order.shipping_address,
           billing_address: order.billing_address,
-          user: isAdmin ? {
+          shipping_address_snapshot: order.shipping_address_snapshot,
+          billing_address_snapshot: order.billing_address_snapshot,
+          user: canViewAll ? {
             first_name: order.first_name,
             last_name: order.last_name,
             email: order.email
@@ -259,12 +418,9 @@ router.get('/', authenticateToken, validatePagination, async (req, res) => {
 
     res.json({
       orders: ordersWithItems,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      pagination: cursor
+        ? { limit, total, next_cursor: nextCursor }
+        : { page, limit, total, pages: Math.ceil(total / limit), next_cursor: nextCursor }
     });
 
   } catch (error) {
@@ -284,6 +440,7 @@ router.get('/', authenticateToken, validatePagination, async (req, res) => {
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -310,15 +467,16 @@ router.get('/', authenticateToken, validatePagination, async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', authenticateToken, validateId, async (req, res) => {
+router.get('/:id', authenticateToken, requireApiKeyScope('orders:read'), validateId, async (req, res) => {
   try {
     const orderId = req.params.id;
     const userId = req.user.id;
-    const isAdmin = req.user.is_admin;
+    const canViewAll = hasPermission(req.user, 'orders:read');
 
     // Get order
     const orderResult = await db.query(
-      `SELECT o.id, o.user_id, o.total_amount, o.status, o.shipping_address, o.billing_address, o.created_at, o.updated_at,
+      `SELECT o.id, o.user_id, o.total_amount, o.status, o.shipping_address, o.billing_address,
+              o.shipping_address_snapshot, o.billing_address_snapshot, o.created_at, o.updated_at,
               u.first_name, u.last_name, u.email
        FROM orders o
        JOIN users u ON o.user_id = u.id
@@ -335,8 +493,8 @@ router.get('/:id', authenticateToken, validateId, async (req, res) => {
 
     const order = orderResult.rows[0];
 
-    // Check if user owns the order or is admin
-    if (!isAdmin && order.user_id !== userId) {
+    // Check if user owns the order or may view all orders
+    if (!canViewAll && order.user_id !== userId) {
       return res.status(403).json({
         error: 'Access forbidden',
         message: 'You can only access your own orders'
@@ -344,34 +502,7 @@ router.get('/:id', authenticateToken, validateId, async (req, res) => {
     }
 
     // Get order items
-    const itemsResult = await db.query(
-      `SELECT oi.id, oi.order_id, oi.product_id, oi.quantity, oi.price, oi.created_at, oi.updated_at,
-              p.name, p.description, p.category, p.image_url,
-              (oi.quantity * oi.price) as subtotal
-       FROM order_items oi
-       JOIN products p ON oi.product_id = p.id
-       WHERE oi.order_id = $1
-       ORDER BY oi.created_at`,
-      [orderId]
-    );
-
-    const items = itemsResult.rows.map(item => ({
-      id: item.id,
-      order_id: item.order_id,
-      product_id: item.product_id,
-      quantity: item.quantity,
-      price: parseFloat(item.price),
-      product: {
-        id: item.product_id,
-        name: item.name,
-        description: item.description,
-        category: item.category,
-        image_url: item.image_url
-      },
-      subtotal: parseFloat(item.subtotal),
-      created_at: item.created_at,
-      updated_at: item.updated_at
-    }));
+    const items = await findOrderItems(orderId);
 
     res.json({
       order: {
@@ -381,7 +512,9 @@ router.get('/:id', authenticateToken, validateId, async (req, res) => {
         status: order.status,
         shipping_address: order.shipping_address,
         billing_address: order.billing_address,
-        user: isAdmin ? {
+        shipping_address_snapshot: order.shipping_address_snapshot,
+        billing_address_snapshot: order.billing_address_snapshot,
+        user: canViewAll ? {
           first_name: order.first_name,
           last_name: order.last_name,
           email: order.email
@@ -406,6 +539,7 @@ router.get('/:id', authenticateToken, validateId, async (req, res) => {
  * /api/orders:
  *   post:
  *     summary: Create a new order from cart
+ *     description: Items are charged what the customer pays at the time of ordering, including customer group pricing.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -415,9 +549,25 @@ router.get('/:id', authenticateToken, validateId, async (req, res) => {
  *         application/json:
  *           schema:
  *             $ref: '#/components/schemas/CreateOrder'
- *           example:
- *             shipping_address: "123 Main St, City, State 12345"
- *             billing_address: "123 Main St, City, State 12345"
+ *           examples:
+ *             savedAddress:
+ *               summary: Saved address
+ *               value:
+ *                 shipping_address_id: 1
+ *             structuredAddress:
+ *               summary: Structured address
+ *               value:
+ *                 shipping_address:
+ *                   full_name: John Doe
+ *                   line1: 123 Main St
+ *                   city: Springfield
+ *                   region: IL
+ *                   postal_code: '62701'
+ *                   country: US
+ *             freeText:
+ *               summary: Free-text address
+ *               value:
+ *                 shipping_address: "123 Main St, City, State 12345"
  *     responses:
  *       201:
  *         description: Order created successfully
@@ -431,21 +581,50 @@ router.get('/:id', authenticateToken, validateId, async (req, res) => {
  *                 order:
  *                   $ref: '#/components/schemas/Order'
  *       400:
- *         description: Validation error or empty cart
+ *         description: Validation error, empty cart, insufficient stock, no variant chosen for a product sold as variants, a variant that is no longer sold, unknown address or no shipping address
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Email address not verified
  *       500:
  *         description: Internal server error
  */
-router.post('/', authenticateToken, validateOrder, async (req, res) => {
+router.post('/', authenticateToken, requireVerifiedEmail, validateOrder, async (req, res) => {
   const client = await db.getClient();
 
   try {
-    await client.query('BEGIN');
-
-    const { shipping_address, billing_address } = req.body;
+    const { shipping_address, shipping_address_id, billing_address, billing_address_id } = req.body;
     const userId = req.user.id;
 
+    let shipping = await resolveOrderAddress(userId, shipping_address_id, shipping_address);
+    let billing = await resolveOrderAddress(userId, billing_address_id, billing_address);
+
+    if ((shipping && shipping.notFound) || (billing && billing.notFound)) {
+      return res.status(400).json({
+        error: 'Order creation failed',
+        message: 'Address not found'
+      });
+    }
+
+    if (!shipping) {
+      const defaultShipping = await findDefaultAddress(userId, 'shipping');
+      shipping = defaultShipping && toOrderAddress(defaultShipping);
+    }
+
+    if (!shipping) {
+      return res.status(400).json({
+        error: 'Order creation failed',
+        message: 'Shipping address is required'
+      });
+    }
+
+    if (!billing) {
+      const defaultBilling = await findDefaultAddress(userId, 'billing');
+      billing = defaultBilling ? toOrderAddress(defaultBilling) : shipping;
+    }
+
+    await client.query('BEGIN');
+
     // Get user's cart
     const cartResult = await client.query(
       'SELECT id FROM carts WHERE user_id = $1',
@@ -461,13 +640,20 @@ router.post('/', authenticateToken, validateOrder, async (req, res) => {
 
     const cartId = cartResult.rows[0].id;
 
-    // Get cart items with product details
+    // Get cart items with product and variant details, priced for the customer's group
     const cartItemsResult = await client.query(
-      `SELECT ci.product_id, ci.quantity, p.price, p.stock_quantity, p.name
+      `SELECT ci.product_id, ci.variant_id, ci.quantity, ${GROUP_VARIANT_PRICE} AS price,
+              COALESCE(v.stock_quantity, p.stock_quantity) AS stock_quantity, p.name, v.sku, v.options,
+              ci.variant_id IS NULL AND EXISTS (
+                SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id AND pv.is_active
+              ) AS needs_variant,
+              v.id IS NOT NULL AND NOT v.is_active AS variant_unavailable
        FROM cart_items ci
        JOIN products p ON ci.product_id = p.id
+       LEFT JOIN product_variants v ON ci.variant_id = v.id
+       ${groupPriceJoins('$2')}
        WHERE ci.cart_id = $1 AND p.is_active = true`,
-      [cartId]
+      [cartId, req.user.customer_group_id]
     );
 
     if (cartItemsResult.rows.length === 0) {
@@ -479,9 +665,28 @@ router.post('/', authenticateToken, validateOrder, async (req, res) => {
 
     const cartItems = cartItemsResult.rows;
 
+    // Variants deactivated since they were added to the cart
+    const unavailable = cartItems.filter((item) => item.variant_unavailable);
+    if (unavailable.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: 'Variant unavailable',
+        message: `Remove the items no longer sold from your cart: ${unavailable.map((item) => `${item.name} (${item.sku})`).join(', ')}`
+      });
+    }
+
     // Check stock availability and calculate total
     let totalAmount = 0;
     for (const item of cartItems) {
+      // Items added before their product was split into variants
+      if (item.needs_variant) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          error: 'Variant required',
+          message: `Choose a variant of ${item.name} in your cart`
+        });
+      }
+
       if (item.quantity > item.stock_quantity) {
         await client.query('ROLLBACK');
         return res.status(400).json({
@@ -494,10 +699,12 @@ router.post('/', authenticateToken, validateOrder, async (req, res) => {
 
     // Create order
     const orderResult = await client.query(
-      `INSERT INTO orders (user_id, total_amount, shipping_address, billing_address)
-       VALUES ($1, $2, $3, $4)
-       RETURNING id, user_id, total_amount, status, shipping_address, billing_address, created_at, updated_at`,
-      [userId, totalAmount, shipping_address, billing_address || shipping_address]
+      `INSERT INTO orders (user_id, total_amount, shipping_address, billing_address,
+                           shipping_address_snapshot, billing_address_snapshot)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, user_id, total_amount, status, shipping_address, billing_address,
+                 shipping_address_snapshot, billing_address_snapshot, created_at, updated_at`,
+      [userId, totalAmount, shipping.text, billing.text, shipping.snapshot, billing.snapshot]
     );
 
     const order = orderResult.rows[0];
@@ -507,19 +714,26 @@ router.post('/', authenticateToken, validateOrder, async (req, res) => {
     for (const item of cartItems) {
       // Create order item
       const orderItemResult = await client.query(
-        `INSERT INTO order_items (order_id, product_id, quantity, price)
-         VALUES ($1, $2, $3, $4)
-         RETURNING id, order_id, product_id, quantity, price, created_at, updated_at`,
-        [order.id, item.product_id, item.quantity, item.price]
+        `INSERT INTO order_items (order_id, product_id, variant_id, sku, variant_options, quantity, price)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id, order_id, product_id, variant_id, sku, variant_options, quantity, price, created_at, updated_at`,
+        [order.id, item.product_id, item.variant_id, item.sku, item.options, item.quantity, item.price]
       );
 
       orderItems.push(orderItemResult.rows[0]);
 
-      // Update product stock
-      await client.query(
-        'UPDATE products SET stock_quantity = stock_quantity - $1 WHERE id = $2',
-        [item.quantity, item.product_id]
-      );
+      // Update the stock of the variant, or of the product
+      if (item.variant_id) {
+        await client.query(
+          'UPDATE product_variants SET stock_quantity = stock_quantity - $1 WHERE id = $2',
+          [item.quantity, item.variant_id]
+        );
+      } else {
+        await client.query(
+          'UPDATE products SET stock_quantity = stock_quantity - $1 WHERE id = $2',
+          [item.quantity, item.product_id]
+        );
+      }
     }
 
     // Clear cart
@@ -527,42 +741,21 @@ router.post('/', authenticateToken, validateOrder, async (req, res) => {
 
     await client.query('COMMIT');
 
+    emitNotification(order.user_id, 'order_created', {
+      order_id: order.id,
+      total_amount: parseFloat(order.total_amount)
+    });
+
     // Get full order details with items
     const fullOrderResult = await db.query(
-      `SELECT o.id, o.user_id, o.total_amount, o.status, o.shipping_address, o.billing_address, o.created_at, o.updated_at
+      `SELECT o.id, o.user_id, o.total_amount, o.status, o.shipping_address, o.billing_address,
+              o.shipping_address_snapshot, o.billing_address_snapshot, o.created_at, o.updated_at
        FROM orders o
        WHERE o.id = $1`,
       [order.id]
     );
 
-    const itemsResult = await db.query(
-      `SELECT oi.id, oi.order_id, oi.product_id, oi.quantity, oi.price, oi.created_at, oi.updated_at,
-              p.name, p.description, p.category, p.image_url,
-              (oi.quantity * oi.price) as subtotal
-       FROM order_items oi
-       JOIN products p ON oi.product_id = p.id
-       WHERE oi.order_id = $1
-       ORDER BY oi.created_at`,
-      [order.id]
-    );
-
-    const items = itemsResult.rows.map(item => ({
-      id: item.id,
-      order_id: item.order_id,
-      product_id: item.product_id,
-      quantity: item.quantity,
-      price: parseFloat(item.price),
-      product: {
-        id: item.product_id,
-        name: item.name,
-        description: item.description,
-        category: item.category,
-        image_url: item.image_url
-      },
-      subtotal: parseFloat(item.subtotal),
-      created_at: item.created_at,
-      updated_at: item.updated_at
-    }));
+    const items = await findOrderItems(order.id);
 
     res.status(201).json({
       message: 'Order created successfully',
@@ -573,6 +766,8 @@ router.post('/', authenticateToken, validateOrder, async (req, res) => {
         status: order.status,
         shipping_address: order.shipping_address,
         billing_address: order.billing_address,
+        shipping_address_snapshot: order.shipping_address_snapshot,
+        billing_address_snapshot: order.billing_address_snapshot,
         items,
         created_at: order.created_at,
         updated_at: order.updated_at
@@ -595,10 +790,11 @@ router.post('/', authenticateToken, validateOrder, async (req, res) => {
  * @swagger
  * /api/orders/{id}/status:
  *   put:
- *     summary: Update order status (Admin only)
+ *     summary: Update order status (requires orders:update_status)
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -631,23 +827,26 @@ router.post('/', authenticateToken, validateOrder, async (req, res) => {
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Admin privileges required
+ *         description: Missing permission
  *       404:
  *         description: Order not found
  *       500:
  *         description: Internal server error
  */
-router.put('/:id/status', authenticateToken, requireAdmin, validateId, validateOrderStatusUpdate, async (req, res) => {
+router.put('/:id/status', authenticateToken, requirePermission('orders:update_status'), validateId, validateOrderStatusUpdate, async (req, res) => {
   try {
     const orderId = req.params.id;
     const { status } = req.body;
 
-    // Update order status
+    // Update order status, keeping the previous one to tell the customer what changed
     const result = await db.query(
-      `UPDATE orders
+      `UPDATE orders o
        SET status = $1
-       WHERE id = $2
-       RETURNING id, user_id, total_amount, status, shipping_address, billing_address, created_at, updated_at`,
+       FROM (SELECT id, status FROM orders WHERE id = $2 FOR UPDATE) previous
+       WHERE o.id = previous.id
+       RETURNING o.id, o.user_id, o.total_amount, o.status, o.shipping_address, o.billing_address,
+                 o.shipping_address_snapshot, o.billing_address_snapshot, o.created_at, o.updated_at,
+                 previous.status AS previous_status`,
       [status, orderId]
     );
 
@@ -660,35 +859,18 @@ router.put('/:id/status', authenticateToken, requireAdmin, validateId, validateO
 
     const order = result.rows[0];
 
-    // Get order items
-    const itemsResult = await db.query(
-      `SELECT oi.id, oi.order_id, oi.product_id, oi.quantity, oi.price, oi.created_at, oi.updated_at,
-              p.name, p.description, p.category, p.image_url,
-              (oi.quantity * oi.price) as subtotal
-       FROM order_items oi
-       JOIN products p ON oi.product_id = p.id
-       WHERE oi.order_id = $1
-       ORDER BY oi.created_at`,
-      [orderId]
-    );
+    if (order.status === 'cancelled' && order.previous_status !== 'cancelled') {
+      emitNotification(order.user_id, 'order_cancelled', { order_id: order.id, cancelled_by: 'staff' });
+    } else if (order.status !== order.previous_status) {
+      emitNotification(order.user_id, 'order_status_changed', {
+        order_id: order.id,
+        status: order.status,
+        previous_status: order.previous_status
+      });
+    }
 
-    const items = itemsResult.rows.map(item => ({
-      id: item.id,
-      order_id: item.order_id,
-      product_id: item.product_id,
-      quantity: item.quantity,
-      price: parseFloat(item.price),
-      product: {
-        id: item.product_id,
-        name: item.name,
-        description: item.description,
-        category: item.category,
-        image_url: item.image_url
-      },
-      subtotal: parseFloat(item.subtotal),
-      created_at: item.created_at,
-      updated_at: item.updated_at
-    }));
+    // Get order items
+    const items = await findOrderItems(orderId);
 
     res.json({
       message: 'Order status updated successfully',
@@ -699,6 +881,8 @@ router.put('/:id/status', authenticateToken, requireAdmin, validateId, validateO
         status: order.status,
         shipping_address: order.shipping_address,
         billing_address: order.billing_address,
+        shipping_address_snapshot: order.shipping_address_snapshot,
+        billing_address_snapshot: order.billing_address_snapshot,
         items,
         created_at: order.created_at,
         updated_at: order.updated_at
@@ -722,6 +906,7 @@ router.put('/:id/status', authenticateToken, requireAdmin, validateId, validateO
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -752,7 +937,7 @@ router.put('/:id/status', authenticateToken, requireAdmin, validateId, validateO
  *       500:
  *         description: Internal server error
  */
-router.put('/:id/cancel', authenticateToken, validateId, async (req, res) => {
+router.put('/:id/cancel', authenticateToken, requireApiKeyScope('orders:update_status'), validateId, async (req, res) => {
   const client = await db.getClient();
 
   try {
@@ -760,7 +945,7 @@ router.put('/:id/cancel', authenticateToken, validateId, async (req, res) => {
 
     const orderId = req.params.id;
     const userId = req.user.id;
-    const isAdmin = req.user.is_admin;
+    const canCancelAny = hasPermission(req.user, 'orders:update_status');
 
     // Get order
     const orderResult = await client.query(
@@ -777,8 +962,8 @@ router.put('/:id/cancel', authenticateToken, validateId, async (req, res) => {
 
     const order = orderResult.rows[0];
 
-    // Check if user owns the order or is admin
-    if (!isAdmin && order.user_id !== userId) {
+    // Check if user owns the order or may manage all orders
+    if (!canCancelAny && order.user_id !== userId) {
       return res.status(403).json({
         error: 'Access forbidden',
         message: 'You can only cancel your own orders'
@@ -795,16 +980,23 @@ router.put('/:id/cancel', authenticateToken, validateId, async (req, res) => {
 
     // Get order items to restore stock
     const itemsResult = await client.query(
-      'SELECT product_id, quantity FROM order_items WHERE order_id = $1',
+      'SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = $1',
       [orderId]
     );
 
-    // Restore stock for each item
+    // Restore stock for each item, to its variant if it had one
     for (const item of itemsResult.rows) {
-      await client.query(
-        'UPDATE products SET stock_quantity = stock_quantity + $1 WHERE id = $2',
-        [item.quantity, item.product_id]
-      );
+      if (item.variant_id) {
+        await client.query(
+          'UPDATE product_variants SET stock_quantity = stock_quantity + $1 WHERE id = $2',
+          [item.quantity, item.variant_id]
+        );
+      } else {
+        await client.query(
+          'UPDATE products SET stock_quantity = stock_quantity + $1 WHERE id = $2',
+          [item.quantity, item.product_id]
+        );
+      }
     }
 
     // Update order status to cancelled
@@ -812,41 +1004,20 @@ router.put('/:id/cancel', authenticateToken, validateId, async (req, res) => {
       `UPDATE orders
        SET status = 'cancelled'
        WHERE id = $1
-       RETURNING id, user_id, total_amount, status, shipping_address, billing_address, created_at, updated_at`,
+       RETURNING id, user_id, total_amount, status, shipping_address, billing_address,
+                 shipping_address_snapshot, billing_address_snapshot, created_at, updated_at`,
       [orderId]
     );
 
     await client.query('COMMIT');
 
-    // Get full order details
-    const fullItemsResult = await db.query(
-      `SELECT oi.id, oi.order_id, oi.product_id, oi.quantity, oi.price, oi.created_at, oi.updated_at,
-              p.name, p.description, p.category, p.image_url,
-              (oi.quantity * oi.price) as subtotal
-       FROM order_items oi
-       JOIN products p ON oi.product_id = p.id
-       WHERE oi.order_id = $1
-       ORDER BY oi.created_at`,
-      [orderId]
-    );
+    emitNotification(order.user_id, 'order_cancelled', {
+      order_id: order.id,
+      cancelled_by: order.user_id === userId ? 'customer' : 'staff'
+    });
 
-    const items = fullItemsResult.rows.map(item => ({
-      id: item.id,
-      order_id: item.order_id,
-      product_id: item.product_id,
-      quantity: item.quantity,
-      price: parseFloat(item.price),
-      product: {
-        id: item.product_id,
-        name: item.name,
-        description: item.description,
-        category: item.category,
-        image_url: item.image_url
-      },
-      subtotal: parseFloat(item.subtotal),
-      created_at: item.created_at,
-      updated_at: item.updated_at
-    }));
+    // Get full order details
+    const items = await findOrderItems(orderId);
 
     const updatedOrder = updateResult.rows[0];
 
@@ -859,6 +1030,8 @@ router.put('/:id/cancel', authenticateToken, validateId, async (req, res) => {
         status: updatedOrder.status,
         shipping_address: updatedOrder.shipping_address,
         billing_address: updatedOrder.billing_address,
+        shipping_address_snapshot: updatedOrder.shipping_address_snapshot,
+        billing_address_snapshot: updatedOrder.billing_address_snapshot,
         items,
         created_at: updatedOrder.created_at,
         updated_at: updatedOrder.updated_at
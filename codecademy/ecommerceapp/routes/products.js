@@ -1,10 +1,67 @@
 const express = require('express');
-const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
-const { validateProduct, validateProductUpdate, validateId, validatePagination, validateSearch } = require('../middleware/validation');
+const { authenticateToken, requirePermission, optionalAuth } = require('../middleware/auth');
+const {
+  validateProduct,
+  validateProductUpdate,
+  validateProductOptions,
+  validateVariant,
+  validateVariantUpdate,
+  validateVariantId,
+  validateId,
+  validatePagination,
+  validateSearch
+} = require('../middleware/validation');
+const { groupPriceJoins, GROUP_PRICE } = require('../utils/customerGroups');
+const {
+  PRODUCT_IN_STOCK,
+  PRODUCT_STOCK,
+  findProductOptions,
+  checkVariantOptions,
+  replaceProductOptions,
+  findVariants,
+  findVariant
+} = require('../utils/productVariants');
+const { productSearch, fuzzySearch } = require('../utils/productSearch');
+const { findProductFacets } = require('../utils/productFacets');
+const { listSort, orderBy, cursorValue, afterCursor, encodeCursor, decodeCursor } = require('../utils/pagination');
+const {
+  PRODUCT_CATEGORIES,
+  inCategory,
+  findCategories,
+  buildCategoryTree,
+  findCategoryId,
+  findMissingCategories,
+  setProductCategories,
+  findProductCategories
+} = require('../utils/categories');
 const db = require('../config/database');
 
 const router = express.Router();
 
+// Products sold as variants report their variants' stock, as in listings
+const PRODUCT_STOCK_COLUMN = `${PRODUCT_STOCK}::INTEGER AS stock_quantity`;
+const PRODUCT_COLUMNS = `p.id, p.name, p.description, p.price, ${PRODUCT_STOCK_COLUMN}, p.image_url, p.is_active,
+  p.created_at, p.updated_at`;
+
+const categoriesNotFound = (res, categoryIds) => res.status(400).json({
+  error: 'Category not found',
+  message: `No categories with IDs: ${categoryIds.join(', ')}`
+});
+
+// Units of the product aliased p sold in orders that weren't cancelled
+const UNITS_SOLD = `(SELECT COALESCE(SUM(oi.quantity), 0) FROM order_items oi
+  JOIN orders o ON o.id = oi.order_id
+  WHERE oi.product_id = p.id AND o.status <> 'cancelled')`;
+
+// Sorts of the product list, newest first by default; searches are sorted by relevance first
+const PRODUCT_SORTS = {
+  newest: { expression: 'p.created_at', type: 'TIMESTAMP', order: 'desc' },
+  price: { expression: GROUP_PRICE, type: 'NUMERIC', order: 'asc' },
+  name: { expression: 'p.name', type: 'TEXT', order: 'asc' },
+  popularity: { expression: UNITS_SOLD, type: 'BIGINT', order: 'desc' },
+  stock: { expression: PRODUCT_STOCK, type: 'BIGINT', order: 'desc' }
+};
+
 /**
  * @swagger
  * components:
@@ -32,15 +89,20 @@ const router = express.Router();
  *           type: number
  *           format: decimal
  *           minimum: 0.01
- *           description: The product price
+ *           description: The product price; for customers in a customer group, the price their group pays
+ *         list_price:
+ *           type: number
+ *           format: decimal
+ *           description: The price customers outside any customer group pay (read only)
  *         stock_quantity:
  *           type: integer
  *           minimum: 0
- *           description: The quantity in stock
- *         category:
- *           type: string
- *           maxLength: 100
- *           description: The product category
+ *           description: The quantity in stock; for products sold as variants, the total of their active variants' stock
+ *         categories:
+ *           type: array
+ *           description: The categories the product is in (not the ones above them)
+ *           items:
+ *             $ref: '#/components/schemas/CategorySummary'
  *         image_url:
  *           type: string
  *           format: url
@@ -54,6 +116,152 @@ const router = express.Router();
  *         updated_at:
  *           type: string
  *           format: date-time
+ *     ProductOption:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: Size
+ *         values:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ['9', '10', '11']
+ *         position:
+ *           type: integer
+ *     ProductVariant:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         product_id:
+ *           type: integer
+ *         sku:
+ *           type: string
+ *         options:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: The value of each of the product's options
+ *           example:
+ *             Size: '10'
+ *             Color: Red
+ *         price:
+ *           type: number
+ *           format: decimal
+ *           description: The price the customer pays, after any customer group pricing
+ *         list_price:
+ *           type: number
+ *           format: decimal
+ *           description: The variant's own price, or the product's price if it has none
+ *         stock_quantity:
+ *           type: integer
+ *         image_url:
+ *           type: string
+ *           nullable: true
+ *         is_active:
+ *           type: boolean
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     ProductDetail:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Product'
+ *         - type: object
+ *           properties:
+ *             options:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ProductOption'
+ *             variants:
+ *               type: array
+ *               description: Variants for sale; products without variants are sold as they are
+ *               items:
+ *                 $ref: '#/components/schemas/ProductVariant'
+ *     VariantInput:
+ *       type: object
+ *       properties:
+ *         sku:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$'
+ *         options:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: One of the values of each of the product's options
+ *         price:
+ *           type: number
+ *           format: decimal
+ *           nullable: true
+ *           description: Price of this variant; null sells it at the product's price
+ *         stock_quantity:
+ *           type: integer
+ *           minimum: 0
+ *         image_url:
+ *           type: string
+ *           format: url
+ *           nullable: true
+ *         is_active:
+ *           type: boolean
+ *     ProductFacets:
+ *       type: object
+ *       description: How many of the matching products (across all pages) fall into each filter; only with facets=true
+ *       properties:
+ *         categories:
+ *           type: array
+ *           description: Categories with matching products in them or in the categories below them
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CategorySummary'
+ *               - type: object
+ *                 properties:
+ *                   parent_id:
+ *                     type: integer
+ *                     nullable: true
+ *                   count:
+ *                     type: integer
+ *         price_ranges:
+ *           type: array
+ *           description: Ranges of the price the customer pays, from min up to but not including max (null for no upper bound)
+ *           items:
+ *             type: object
+ *             properties:
+ *               min:
+ *                 type: number
+ *               max:
+ *                 type: number
+ *                 nullable: true
+ *               count:
+ *                 type: integer
+ *         stock:
+ *           type: object
+ *           properties:
+ *             in_stock:
+ *               type: integer
+ *             out_of_stock:
+ *               type: integer
+ *         attributes:
+ *           type: array
+ *           description: Products with an active variant having each option value
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               values:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     value:
+ *                       type: string
+ *                     count:
+ *                       type: integer
  *     ProductCreate:
  *       type: object
  *       required:
@@ -75,9 +283,12 @@ const router = express.Router();
  *         stock_quantity:
  *           type: integer
  *           minimum: 0
- *         category:
- *           type: string
- *           maxLength: 100
+ *         category_ids:
+ *           type: array
+ *           maxItems: 20
+ *           description: The categories the product is in; replaces its categories on update
+ *           items:
+ *             type: integer
  *         image_url:
  *           type: string
  *           format: url
@@ -100,9 +311,12 @@ const router = express.Router();
  *         stock_quantity:
  *           type: integer
  *           minimum: 0
- *         category:
- *           type: string
- *           maxLength: 100
+ *         category_ids:
+ *           type: array
+ *           maxItems: 20
+ *           description: The categories the product is in; replaces its categories on update
+ *           items:
+ *             type: integer
  *         image_url:
  *           type: string
  *           format: url
@@ -115,6 +329,7 @@ const router = express.Router();
  * /api/products:
  *   get:
  *     summary: Get all products with optional search and pagination
+ *     description: Logged-in customers in a customer group see and filter by their group's prices.
  *     tags: [Products]
  *     parameters:
  *       - in: query
@@ -134,27 +349,55 @@ const router = express.Router();
  *         name: q
  *         schema:
  *           type: string
- *         description: Search query for product name or description
+ *         description: |
+ *           Search product names and descriptions. Every word must match, as the start of a word or
+ *           another form of it ("runn" finds "running", "shoe" finds "shoes"). Results are ordered by
+ *           relevance, name matches first. When nothing matches, products whose names are similar to
+ *           the query are returned instead, so typos still find products.
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter by category
+ *         description: Filter by category ID or slug, including the categories below it
  *       - in: query
  *         name: min_price
  *         schema:
  *           type: number
- *         description: Minimum price filter
+ *         description: Minimum price filter (the price the customer pays)
  *       - in: query
  *         name: max_price
  *         schema:
  *           type: number
- *         description: Maximum price filter
+ *         description: Maximum price filter (the price the customer pays)
  *       - in: query
  *         name: in_stock
  *         schema:
  *           type: boolean
- *         description: Filter for products in stock only
+ *         description: Filter for products in stock only (products sold as variants are in stock while any variant is)
+ *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: boolean
+ *         description: Also count the matching products by category, price range, stock status and variant option
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, newest, price, name, popularity, stock]
+ *         description: |
+ *           relevance (the default when searching with q, and only allowed then), newest (the default
+ *           otherwise), price (the price the customer pays), name, popularity (units sold) or stock
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Defaults to asc for price and name and desc otherwise
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor of the previous page, to continue after it instead of using page
  *     responses:
  *       200:
  *         description: Products retrieved successfully
@@ -166,9 +409,40 @@ const router = express.Router();
  *                 products:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Product'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Product'
+ *                       - type: object
+ *                         properties:
+ *                           relevance:
+ *                             type: number
+ *                             description: How well the product matches q (only when searching)
+ *                           highlights:
+ *                             type: object
+ *                             description: |
+ *                               The name and the parts of the description matching q, with matches in
+ *                               <mark> tags (only when searching; null for similar-name matches)
+ *                             properties:
+ *                               name:
+ *                                 type: string
+ *                                 nullable: true
+ *                               description:
+ *                                 type: string
+ *                                 nullable: true
+ *                 facets:
+ *                   $ref: '#/components/schemas/ProductFacets'
+ *                 search:
+ *                   type: object
+ *                   description: Only when searching
+ *                   properties:
+ *                     query:
+ *                       type: string
+ *                     mode:
+ *                       type: string
+ *                       enum: [fulltext, fuzzy]
+ *                       description: fuzzy when nothing matched q and products with similar names are returned
  *                 pagination:
  *                   type: object
+ *                   description: page and pages are left out when paging with a cursor
  *                   properties:
  *                     page:
  *                       type: integer
@@ -178,75 +452,141 @@ const router = express.Router();
  *                       type: integer
  *                     pages:
  *                       type: integer
+ *                     next_cursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Pass as cursor to get the next page; null on the last page
+ *       400:
+ *         description: Validation error or invalid cursor
  *       500:
  *         description: Internal server error
  */
-router.get('/', validatePagination, validateSearch, async (req, res) => {
+router.get('/', optionalAuth, validatePagination, validateSearch, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
-    const { q, category, min_price, max_price, in_stock } = req.query;
-
-    // Build WHERE clause
-    const conditions = ['is_active = true'];
-    const params = [];
-    let paramCount = 1;
+    const { q, category, min_price, max_price, in_stock, cursor } = req.query;
 
-    if (q) {
-      conditions.push(`(name ILIKE $${paramCount} OR description ILIKE $${paramCount})`);
-      params.push(`%${q}%`);
-      paramCount++;
-    }
+    // Build WHERE clause; $1 is the customer group whose prices are shown
+    const conditions = ['p.is_active = true'];
+    const params = [req.user ? req.user.customer_group_id : null];
+    let paramCount = 2;
 
     if (category) {
-      conditions.push(`category ILIKE $${paramCount}`);
-      params.push(`%${category}%`);
+      // Unknown categories have no products
+      conditions.push(inCategory(`$${paramCount}`));
+      params.push(await findCategoryId(category));
       paramCount++;
     }
 
     if (min_price) {
-      conditions.push(`price >= $${paramCount}`);
+      conditions.push(`${GROUP_PRICE} >= $${paramCount}`);
       params.push(parseFloat(min_price));
       paramCount++;
     }
 
     if (max_price) {
-      conditions.push(`price <= $${paramCount}`);
+      conditions.push(`${GROUP_PRICE} <= $${paramCount}`);
       params.push(parseFloat(max_price));
       paramCount++;
     }
 
     if (in_stock === 'true') {
-      conditions.push('stock_quantity > 0');
+      conditions.push(PRODUCT_IN_STOCK);
     }
 
-    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    // Searches go last, in $paramCount; when full-text search finds nothing, names similar to q are
+    // searched instead
+    let search = q ? productSearch(q, paramCount) : null;
+
+    const countProducts = async () => {
+      const where = search ? [...conditions, search.condition] : conditions;
+      const countQuery = `
+        SELECT COUNT(*) FROM products p ${groupPriceJoins('$1')} ${search ? search.join : ''}
+        WHERE ${where.join(' AND ')}
+      `;
+      const countResult = await db.query(countQuery, search ? [...params, search.param] : params);
+      return parseInt(countResult.rows[0].count);
+    };
 
     // Get total count
-    const countQuery = `SELECT COUNT(*) FROM products ${whereClause}`;
-    const countResult = await db.query(countQuery, params);
-    const total = parseInt(countResult.rows[0].count);
+    let total = await countProducts();
 
-    // Get products
+    if (search && search.mode === 'fulltext' && total === 0) {
+      search = fuzzySearch(q, paramCount);
+      total = await countProducts();
+    }
+
+    if (search) {
+      conditions.push(search.condition);
+      params.push(search.param);
+      paramCount++;
+    }
+
+    const sort = listSort(
+      search ? { relevance: { expression: search.rank, type: 'REAL', order: 'desc' }, ...PRODUCT_SORTS } : PRODUCT_SORTS,
+      req.query
+    );
+
+    // A cursor continues after the last product of the previous page instead of skipping rows
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+
+    if (cursor) {
+      const position = decodeCursor(cursor, sort);
+
+      if (!position) {
+        return res.status(400).json({
+          error: 'Invalid cursor',
+          message: 'The cursor is not from this list and sort order'
+        });
+      }
+
+      pageConditions.push(afterCursor(sort, 'p.id', paramCount));
+      pageParams.push(position.value, position.id);
+      paramCount += 2;
+    }
+
+    // Get products, one more than the page holds to tell whether there is a next page
     const productsQuery = `
-      SELECT id, name, description, price, stock_quantity, category, image_url, is_active, created_at, updated_at
-      FROM products
-      ${whereClause}
-      ORDER BY created_at DESC
+      SELECT p.id, p.name, p.description, ${GROUP_PRICE} AS price, p.price AS list_price, ${PRODUCT_STOCK_COLUMN},
+             ${PRODUCT_CATEGORIES} AS categories, p.image_url, p.is_active, p.created_at, p.updated_at,
+             ${cursorValue(sort)}
+             ${search ? `, ${search.rank} AS relevance, ${search.highlights}` : ''}
+      FROM products p
+      ${groupPriceJoins('$1')}
+      ${search ? search.join : ''}
+      WHERE ${pageConditions.join(' AND ')}
+      ORDER BY ${orderBy(sort, 'p.id')}
       LIMIT $${paramCount} OFFSET $${paramCount + 1}
     `;
 
-    const result = await db.query(productsQuery, [...params, limit, offset]);
+    const [result, facets] = await Promise.all([
+      db.query(productsQuery, [...pageParams, limit + 1, cursor ? 0 : offset]),
+      req.query.facets === true
+        ? findProductFacets({ conditions, params, joins: search ? search.join : '' })
+        : null
+    ]);
 
-    res.json({
-      products: result.rows,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
+    const rows = result.rows.slice(0, limit);
+    const nextCursor = result.rows.length > limit ? encodeCursor(sort, rows[rows.length - 1]) : null;
+
+    const products = rows.map(({ cursor_value, name_highlight, description_highlight, ...product }) => (search
+      ? {
+        ...product,
+        relevance: parseFloat(product.relevance),
+        highlights: { name: name_highlight, description: description_highlight }
       }
+      : product));
+
+    res.json({
+      products,
+      ...(search && { search: { query: q, mode: search.mode } }),
+      ...(facets && { facets }),
+      pagination: cursor
+        ? { limit, total, next_cursor: nextCursor }
+        : { page, limit, total, pages: Math.ceil(total / limit), next_cursor: nextCursor }
     });
 
   } catch (error) {
@@ -258,11 +598,52 @@ router.get('/', validatePagination, validateSearch, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/products/categories:
+ *   get:
+ *     summary: Get the product category tree
+ *     description: The same tree as GET /api/categories.
+ *     tags: [Products]
+ *     responses:
+ *       200:
+ *         description: Top-level categories, each with the categories below it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CategoryNode'
+ *       500:
+ *         description: Internal server error
+ */
+// Registered before /:id, which would otherwise take "categories" for a product ID
+router.get('/categories', async (req, res) => {
+  try {
+    const { roots } = buildCategoryTree(await findCategories());
+
+    res.json({
+      categories: roots
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve categories'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/products/{id}:
  *   get:
  *     summary: Get product by ID
+ *     description: Includes the product's options and the variants it is sold as.
  *     tags: [Products]
  *     parameters:
  *       - in: path
@@ -280,19 +661,24 @@ router.get('/', validatePagination, validateSearch, async (req, res) => {
  *               type: object
  *               properties:
  *                 product:
- *                   $ref: '#/components/schemas/Product'
+ *                   $ref: '#/components/schemas/ProductDetail'
  *       404:
  *         description: Product not found
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', validateId, async (req, res) => {
+router.get('/:id', optionalAuth, validateId, async (req, res) => {
   try {
     const productId = req.params.id;
+    const groupId = req.user ? req.user.customer_group_id : null;
 
     const result = await db.query(
-      'SELECT id, name, description, price, stock_quantity, category, image_url, is_active, created_at, updated_at FROM products WHERE id = $1 AND is_active = true',
-      [productId]
+      `SELECT p.id, p.name, p.description, ${GROUP_PRICE} AS price, p.price AS list_price, ${PRODUCT_STOCK_COLUMN},
+              ${PRODUCT_CATEGORIES} AS categories, p.image_url, p.is_active, p.created_at, p.updated_at
+       FROM products p
+       ${groupPriceJoins('$2')}
+       WHERE p.id = $1 AND p.is_active = true`,
+      [productId, groupId]
     );
 
     if (result.rows.length === 0) {
@@ -303,7 +689,11 @@ router.get('/:id', validateId, async (req, res) => {
     }
 
     res.json({
-      product: result.rows[0]
+      product: {
+        ...result.rows[0],
+        options: await findProductOptions(productId),
+        variants: await findVariants(productId, groupId)
+      }
     });
 
   } catch (error) {
@@ -319,10 +709,11 @@ router.get('/:id', validateId, async (req, res) => {
  * @swagger
  * /api/products:
  *   post:
- *     summary: Create a new product (Admin only)
+ *     summary: Create a new product (requires products:write)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -334,7 +725,7 @@ router.get('/:id', validateId, async (req, res) => {
  *             description: A great new product
  *             price: 99.99
  *             stock_quantity: 50
- *             category: Electronics
+ *             category_ids: [5]
  *             image_url: https://example.com/image.jpg
  *     responses:
  *       201:
@@ -349,28 +740,50 @@ router.get('/:id', validateId, async (req, res) => {
  *                 product:
  *                   $ref: '#/components/schemas/Product'
  *       400:
- *         description: Validation error
+ *         description: Validation error or unknown category
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Admin privileges required
+ *         description: Missing permission
  *       500:
  *         description: Internal server error
  */
-router.post('/', authenticateToken, requireAdmin, validateProduct, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('products:write'), validateProduct, async (req, res) => {
   try {
-    const { name, description, price, stock_quantity, category, image_url, is_active } = req.body;
+    const { name, description, price, stock_quantity, category_ids, image_url, is_active } = req.body;
 
-    const result = await db.query(
-      `INSERT INTO products (name, description, price, stock_quantity, category, image_url, is_active)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING id, name, description, price, stock_quantity, category, image_url, is_active, created_at, updated_at`,
-      [name, description || null, price, stock_quantity, category || null, image_url || null, is_active !== undefined ? is_active : true]
-    );
+    const missingCategories = category_ids ? await findMissingCategories(category_ids) : [];
+    if (missingCategories.length > 0) {
+      return categoriesNotFound(res, missingCategories);
+    }
+
+    const client = await db.getClient();
+    let product;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO products AS p (name, description, price, stock_quantity, image_url, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${PRODUCT_COLUMNS}`,
+        [name, description || null, price, stock_quantity, image_url || null, is_active !== undefined ? is_active : true]
+      );
+      product = result.rows[0];
+
+      await setProductCategories(product.id, category_ids || [], client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     res.status(201).json({
       message: 'Product created successfully',
-      product: result.rows[0]
+      product: { ...product, categories: await findProductCategories(product.id) }
     });
 
   } catch (error) {
@@ -386,10 +799,11 @@ router.post('/', authenticateToken, requireAdmin, validateProduct, async (req, r
  * @swagger
  * /api/products/{id}:
  *   put:
- *     summary: Update product by ID (Admin only)
+ *     summary: Update product by ID (requires products:write)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -420,20 +834,25 @@ router.post('/', authenticateToken, requireAdmin, validateProduct, async (req, r
  *                 product:
  *                   $ref: '#/components/schemas/Product'
  *       400:
- *         description: Validation error or no fields to update
+ *         description: Validation error, unknown category or no fields to update
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Admin privileges required
+ *         description: Missing permission
  *       404:
  *         description: Product not found
  *       500:
  *         description: Internal server error
  */
-router.put('/:id', authenticateToken, requireAdmin, validateId, validateProductUpdate, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('products:write'), validateId, validateProductUpdate, async (req, res) => {
   try {
     const productId = req.params.id;
-    const { name, description, price, stock_quantity, category, image_url, is_active } = req.body;
+    const { name, description, price, stock_quantity, category_ids, image_url, is_active } = req.body;
+
+    const missingCategories = category_ids ? await findMissingCategories(category_ids) : [];
+    if (missingCategories.length > 0) {
+      return categoriesNotFound(res, missingCategories);
+    }
 
     // Build dynamic update query
     const updateFields = [];
@@ -464,12 +883,6 @@ router.put('/:id', authenticateToken, requireAdmin, validateId, validateProductU
       paramCount++;
     }
 
-    if (category !== undefined) {
-      updateFields.push(`category = $${paramCount}`);
-      updateValues.push(category);
-      paramCount++;
-    }
-
     if (image_url !== undefined) {
       updateFields.push(`image_url = $${paramCount}`);
       updateValues.push(image_url);
@@ -482,24 +895,47 @@ router.put('/:id', authenticateToken, requireAdmin, validateId, validateProductU
       paramCount++;
     }
 
-    if (updateFields.length === 0) {
+    if (updateFields.length === 0 && category_ids === undefined) {
       return res.status(400).json({
         error: 'Update failed',
         message: 'No fields to update'
       });
     }
 
+    if (updateFields.length === 0) {
+      // Only the categories change, which still counts as updating the product
+      updateFields.push('updated_at = CURRENT_TIMESTAMP');
+    }
+
     // Add product ID to the end of values array
     updateValues.push(productId);
 
     const query = `
-      UPDATE products
+      UPDATE products p
       SET ${updateFields.join(', ')}
-      WHERE id = $${paramCount}
-      RETURNING id, name, description, price, stock_quantity, category, image_url, is_active, created_at, updated_at
+      WHERE p.id = $${paramCount}
+      RETURNING ${PRODUCT_COLUMNS}
     `;
 
-    const result = await db.query(query, updateValues);
+    const client = await db.getClient();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+
+      result = await client.query(query, updateValues);
+
+      if (result.rows.length > 0 && category_ids !== undefined) {
+        await setProductCategories(productId, category_ids, client);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -510,7 +946,7 @@ router.put('/:id', authenticateToken, requireAdmin, validateId, validateProductU
 
     res.json({
       message: 'Product updated successfully',
-      product: result.rows[0]
+      product: { ...result.rows[0], categories: await findProductCategories(productId) }
     });
 
   } catch (error) {
@@ -526,10 +962,11 @@ router.put('/:id', authenticateToken, requireAdmin, validateId, validateProductU
  * @swagger
  * /api/products/{id}:
  *   delete:
- *     summary: Delete product by ID (Admin only)
+ *     summary: Delete product by ID (requires products:delete)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -550,13 +987,13 @@ router.put('/:id', authenticateToken, requireAdmin, validateId, validateProductU
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Admin privileges required
+ *         description: Missing permission
  *       404:
  *         description: Product not found
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id', authenticateToken, requireAdmin, validateId, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('products:delete'), validateId, async (req, res) => {
   try {
     const productId = req.params.id;
 
@@ -586,44 +1023,469 @@ router.delete('/:id', authenticateToken, requireAdmin, validateId, async (req, r
   }
 });
 
+const productNotFound = (res) => res.status(404).json({
+  error: 'Product not found',
+  message: 'Product with the specified ID not found'
+});
+
+const variantNotFound = (res) => res.status(404).json({
+  error: 'Variant not found',
+  message: 'Variant with the specified ID not found for this product'
+});
+
+// Another variant already using the SKU or the combination of options, if any
+const findConflictingVariant = async (productId, { sku, options }, exceptId = null) => {
+  const result = await db.query(
+    `SELECT id, sku, product_id, options FROM product_variants
+     WHERE (sku = $1 OR (product_id = $2 AND options = $3::JSONB)) AND ($4::INTEGER IS NULL OR id != $4)
+     LIMIT 1`,
+    [sku, productId, JSON.stringify(options), exceptId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return result.rows[0].sku === sku
+    ? { error: 'SKU already exists', message: `SKU ${sku} is already used by another variant` }
+    : { error: 'Variant already exists', message: 'The product already has a variant with these options' };
+};
+
 /**
  * @swagger
- * /api/products/categories:
+ * /api/products/{id}/options:
+ *   put:
+ *     summary: Set the options a product comes in (requires products:write)
+ *     description: |
+ *       Replaces the product's options, such as size and color, and the values each comes in.
+ *       Rejected if an existing variant would no longer have exactly one valid value of each option.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - options
+ *             properties:
+ *               options:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - name
+ *                     - values
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     values:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *           example:
+ *             options:
+ *               - name: Size
+ *                 values: ['9', '10', '11']
+ *               - name: Color
+ *                 values: [Black, Red]
+ *     responses:
+ *       200:
+ *         description: Options updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 options:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductOption'
+ *       400:
+ *         description: Validation error or variants that don't fit the new options
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id/options', authenticateToken, requirePermission('products:write'), validateId, validateProductOptions, async (req, res) => {
+  try {
+    const result = await replaceProductOptions(req.params.id, req.body.options);
+
+    if (!result) {
+      return productNotFound(res);
+    }
+
+    if (result.conflicts) {
+      return res.status(400).json({
+        error: 'Options update failed',
+        message: `These variants don't fit the new options: ${result.conflicts.join(', ')}`
+      });
+    }
+
+    res.json({
+      message: 'Product options updated successfully',
+      options: result.options
+    });
+
+  } catch (error) {
+    console.error('Update product options error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update product options'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/variants:
  *   get:
- *     summary: Get all product categories
+ *     summary: Get all of a product's variants, including inactive ones (requires products:write)
  *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
  *     responses:
  *       200:
- *         description: Categories retrieved successfully
+ *         description: Variants retrieved successfully
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 categories:
+ *                 options:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductOption'
+ *                 variants:
  *                   type: array
  *                   items:
- *                     type: string
+ *                     $ref: '#/components/schemas/ProductVariant'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Product not found
  *       500:
  *         description: Internal server error
  */
-router.get('/categories', async (req, res) => {
+router.get('/:id/variants', authenticateToken, requirePermission('products:write'), validateId, async (req, res) => {
+  try {
+    const productId = req.params.id;
+
+    const product = await db.query('SELECT id FROM products WHERE id = $1', [productId]);
+    if (product.rows.length === 0) {
+      return productNotFound(res);
+    }
+
+    res.json({
+      options: await findProductOptions(productId),
+      variants: await findVariants(productId, null, { includeInactive: true })
+    });
+
+  } catch (error) {
+    console.error('Get product variants error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve product variants'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/variants:
+ *   post:
+ *     summary: Add a variant to a product (requires products:write)
+ *     description: Once a product has variants, customers have to choose one to buy it.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/VariantInput'
+ *               - required:
+ *                   - sku
+ *           example:
+ *             sku: SHOE-10-RED
+ *             options:
+ *               Size: '10'
+ *               Color: Red
+ *             stock_quantity: 12
+ *     responses:
+ *       201:
+ *         description: Variant created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 variant:
+ *                   $ref: '#/components/schemas/ProductVariant'
+ *       400:
+ *         description: Validation error, invalid options, or SKU or options already used
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/variants', authenticateToken, requirePermission('products:write'), validateId, validateVariant, async (req, res) => {
   try {
+    const productId = parseInt(req.params.id);
+    const { sku, options = {}, price, stock_quantity, image_url, is_active } = req.body;
+
+    const product = await db.query('SELECT id FROM products WHERE id = $1', [productId]);
+    if (product.rows.length === 0) {
+      return productNotFound(res);
+    }
+
+    const optionsError = checkVariantOptions(options, await findProductOptions(productId));
+    if (optionsError) {
+      return res.status(400).json({
+        error: 'Invalid variant options',
+        message: optionsError
+      });
+    }
+
+    const conflict = await findConflictingVariant(productId, { sku, options });
+    if (conflict) {
+      return res.status(400).json(conflict);
+    }
+
     const result = await db.query(
-      'SELECT DISTINCT category FROM products WHERE category IS NOT NULL AND is_active = true ORDER BY category'
+      `INSERT INTO product_variants (product_id, sku, options, price, stock_quantity, image_url, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [productId, sku, options, price || null, stock_quantity || 0, image_url || null,
+        is_active !== undefined ? is_active : true]
     );
 
-    const categories = result.rows.map(row => row.category);
+    res.status(201).json({
+      message: 'Variant created successfully',
+      variant: await findVariant(productId, result.rows[0].id, null, { includeInactive: true })
+    });
+
+  } catch (error) {
+    console.error('Create variant error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create variant'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}:
+ *   put:
+ *     summary: Update a product variant (requires products:write)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VariantInput'
+ *           example:
+ *             price: 139.99
+ *             stock_quantity: 30
+ *     responses:
+ *       200:
+ *         description: Variant updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 variant:
+ *                   $ref: '#/components/schemas/ProductVariant'
+ *       400:
+ *         description: Validation error, invalid options, SKU or options already used, or no fields to update
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Variant not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id/variants/:variantId', authenticateToken, requirePermission('products:write'), validateId, validateVariantUpdate, async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const variantId = parseInt(req.params.variantId);
+
+    const existing = await db.query(
+      'SELECT id, sku, options FROM product_variants WHERE id = $1 AND product_id = $2',
+      [variantId, productId]
+    );
+
+    if (existing.rows.length === 0) {
+      return variantNotFound(res);
+    }
+
+    const fields = ['sku', 'options', 'price', 'stock_quantity', 'image_url', 'is_active']
+      .filter(field => req.body[field] !== undefined);
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        error: 'Update failed',
+        message: 'No fields to update'
+      });
+    }
+
+    const sku = req.body.sku !== undefined ? req.body.sku : existing.rows[0].sku;
+    const options = req.body.options !== undefined ? req.body.options : existing.rows[0].options;
+
+    const optionsError = checkVariantOptions(options, await findProductOptions(productId));
+    if (optionsError) {
+      return res.status(400).json({
+        error: 'Invalid variant options',
+        message: optionsError
+      });
+    }
+
+    const conflict = await findConflictingVariant(productId, { sku, options }, variantId);
+    if (conflict) {
+      return res.status(400).json(conflict);
+    }
+
+    await db.query(
+      `UPDATE product_variants
+       SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}
+       WHERE id = $${fields.length + 1}`,
+      [...fields.map(field => req.body[field]), variantId]
+    );
 
     res.json({
-      categories
+      message: 'Variant updated successfully',
+      variant: await findVariant(productId, variantId, null, { includeInactive: true })
     });
 
   } catch (error) {
-    console.error('Get categories error:', error);
+    console.error('Update variant error:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to retrieve categories'
+      message: 'Failed to update variant'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}:
+ *   delete:
+ *     summary: Delete a product variant (requires products:delete)
+ *     description: Like products, variants are deactivated rather than deleted so past orders keep them.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Variant deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Variant not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/variants/:variantId', authenticateToken, requirePermission('products:delete'), validateId, validateVariantId, async (req, res) => {
+  try {
+    const result = await db.query(
+      'UPDATE product_variants SET is_active = false WHERE id = $1 AND product_id = $2 AND is_active = true RETURNING id',
+      [req.params.variantId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return variantNotFound(res);
+    }
+
+    res.json({
+      message: 'Variant deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete variant error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete variant'
     });
   }
 });
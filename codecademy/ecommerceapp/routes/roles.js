@@ -0,0 +1,506 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateRole, validateRoleUpdate, validateId } = require('../middleware/validation');
+const {
+  findRoles,
+  resolvePermissionIds,
+  permissionsNotHeld,
+  setRolePermissions
+} = require('../utils/roles');
+const db = require('../config/database');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         is_system:
+ *           type: boolean
+ *           description: Built-in roles can't be changed or deleted
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         user_count:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     RoleInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - permissions
+ *       properties:
+ *         name:
+ *           type: string
+ *           pattern: '^[a-z][a-z0-9_]{1,49}$'
+ *         description:
+ *           type: string
+ *           maxLength: 255
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Staff roles and permissions (all endpoints require roles:manage)
+ */
+
+// Refuse to hand out permissions the acting user doesn't hold
+const sendEscalationError = (res, missing) => {
+  return res.status(403).json({
+    error: 'Access forbidden',
+    message: `You can't grant permissions you don't have: ${missing.join(', ')}`
+  });
+};
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get all roles with their permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: List of roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Role'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const roles = await findRoles();
+
+    res.json({
+      roles
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve roles'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: Get all available permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: List of permissions
+ *         content:
+ *           application/json:
+ *             example:
+ *               permissions:
+ *                 - name: orders:update_status
+ *                   description: Update order status and cancel any order
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/permissions', authenticateToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const result = await db.query('SELECT name, description FROM permissions ORDER BY name');
+
+    res.json({
+      permissions: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve permissions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   get:
+ *     summary: Get role by ID
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Role details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 role:
+ *                   $ref: '#/components/schemas/Role'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', authenticateToken, requirePermission('roles:manage'), validateId, async (req, res) => {
+  try {
+    const [role] = await findRoles([parseInt(req.params.id)]);
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Role not found',
+        message: 'Role with the specified ID not found'
+      });
+    }
+
+    res.json({
+      role
+    });
+
+  } catch (error) {
+    console.error('Get role error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve role'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoleInput'
+ *           example:
+ *             name: support
+ *             description: Customer support agents
+ *             permissions: [users:read, orders:read]
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error, unknown permission or name already taken
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission, or granting permissions the caller doesn't hold
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', authenticateToken, requirePermission('roles:manage'), validateRole, async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    const { name, description, permissions } = req.body;
+
+    const permissionIds = await resolvePermissionIds(permissions);
+    if (!permissionIds) {
+      return res.status(400).json({
+        error: 'Invalid permissions',
+        message: 'One or more permissions do not exist'
+      });
+    }
+
+    const missing = permissionsNotHeld(req.user, permissions);
+    if (missing.length > 0) {
+      return sendEscalationError(res, missing);
+    }
+
+    const existing = await client.query('SELECT id FROM roles WHERE name = $1', [name]);
+    if (existing.rows.length > 0) {
+      return res.status(400).json({
+        error: 'Role already exists',
+        message: 'A role with this name already exists'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'INSERT INTO roles (name, description) VALUES ($1, $2) RETURNING id',
+      [name, description || null]
+    );
+    const roleId = result.rows[0].id;
+
+    await setRolePermissions(client, roleId, permissionIds);
+
+    await client.query('COMMIT');
+
+    const [role] = await findRoles([roleId]);
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create role error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create role'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   put:
+ *     summary: Update a role
+ *     description: When permissions are given they replace the role's current permissions.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation error, unknown permission, name taken or built-in role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission, or changing permissions the caller doesn't hold
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', authenticateToken, requirePermission('roles:manage'), validateId, validateRoleUpdate, async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    const roleId = parseInt(req.params.id);
+    const { name, description, permissions } = req.body;
+
+    const [role] = await findRoles([roleId]);
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Role not found',
+        message: 'Role with the specified ID not found'
+      });
+    }
+
+    if (role.is_system) {
+      return res.status(400).json({
+        error: 'Update failed',
+        message: 'Built-in roles cannot be changed'
+      });
+    }
+
+    let permissionIds = null;
+    if (permissions) {
+      permissionIds = await resolvePermissionIds(permissions);
+      if (!permissionIds) {
+        return res.status(400).json({
+          error: 'Invalid permissions',
+          message: 'One or more permissions do not exist'
+        });
+      }
+    }
+
+    // Staff may only edit roles made up of permissions they hold themselves
+    const missing = permissionsNotHeld(req.user, [...role.permissions, ...(permissions || [])]);
+    if (missing.length > 0) {
+      return sendEscalationError(res, missing);
+    }
+
+    if (name && name !== role.name) {
+      const existing = await client.query('SELECT id FROM roles WHERE name = $1', [name]);
+      if (existing.rows.length > 0) {
+        return res.status(400).json({
+          error: 'Role already exists',
+          message: 'A role with this name already exists'
+        });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE roles
+       SET name = COALESCE($1, name), description = COALESCE($2, description)
+       WHERE id = $3`,
+      [name || null, description !== undefined ? description : null, roleId]
+    );
+
+    if (permissionIds) {
+      await setRolePermissions(client, roleId, permissionIds);
+    }
+
+    await client.query('COMMIT');
+
+    const [updatedRole] = await findRoles([roleId]);
+
+    res.json({
+      message: 'Role updated successfully',
+      role: updatedRole
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update role error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update role'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   delete:
+ *     summary: Delete a role
+ *     description: Users who had the role lose its permissions.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: Built-in roles cannot be deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission, or the role has permissions the caller doesn't hold
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', authenticateToken, requirePermission('roles:manage'), validateId, async (req, res) => {
+  try {
+    const [role] = await findRoles([parseInt(req.params.id)]);
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Role not found',
+        message: 'Role with the specified ID not found'
+      });
+    }
+
+    if (role.is_system) {
+      return res.status(400).json({
+        error: 'Delete failed',
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const missing = permissionsNotHeld(req.user, role.permissions);
+    if (missing.length > 0) {
+      return sendEscalationError(res, missing);
+    }
+
+    await db.query('DELETE FROM roles WHERE id = $1', [role.id]);
+
+    res.json({
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete role'
+    });
+  }
+});
+
+module.exports = router;
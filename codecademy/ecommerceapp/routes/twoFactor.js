@@ -0,0 +1,368 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const { authenticateToken, forbidImpersonation } = require('../middleware/auth');
+const { validateTwoFactorCode, validateTwoFactorDisable } = require('../middleware/validation');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { generateRecoveryCodes, countRecoveryCodes, verifySecondFactor } = require('../utils/twoFactor');
+const { markSessionMfaVerified } = require('../utils/sessions');
+const db = require('../config/database');
+
+const router = express.Router();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'E-commerce API';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Two-Factor Authentication
+ *   description: Authenticator app (TOTP) enrollment and recovery codes
+ */
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get two-factor authentication status
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ *         content:
+ *           application/json:
+ *             example:
+ *               enabled: true
+ *               enabled_at: 2024-01-01T00:00:00.000Z
+ *               recovery_codes_remaining: 10
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const enabled = !!req.user.totp_enabled_at;
+
+    res.json({
+      enabled,
+      enabled_at: req.user.totp_enabled_at,
+      recovery_codes_remaining: enabled ? await countRecoveryCodes(req.user.id) : 0
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get two-factor status'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: |
+ *       Generates a new secret for the authenticator app. Scan the QR code (or enter the secret)
+ *       and confirm with /api/auth/2fa/confirm to turn two-factor authentication on.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             example:
+ *               secret: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *               otpauth_uri: otpauth://totp/E-commerce%20API:john.doe%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=E-commerce%20API&algorithm=SHA1&digits=6&period=30
+ *               qr_code: data:image/png;base64,iVBORw0KGgo...
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating a user
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/setup', authenticateToken, forbidImpersonation, async (req, res) => {
+  try {
+    if (req.user.totp_enabled_at) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Store the secret as pending until a code from it has been confirmed
+    const secret = generateSecret();
+
+    await db.query(
+      'UPDATE users SET totp_secret = $1, totp_last_used_step = NULL WHERE id = $2',
+      [secret, req.user.id]
+    );
+
+    const otpauthUri = buildOtpauthUri(secret, req.user.email, TOTP_ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+
+    res.json({
+      secret,
+      otpauth_uri: otpauthUri,
+      qr_code: qrCode
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: Turns two-factor authentication on and returns recovery codes. The codes are only shown once.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *           example:
+ *             code: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Two-factor authentication enabled
+ *               recovery_codes: [3f9a1-c27e4, 8b0d2-5e6f1]
+ *       400:
+ *         description: Invalid code, setup not started or already enabled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating a user
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/confirm', authenticateToken, forbidImpersonation, validateTwoFactorCode, async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const { totp_secret, totp_enabled_at } = result.rows[0];
+
+    if (totp_enabled_at) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!totp_secret) {
+      return res.status(400).json({
+        error: 'Setup required',
+        message: 'Start two-factor setup before confirming it'
+      });
+    }
+
+    const step = verifyCode(totp_secret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The code is invalid or has expired'
+      });
+    }
+
+    await db.query(
+      'UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP, totp_last_used_step = $1 WHERE id = $2',
+      [step, req.user.id]
+    );
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+    // The session that enrolled has just proven the second factor
+    await markSessionMfaVerified(req.sessionId);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recovery_code:
+ *                 type: string
+ *           example:
+ *             password: Password123
+ *             code: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Validation error or two-factor authentication is not enabled
+ *       401:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Not allowed while impersonating a user
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/disable', authenticateToken, forbidImpersonation, validateTwoFactorDisable, async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+
+    if (!req.user.totp_enabled_at) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const result = await db.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+    const isValidPassword = await bcrypt.compare(password, result.rows[0].password_hash);
+
+    if (!isValidPassword || !(await verifySecondFactor(req.user.id, { code, recovery_code }))) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    await db.query(
+      `UPDATE users
+       SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+       WHERE id = $1`,
+      [req.user.id]
+    );
+    await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [req.user.id]);
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Generate new recovery codes
+ *     description: Replaces all existing recovery codes. The new codes are only shown once.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *           example:
+ *             code: '123456'
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Validation error or two-factor authentication is not enabled
+ *       401:
+ *         description: Invalid code
+ *       403:
+ *         description: Not allowed while impersonating a user
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/recovery-codes', authenticateToken, forbidImpersonation, validateTwoFactorCode, async (req, res) => {
+  try {
+    if (!req.user.totp_enabled_at) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(req.user.id, { code: req.body.code }))) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to generate recovery codes'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,155 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { authenticateToken, requireAdmin, requireOwnershipOrAdmin } = require('../middleware/auth');
-const { validateUserUpdate, validateId, validatePagination } = require('../middleware/validation');
+const { authenticateToken, requirePermission, forbidImpersonation } = require('../middleware/auth');
+const {
+  validateUserUpdate,
+  validateUserFilters,
+  validateDisableUser,
+  validateId,
+  validateSessionId,
+  validateExportId,
+  validateExportFormat,
+  validatePagination,
+  validateUserRoles,
+  validateImpersonation,
+  validateUserImport,
+  validateUserCustomerGroup
+} = require('../middleware/validation');
+const { resetFailedLogins } = require('../utils/loginThrottle');
+const { listSessions, revokeSession, revokeUserSessions } = require('../utils/sessions');
+const { startImpersonation } = require('../utils/impersonation');
+const { requestDataExport, listDataExports, findDataExport, exportFilePath } = require('../utils/dataExports');
+const { closeAccount, reactivateAccount, anonymizeAccount } = require('../utils/accountClosure');
+const { createUserToken } = require('../utils/userTokens');
+const { readUserCsv, importUsers } = require('../utils/userImport');
+const { formatCell } = require('../utils/csv');
+const { sendEmailChangeConfirmationEmail, sendEmailChangeRequestedEmail } = require('../utils/emails');
+const {
+  SUPERUSER_ROLE,
+  findRoles,
+  findRoleByName,
+  findUserRoles,
+  findUserPermissions,
+  permissionsNotHeld,
+  setUserRoles,
+  addUserRole,
+  removeUserRole,
+  countSuperusers
+} = require('../utils/roles');
 const db = require('../config/database');
 
 const router = express.Router();
 
+const EMAIL_CHANGE_TTL_HOURS = parseInt(process.env.EMAIL_CHANGE_TOKEN_EXPIRES_IN_HOURS) || 24;
+
+const USER_EXPORT_COLUMNS = ['id', 'email', 'first_name', 'last_name', 'is_admin', 'email_verified_at',
+  'disabled_at', 'closed_at', 'customer_group_id', 'created_at'];
+const EXPORT_BATCH_SIZE = 500;
+
+const exportNotFound = (res) => {
+  return res.status(404).json({
+    error: 'Export not found',
+    message: 'Export with the specified ID not found'
+  });
+};
+
+// Send the archive of a finished export as a download
+const sendExportFile = (res, dataExport, format = 'json') => {
+  const expired = dataExport.status === 'expired' ||
+    (dataExport.status === 'completed' && new Date(dataExport.expires_at) <= new Date());
+
+  if (expired) {
+    return res.status(410).json({
+      error: 'Export expired',
+      message: 'This export is no longer available, please request a new one'
+    });
+  }
+
+  if (dataExport.status !== 'completed') {
+    return res.status(409).json({
+      error: 'Export not ready',
+      message: `Export is ${dataExport.status}`
+    });
+  }
+
+  res.download(exportFilePath(dataExport.id, format), `data-export-${dataExport.id}.${format}`, (error) => {
+    if (error && !res.headersSent) {
+      console.error('Download export error:', error);
+      res.status(410).json({
+        error: 'Export expired',
+        message: 'This export is no longer available, please request a new one'
+      });
+    }
+  });
+};
+
+// WHERE clause and ORDER BY of the staff user search, shared by the list and the CSV export.
+// sort and order are limited to known values by validateUserFilters.
+const buildUserSearch = (query) => {
+  const { q, is_admin, verified, has_orders, disabled, customer_group_id, created_from, created_to } = query;
+  const sort = query.sort || 'created_at';
+  const order = query.order || (sort === 'created_at' ? 'desc' : 'asc');
+
+  // Build WHERE clause
+  const conditions = [];
+  const params = [];
+  let paramCount = 1;
+
+  if (q) {
+    conditions.push(`(email ILIKE $${paramCount} OR first_name ILIKE $${paramCount} OR last_name ILIKE $${paramCount}
+      OR first_name || ' ' || last_name ILIKE $${paramCount})`);
+    params.push(`%${q.replace(/[\\%_]/g, '\\$&')}%`);
+    paramCount++;
+  }
+
+  if (is_admin !== undefined) {
+    conditions.push(`is_admin = $${paramCount}`);
+    params.push(is_admin);
+    paramCount++;
+  }
+
+  if (verified !== undefined) {
+    conditions.push(verified ? 'email_verified_at IS NOT NULL' : 'email_verified_at IS NULL');
+  }
+
+  if (disabled !== undefined) {
+    conditions.push(disabled ? 'disabled_at IS NOT NULL' : 'disabled_at IS NULL');
+  }
+
+  if (customer_group_id) {
+    conditions.push(`customer_group_id = $${paramCount}`);
+    params.push(customer_group_id);
+    paramCount++;
+  }
+
+  if (has_orders !== undefined) {
+    conditions.push(`${has_orders ? '' : 'NOT '}EXISTS (SELECT 1 FROM orders o WHERE o.user_id = users.id)`);
+  }
+
+  if (created_from) {
+    conditions.push(`created_at >= $${paramCount}`);
+    params.push(created_from);
+    paramCount++;
+  }
+
+  if (created_to) {
+    // A bare date means up to the end of that day
+    conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(created_to)
+      ? `created_at < $${paramCount}::date + 1`
+      : `created_at <= $${paramCount}`);
+    params.push(created_to);
+    paramCount++;
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return {
+    whereClause,
+    params,
+    orderBy: `${sort} ${order.toUpperCase()}, id ${order.toUpperCase()}`
+  };
+};
+
 /**
  * @swagger
  * components:
@@ -24,6 +168,33 @@ const router = express.Router();
  *           type: string
  *         is_admin:
  *           type: boolean
+ *         email_verified_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         closed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the account was closed (staff views only)
+ *         anonymized_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the account's personal data was deleted (staff views only)
+ *         disabled_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When staff disabled the account (staff views only)
+ *         disabled_reason:
+ *           type: string
+ *           nullable: true
+ *           description: Why the account was disabled (staff views only)
+ *         customer_group_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The customer group whose prices the user pays (staff views only)
  *         created_at:
  *           type: string
  *           format: date-time
@@ -47,6 +218,112 @@ const router = express.Router();
  *         password:
  *           type: string
  *           minLength: 6
+ *         current_password:
+ *           type: string
+ *           description: Required to change the email or password
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ip_address:
+ *           type: string
+ *           description: Address the session was last used from
+ *         user_agent:
+ *           type: string
+ *         mfa_verified:
+ *           type: boolean
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         last_seen_at:
+ *           type: string
+ *           format: date-time
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revoked_reason:
+ *           type: string
+ *           nullable: true
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request (own sessions only)
+ *     DataExport:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *         requested_by:
+ *           type: integer
+ *           nullable: true
+ *           description: The user, or the staff member who requested it on their behalf
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, completed, failed, expired]
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the download is deleted
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     UserImportReport:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         dry_run:
+ *           type: boolean
+ *         summary:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             valid:
+ *               type: integer
+ *               description: Rows that would be imported (dry run only)
+ *             created:
+ *               type: integer
+ *               description: Users created (import only)
+ *             invalid:
+ *               type: integer
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: Line in the file, counting the header as line 1
+ *               email:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [valid, created, invalid]
+ *               id:
+ *                 type: integer
+ *                 description: The new user's ID (created rows only)
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: string
  */
 
 /**
@@ -84,7 +361,7 @@ const router = express.Router();
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const result = await db.query(
-      'SELECT id, email, first_name, last_name, is_admin, created_at, updated_at FROM users WHERE id = $1',
+      'SELECT id, email, first_name, last_name, is_admin, email_verified_at, created_at, updated_at FROM users WHERE id = $1',
       [req.user.id]
     );
 
@@ -113,6 +390,11 @@ router.get('/profile', authenticateToken, async (req, res) => {
  * /api/users/profile:
  *   put:
  *     summary: Update current user's profile
+ *     description: |
+ *       Changing the email or password requires `current_password`. A new email address only
+ *       takes effect once it is confirmed with the link sent to it (see
+ *       /api/auth/confirm-email-change); until then the current address keeps working and is
+ *       told about the request.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -126,6 +408,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
  *             email: john.updated@example.com
  *             first_name: John
  *             last_name: Updated
+ *             current_password: Password123
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -138,20 +421,54 @@ router.get('/profile', authenticateToken, async (req, res) => {
  *                   type: string
  *                 user:
  *                   $ref: '#/components/schemas/UserProfile'
+ *                 pending_email:
+ *                   type: string
+ *                   description: New email address waiting to be confirmed
  *       400:
- *         description: Validation error or email already exists
+ *         description: Validation error, missing current password or email already exists
  *       401:
- *         description: Unauthorized
+ *         description: Unauthorized, or wrong current password
+ *       403:
+ *         description: Email or password change while impersonating a user
  *       500:
  *         description: Internal server error
  */
 router.put('/profile', authenticateToken, validateUserUpdate, async (req, res) => {
   try {
-    const { email, first_name, last_name, password } = req.body;
+    const { email, first_name, last_name, password, current_password } = req.body;
     const userId = req.user.id;
+    const emailChanged = !!email && email !== req.user.email;
+
+    // Staff impersonating a customer may fix their name, but not take over the account
+    if (req.impersonator && (email || password)) {
+      return res.status(403).json({
+        error: 'Access forbidden',
+        message: 'Email and password cannot be changed while impersonating a user'
+      });
+    }
+
+    // A stolen session alone must not be enough to take over the account
+    if (emailChanged || password) {
+      if (!current_password) {
+        return res.status(400).json({
+          error: 'Update failed',
+          message: 'Current password is required to change your email or password'
+        });
+      }
+
+      const passwordResult = await db.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+      const isValidPassword = await bcrypt.compare(current_password, passwordResult.rows[0].password_hash);
+
+      if (!isValidPassword) {
+        return res.status(401).json({
+          error: 'Authentication failed',
+          message: 'Current password is incorrect'
+        });
+      }
+    }
 
     // Check if email is being updated and if it already exists
-    if (email && email !== req.user.email) {
+    if (emailChanged) {
       const existingUser = await db.query(
         'SELECT id FROM users WHERE email = $1 AND id != $2',
         [email, userId]
@@ -170,12 +487,6 @@ router.put('/profile', authenticateToken, validateUserUpdate, async (req, res) =
     const updateValues = [];
     let paramCount = 1;
 
-    if (email) {
-      updateFields.push(`email = $${paramCount}`);
-      updateValues.push(email);
-      paramCount++;
-    }
-
     if (first_name) {
       updateFields.push(`first_name = $${paramCount}`);
       updateValues.push(first_name);
@@ -196,28 +507,53 @@ router.put('/profile', authenticateToken, validateUserUpdate, async (req, res) =
       paramCount++;
     }
 
-    if (updateFields.length === 0) {
+    if (updateFields.length === 0 && !emailChanged) {
       return res.status(400).json({
         error: 'Update failed',
         message: 'No fields to update'
       });
     }
 
-    // Add user ID to the end of values array
-    updateValues.push(userId);
+    let user;
 
-    const query = `
-      UPDATE users
-      SET ${updateFields.join(', ')}
-      WHERE id = $${paramCount}
-      RETURNING id, email, first_name, last_name, is_admin, created_at, updated_at
-    `;
+    if (updateFields.length > 0) {
+      // Add user ID to the end of values array
+      updateValues.push(userId);
 
-    const result = await db.query(query, updateValues);
+      const query = `
+        UPDATE users
+        SET ${updateFields.join(', ')}
+        WHERE id = $${paramCount}
+        RETURNING id, email, first_name, last_name, is_admin, email_verified_at, created_at, updated_at
+      `;
+
+      const result = await db.query(query, updateValues);
+      user = result.rows[0];
+    } else {
+      const result = await db.query(
+        'SELECT id, email, first_name, last_name, is_admin, email_verified_at, created_at, updated_at FROM users WHERE id = $1',
+        [userId]
+      );
+      user = result.rows[0];
+    }
+
+    if (!emailChanged) {
+      return res.json({
+        message: 'Profile updated successfully',
+        user
+      });
+    }
+
+    // The new address only replaces the current one once its owner confirms it
+    const token = await createUserToken(userId, 'email_change', EMAIL_CHANGE_TTL_HOURS * 60, { email });
+    await sendEmailChangeConfirmationEmail(user, email, token, EMAIL_CHANGE_TTL_HOURS);
+    await sendEmailChangeRequestedEmail(user, email)
+      .catch(error => console.error('Email change notice error:', error));
 
     res.json({
-      message: 'Profile updated successfully',
-      user: result.rows[0]
+      message: 'Profile updated. Follow the link sent to your new email address to confirm it',
+      user,
+      pending_email: email
     });
 
   } catch (error) {
@@ -233,36 +569,47 @@ router.put('/profile', authenticateToken, validateUserUpdate, async (req, res) =
  * @swagger
  * /api/users/profile:
  *   delete:
- *     summary: Delete current user's account
+ *     summary: Close current user's account
+ *     description: |
+ *       Logs the user out everywhere and schedules their personal data for deletion after
+ *       ACCOUNT_DELETION_GRACE_PERIOD_DAYS. Until then the account can be reactivated by logging in
+ *       with `reactivate: true`. Orders are kept, attributed to an anonymized user.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Account deleted successfully
+ *         description: Account closed
  *         content:
  *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
+ *             example:
+ *               message: Account closed successfully
+ *               closed_at: 2024-01-01T00:00:00.000Z
+ *               deletion_scheduled_at: 2024-01-31T00:00:00.000Z
+ *       400:
+ *         description: The last superuser can't close their account
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating a user
  *       500:
  *         description: Internal server error
  */
-router.delete('/profile', authenticateToken, async (req, res) => {
+router.delete('/profile', authenticateToken, forbidImpersonation, async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Delete user (cascade will handle related records)
-    const result = await db.query(
-      'DELETE FROM users WHERE id = $1 RETURNING id',
-      [userId]
-    );
+    // Someone has to be left to run the shop
+    if (req.user.roles.includes(SUPERUSER_ROLE) && await countSuperusers() === 1) {
+      return res.status(400).json({
+        error: 'Delete failed',
+        message: 'The last superuser cannot close their account'
+      });
+    }
 
-    if (result.rows.length === 0) {
+    const closure = await closeAccount(userId);
+
+    if (!closure) {
       return res.status(404).json({
         error: 'User not found',
         message: 'User account not found'
@@ -270,7 +617,8 @@ router.delete('/profile', authenticateToken, async (req, res) => {
     }
 
     res.json({
-      message: 'Account deleted successfully'
+      message: 'Account closed successfully',
+      ...closure
     });
 
   } catch (error) {
@@ -284,99 +632,56 @@ router.delete('/profile', authenticateToken, async (req, res) => {
 
 /**
  * @swagger
- * /api/users:
+ * /api/users/profile/sessions:
  *   get:
- *     summary: Get all users (Admin only)
+ *     summary: Get the current user's active sessions
+ *     description: One session per login, with the device it was started from and when it was last used.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *         description: Number of users per page
  *     responses:
  *       200:
- *         description: Users retrieved successfully
+ *         description: Active sessions, most recently used first
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 users:
+ *                 sessions:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/UserProfile'
- *                 pagination:
- *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                     limit:
- *                       type: integer
- *                     total:
- *                       type: integer
- *                     pages:
- *                       type: integer
+ *                     $ref: '#/components/schemas/Session'
  *       401:
  *         description: Unauthorized
- *       403:
- *         description: Admin privileges required
  *       500:
  *         description: Internal server error
  */
-router.get('/', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+router.get('/profile/sessions', authenticateToken, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-
-    // Get total count
-    const countResult = await db.query('SELECT COUNT(*) FROM users');
-    const total = parseInt(countResult.rows[0].count);
-
-    // Get users
-    const result = await db.query(
-      `SELECT id, email, first_name, last_name, is_admin, created_at, updated_at
-       FROM users
-       ORDER BY created_at DESC
-       LIMIT $1 OFFSET $2`,
-      [limit, offset]
-    );
+    const sessions = await listSessions(req.user.id);
 
     res.json({
-      users: result.rows,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
     });
 
   } catch (error) {
-    console.error('Get users error:', error);
+    console.error('Get sessions error:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to retrieve users'
+      message: 'Failed to retrieve sessions'
     });
   }
 });
 
 /**
  * @swagger
- * /api/users/{id}:
- *   get:
- *     summary: Get user by ID (Admin only)
+ * /api/users/profile/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     description: Logs out a device; its access and refresh tokens stop working immediately.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -386,73 +691,59 @@ router.get('/', authenticateToken, requireAdmin, validatePagination, async (req,
  *         required: true
  *         schema:
  *           type: integer
- *         description: User ID
+ *         description: Session ID
  *     responses:
  *       200:
- *         description: User retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 user:
- *                   $ref: '#/components/schemas/UserProfile'
+ *         description: Session revoked
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Admin privileges required
+ *         description: Not allowed while impersonating a user
  *       404:
- *         description: User not found
+ *         description: Session not found or already revoked
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', authenticateToken, requireAdmin, validateId, async (req, res) => {
+router.delete('/profile/sessions/:id', authenticateToken, forbidImpersonation, validateId, async (req, res) => {
   try {
-    const userId = req.params.id;
-
-    const result = await db.query(
-      'SELECT id, email, first_name, last_name, is_admin, created_at, updated_at FROM users WHERE id = $1',
-      [userId]
-    );
+    const revoked = await revokeSession(req.params.id, 'user_revoked', req.user.id);
 
-    if (result.rows.length === 0) {
+    if (!revoked) {
       return res.status(404).json({
-        error: 'User not found',
-        message: 'User with the specified ID not found'
+        error: 'Session not found',
+        message: 'Session not found or already revoked'
       });
     }
 
     res.json({
-      user: result.rows[0]
+      message: 'Session revoked successfully'
     });
 
   } catch (error) {
-    console.error('Get user by ID error:', error);
+    console.error('Revoke session error:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to retrieve user'
+      message: 'Failed to revoke session'
     });
   }
 });
 
 /**
  * @swagger
- * /api/users/{id}:
- *   delete:
- *     summary: Delete user by ID (Admin only)
+ * /api/users/profile/export:
+ *   post:
+ *     summary: Request a copy of the current user's personal data
+ *     description: |
+ *       The export (profile, addresses, cart, orders and order items) is assembled in the
+ *       background; poll its status and download it once completed, as JSON or as a zip of CSV
+ *       files. The user is emailed when it is ready. Only one export can be in progress at a time;
+ *       asking again returns the one in progress.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: User ID
  *     responses:
- *       200:
- *         description: User deleted successfully
+ *       202:
+ *         description: Export requested
  *         content:
  *           application/json:
  *             schema:
@@ -460,48 +751,2123 @@ router.get('/:id', authenticateToken, requireAdmin, validateId, async (req, res)
  *               properties:
  *                 message:
  *                   type: string
+ *                 export:
+ *                   $ref: '#/components/schemas/DataExport'
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Admin privileges required
- *       404:
- *         description: User not found
+ *         description: Not allowed while impersonating a user
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id', authenticateToken, requireAdmin, validateId, async (req, res) => {
+router.post('/profile/export', authenticateToken, forbidImpersonation, async (req, res) => {
   try {
-    const userId = req.params.id;
-
-    // Prevent admin from deleting themselves
-    if (parseInt(userId) === req.user.id) {
-      return res.status(400).json({
-        error: 'Delete failed',
-        message: 'Cannot delete your own account'
-      });
-    }
-
-    const result = await db.query(
-      'DELETE FROM users WHERE id = $1 RETURNING id',
-      [userId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'User with the specified ID not found'
-      });
-    }
+    const { dataExport, created } = await requestDataExport(req.user.id, req.user.id);
 
-    res.json({
-      message: 'User deleted successfully'
+    res.status(202).json({
+      message: created ? 'Export requested successfully' : 'An export is already in progress',
+      export: dataExport
     });
 
   } catch (error) {
-    console.error('Delete user error:', error);
+    console.error('Request export error:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to delete user'
+      message: 'Failed to request export'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/profile/export:
+ *   get:
+ *     summary: Get the current user's data exports
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Exports, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exports:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/profile/export', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      exports: await listDataExports(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Get exports error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve exports'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/profile/export/{exportId}:
+ *   get:
+ *     summary: Get the status of one of the current user's data exports
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: exportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Export status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 export:
+ *                   $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Export not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/profile/export/:exportId', authenticateToken, validateExportId, async (req, res) => {
+  try {
+    const dataExport = await findDataExport(req.user.id, req.params.exportId);
+
+    if (!dataExport) {
+      return exportNotFound(res);
+    }
+
+    res.json({
+      export: dataExport
+    });
+
+  } catch (error) {
+    console.error('Get export error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve export'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/profile/export/{exportId}/download:
+ *   get:
+ *     summary: Download one of the current user's data exports
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: exportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *         description: A JSON document, or a zip with one CSV file per kind of record
+ *     responses:
+ *       200:
+ *         description: The export archive
+ *         content:
+ *           application/json: {}
+ *           application/zip: {}
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating a user
+ *       404:
+ *         description: Export not found
+ *       409:
+ *         description: Export not ready yet, or failed
+ *       410:
+ *         description: Export expired
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/profile/export/:exportId/download', authenticateToken, forbidImpersonation, validateExportId, validateExportFormat, async (req, res) => {
+  try {
+    const dataExport = await findDataExport(req.user.id, req.params.exportId);
+
+    if (!dataExport) {
+      return exportNotFound(res);
+    }
+
+    sendExportFile(res, dataExport, req.query.format);
+
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to download export'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Search users (requires users:read)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search email, first name, last name and full name
+ *       - in: query
+ *         name: is_admin
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: verified
+ *         schema:
+ *           type: boolean
+ *         description: Whether the email address has been verified
+ *       - in: query
+ *         name: has_orders
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: disabled
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: customer_group_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only users created at or after this time
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only users created at or before this time; a date without a time includes that whole day
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, email, first_name, last_name]
+ *           default: created_at
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Defaults to desc for created_at and asc otherwise
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of users per page
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserProfile'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, requirePermission('users:read'), validatePagination, validateUserFilters, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const { whereClause, params, orderBy } = buildUserSearch(req.query);
+
+    // Get total count
+    const countResult = await db.query(`SELECT COUNT(*) FROM users ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    // Get users
+    const result = await db.query(
+      `SELECT id, email, first_name, last_name, is_admin, email_verified_at, closed_at, anonymized_at,
+              disabled_at, disabled_reason, customer_group_id, created_at, updated_at
+       FROM users
+       ${whereClause}
+       ORDER BY ${orderBy}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      users: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve users'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/import:
+ *   post:
+ *     summary: Import users from a CSV file (requires users:import)
+ *     description: >
+ *       The file needs a header row with email, first_name and last_name columns. Each row is checked
+ *       against the same rules as registration; rows with errors are skipped and reported. Imported
+ *       users don't get a password, they are emailed an invite to choose one. Use dry_run to only
+ *       check the file.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Report what would be imported without creating anyone
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "email,first_name,last_name\nann@example.com,Ann,Lee\n"
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserImportReport'
+ *       201:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserImportReport'
+ *       400:
+ *         description: The file is missing, not valid CSV, lacks a column or has too many rows
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       413:
+ *         description: The file is larger than 1MB
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/import', authenticateToken, requirePermission('users:import'), express.text({ type: 'text/csv', limit: '1mb' }), validateUserImport, async (req, res) => {
+  try {
+    if (typeof req.body !== 'string') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Send the CSV file as the request body with Content-Type text/csv'
+      });
+    }
+
+    const { rows, error } = readUserCsv(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error
+      });
+    }
+
+    const dryRun = req.query.dry_run === true;
+    const report = await importUsers(rows, { dryRun });
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Import checked, no users were created' : 'Users imported successfully',
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Import users error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to import users'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/export.csv:
+ *   get:
+ *     summary: Download the user list as CSV (requires users:read)
+ *     description: Takes the same filters and sorting as GET /api/users and includes every matching user.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: is_admin
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: verified
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: has_orders
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: disabled
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: customer_group_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, email, first_name, last_name]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *     responses:
+ *       200:
+ *         description: CSV file of the matching users
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/export.csv', authenticateToken, requirePermission('users:read'), validateUserFilters, async (req, res) => {
+  const { whereClause, params, orderBy } = buildUserSearch(req.query);
+
+  try {
+    // Users are fetched and written a batch at a time so large lists aren't held in memory
+    for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+      const result = await db.query(
+        `SELECT ${USER_EXPORT_COLUMNS.join(', ')}
+         FROM users
+         ${whereClause}
+         ORDER BY ${orderBy}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, EXPORT_BATCH_SIZE, offset]
+      );
+
+      if (offset === 0) {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.attachment(`users-${new Date().toISOString().slice(0, 10)}.csv`);
+        res.write(`${USER_EXPORT_COLUMNS.join(',')}\r\n`);
+      }
+
+      for (const user of result.rows) {
+        res.write(`${USER_EXPORT_COLUMNS.map(column => formatCell(user[column])).join(',')}\r\n`);
+      }
+
+      if (result.rows.length < EXPORT_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    res.end();
+
+  } catch (error) {
+    console.error('Export users error:', error);
+
+    // Once the file has started there is no way to report the error but to cut it short
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to export users'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get user by ID (requires users:read)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   $ref: '#/components/schemas/UserProfile'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', authenticateToken, requirePermission('users:read'), validateId, async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    const result = await db.query(
+      `SELECT id, email, first_name, last_name, is_admin, email_verified_at,
+              failed_login_attempts, last_failed_login_at, locked_until, closed_at, anonymized_at,
+              disabled_at, disabled_reason, customer_group_id, created_at, updated_at
+       FROM users WHERE id = $1`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User with the specified ID not found'
+      });
+    }
+
+    res.json({
+      user: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Get user by ID error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user locked out after failed logins (requires users:update)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/unlock', authenticateToken, requirePermission('users:update'), validateId, async (req, res) => {
+  try {
+    const unlocked = await resetFailedLogins(req.params.id);
+
+    if (!unlocked) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User with the specified ID not found'
+      });
+    }
+
+    res.json({
+      message: 'User unlocked successfully'
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to unlock user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/disable:
+ *   post:
+ *     summary: Disable an account without deleting it (requires users:update)
+ *     description: |
+ *       The user is logged out everywhere and can't log in or use the API, including with their
+ *       API keys, until the account is enabled again. Their data, orders and roles are kept.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the account is disabled (shown to staff)
+ *           example:
+ *             reason: Chargeback fraud under investigation
+ *     responses:
+ *       200:
+ *         description: Account disabled
+ *       400:
+ *         description: Validation error, or disabling your own account or the last superuser
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission, or the account has permissions the caller doesn't hold
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Account is already disabled
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/disable', authenticateToken, requirePermission('users:update'), validateId, validateDisableUser, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        error: 'Disable failed',
+        message: 'Cannot disable your own account'
+      });
+    }
+
+    const userResult = await db.query(
+      'SELECT id, disabled_at FROM users WHERE id = $1 AND anonymized_at IS NULL',
+      [userId]
+    );
+    const user = userResult.rows[0];
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User with the specified ID not found'
+      });
+    }
+
+    if (user.disabled_at) {
+      return res.status(409).json({
+        error: 'Disable failed',
+        message: 'Account is already disabled'
+      });
+    }
+
+    // Staff can't lock out someone with more access than themselves
+    const missing = permissionsNotHeld(req.user, await findUserPermissions(userId));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Access forbidden',
+        message: `You can't disable an account with permissions you don't have: ${missing.join(', ')}`
+      });
+    }
+
+    const roles = await findUserRoles(userId);
+
+    if (roles.some(role => role.name === SUPERUSER_ROLE) && await countSuperusers() === 1) {
+      return res.status(400).json({
+        error: 'Disable failed',
+        message: 'The last superuser cannot be disabled'
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE users SET disabled_at = CURRENT_TIMESTAMP, disabled_reason = $2
+       WHERE id = $1
+       RETURNING disabled_at, disabled_reason`,
+      [userId, req.body.reason || null]
+    );
+
+    await revokeUserSessions(userId, 'account_disabled');
+
+    res.json({
+      message: 'User disabled successfully',
+      ...result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Disable user error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to disable user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/enable:
+ *   post:
+ *     summary: Enable a disabled account (requires users:update)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account enabled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Account is not disabled
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/enable', authenticateToken, requirePermission('users:update'), validateId, async (req, res) => {
+  try {
+    const userResult = await db.query(
+      'SELECT id, disabled_at FROM users WHERE id = $1 AND anonymized_at IS NULL',
+      [req.params.id]
+    );
+    const user = userResult.rows[0];
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User with the specified ID not found'
+      });
+    }
+
+    if (!user.disabled_at) {
+      return res.status(409).json({
+        error: 'Enable failed',
+        message: 'Account is not disabled'
+      });
+    }
+
+    await db.query(
+      'UPDATE users SET disabled_at = NULL, disabled_reason = NULL WHERE id = $1',
+      [user.id]
+    );
+
+    res.json({
+      message: 'User enabled successfully'
+    });
+
+  } catch (error) {
+    console.error('Enable user error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to enable user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/impersonate:
+ *   post:
+ *     summary: Log in as a customer (requires users:impersonate)
+ *     description: |
+ *       Returns a short-lived access token (IMPERSONATION_TOKEN_EXPIRES_IN_MINUTES, 15 by default) that acts
+ *       as the customer, so support can see their cart and orders exactly as they do. The token carries the
+ *       staff member's ID in its act claim and cannot be refreshed. While impersonating, the password, email,
+ *       two-factor settings and account deletion are blocked, and every request is recorded in the audit
+ *       trail at /api/impersonations. Logging out with the token ends the impersonation; so does revoking
+ *       the staff member's own session. Staff accounts cannot be impersonated.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the customer to impersonate
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the customer's account is being accessed (kept in the audit trail)
+ *           example:
+ *             reason: 'Ticket #4521: customer cannot see their last order'
+ *     responses:
+ *       201:
+ *         description: Impersonation started
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Impersonation started
+ *               token: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *               expires_in: 900
+ *               impersonation:
+ *                 id: 1
+ *                 admin_id: 1
+ *                 admin_email: admin@example.com
+ *                 user_id: 2
+ *                 user_email: john.doe@example.com
+ *                 reason: 'Ticket #4521: customer cannot see their last order'
+ *                 expires_at: 2024-01-01T00:15:00.000Z
+ *       400:
+ *         description: Validation error, or trying to impersonate yourself
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission, the user is a staff member, or the request used an API key
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/impersonate', authenticateToken, requirePermission('users:impersonate'), validateId, validateImpersonation, async (req, res) => {
+  try {
+    if (req.apiKey) {
+      return res.status(403).json({
+        error: 'Access forbidden',
+        message: 'API keys cannot impersonate users'
+      });
+    }
+
+    const result = await db.query(
+      `SELECT u.id, u.email,
+              EXISTS (SELECT 1 FROM user_roles ur
+                      JOIN role_permissions rp ON rp.role_id = ur.role_id
+                      WHERE ur.user_id = u.id) AS is_staff
+       FROM users u WHERE u.id = $1`,
+      [req.params.id]
+    );
+
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User with the specified ID not found'
+      });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        error: 'Impersonation failed',
+        message: 'You cannot impersonate yourself'
+      });
+    }
+
+    // Acting as another staff member would let someone use permissions they don't hold
+    if (user.is_staff) {
+      return res.status(403).json({
+        error: 'Access forbidden',
+        message: 'Staff accounts cannot be impersonated'
+      });
+    }
+
+    const { token, expiresIn, impersonation } = await startImpersonation({
+      admin: req.user,
+      adminSessionId: req.sessionId,
+      user,
+      reason: req.body.reason,
+      ip: req.ip
+    });
+
+    res.status(201).json({
+      message: 'Impersonation started',
+      token,
+      expires_in: expiresIn,
+      impersonation
+    });
+
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to start impersonation'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/login-attempts:
+ *   get:
+ *     summary: Get a user's login history (requires users:read)
+ *     description: Lists successful and failed login attempts, newest first, including why each failed attempt was rejected.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of attempts per page
+ *     responses:
+ *       200:
+ *         description: Login attempts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 login_attempts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       email:
+ *                         type: string
+ *                       ip_address:
+ *                         type: string
+ *                       user_agent:
+ *                         type: string
+ *                       success:
+ *                         type: boolean
+ *                       reason:
+ *                         type: string
+ *                         enum: [success, invalid_password, account_locked, account_throttled, ip_throttled, ip_blocked]
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/login-attempts', authenticateToken, requirePermission('users:read'), validateId, validatePagination, async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const countResult = await db.query(
+      'SELECT COUNT(*) FROM login_attempts WHERE user_id = $1',
+      [userId]
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await db.query(
+      `SELECT id, email, ip_address, user_agent, success, reason, created_at
+       FROM login_attempts
+       WHERE user_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+
+    res.json({
+      login_attempts: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve login attempts'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: Get a user's sessions (requires users:read)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *       - in: query
+ *         name: include_revoked
+ *         schema:
+ *           type: boolean
+ *         description: Also list revoked and expired sessions
+ *     responses:
+ *       200:
+ *         description: The user's sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/sessions', authenticateToken, requirePermission('users:read'), validateId, async (req, res) => {
+  try {
+    const userResult = await db.query('SELECT id FROM users WHERE id = $1', [req.params.id]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User with the specified ID not found'
+      });
+    }
+
+    res.json({
+      sessions: await listSessions(req.params.id, { includeRevoked: req.query.include_revoked === 'true' })
+    });
+
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve sessions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   delete:
+ *     summary: Revoke all of a user's sessions (requires users:update)
+ *     description: Logs the user out everywhere.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Sessions revoked successfully
+ *               revoked_sessions: 2
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/sessions', authenticateToken, requirePermission('users:update'), validateId, async (req, res) => {
+  try {
+    const revokedCount = await revokeUserSessions(req.params.id, 'admin_revoked');
+
+    res.json({
+      message: 'Sessions revoked successfully',
+      revoked_sessions: revokedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to revoke sessions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of a user's sessions (requires users:update)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Session not found or already revoked
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/sessions/:sessionId', authenticateToken, requirePermission('users:update'), validateId, validateSessionId, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.sessionId, 'admin_revoked', req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'Session not found or already revoked'
+      });
+    }
+
+    res.json({
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/export:
+ *   post:
+ *     summary: Request a copy of a user's personal data on their behalf (requires users:export)
+ *     description: |
+ *       Works like /api/users/profile/export, but the user is not emailed; download the export and
+ *       hand it over through the support channel the request came in on.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       202:
+ *         description: Export requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 export:
+ *                   $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/export', authenticateToken, requirePermission('users:export'), validateId, async (req, res) => {
+  try {
+    const userResult = await db.query('SELECT id FROM users WHERE id = $1', [req.params.id]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User with the specified ID not found'
+      });
+    }
+
+    const { dataExport, created } = await requestDataExport(userResult.rows[0].id, req.user.id);
+
+    res.status(202).json({
+      message: created ? 'Export requested successfully' : 'An export is already in progress',
+      export: dataExport
+    });
+
+  } catch (error) {
+    console.error('Request user export error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to request export'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/export:
+ *   get:
+ *     summary: Get a user's data exports (requires users:export)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Exports, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exports:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/export', authenticateToken, requirePermission('users:export'), validateId, async (req, res) => {
+  try {
+    res.json({
+      exports: await listDataExports(req.params.id)
+    });
+
+  } catch (error) {
+    console.error('Get user exports error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve exports'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/export/{exportId}:
+ *   get:
+ *     summary: Get the status of a user's data export (requires users:export)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *       - in: path
+ *         name: exportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Export status
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Export not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/export/:exportId', authenticateToken, requirePermission('users:export'), validateId, validateExportId, async (req, res) => {
+  try {
+    const dataExport = await findDataExport(req.params.id, req.params.exportId);
+
+    if (!dataExport) {
+      return exportNotFound(res);
+    }
+
+    res.json({
+      export: dataExport
+    });
+
+  } catch (error) {
+    console.error('Get user export error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve export'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/export/{exportId}/download:
+ *   get:
+ *     summary: Download a user's data export (requires users:export)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *       - in: path
+ *         name: exportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: The export archive
+ *         content:
+ *           application/json: {}
+ *           application/zip: {}
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Export not found
+ *       409:
+ *         description: Export not ready yet, or failed
+ *       410:
+ *         description: Export expired
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/export/:exportId/download', authenticateToken, requirePermission('users:export'), validateId, validateExportId, validateExportFormat, async (req, res) => {
+  try {
+    const dataExport = await findDataExport(req.params.id, req.params.exportId);
+
+    if (!dataExport) {
+      return exportNotFound(res);
+    }
+
+    sendExportFile(res, dataExport, req.query.format);
+
+  } catch (error) {
+    console.error('Download user export error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to download export'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/roles:
+ *   get:
+ *     summary: Get a user's roles (requires roles:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: The user's roles
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/roles', authenticateToken, requirePermission('roles:manage'), validateId, async (req, res) => {
+  try {
+    const userResult = await db.query('SELECT id FROM users WHERE id = $1', [req.params.id]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User with the specified ID not found'
+      });
+    }
+
+    const roles = await findUserRoles(req.params.id);
+
+    res.json({
+      roles
+    });
+
+  } catch (error) {
+    console.error('Get user roles error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve user roles'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/roles:
+ *   put:
+ *     summary: Set a user's roles (requires roles:manage)
+ *     description: |
+ *       Replaces all of the user's roles. Roles the caller adds or removes may only contain
+ *       permissions the caller holds, and the last superuser can't lose the superuser role.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role_ids
+ *             properties:
+ *               role_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *           example:
+ *             role_ids: [2]
+ *     responses:
+ *       200:
+ *         description: Roles updated successfully
+ *       400:
+ *         description: Validation error, unknown role or removing the last superuser
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission, or granting permissions the caller doesn't hold
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id/roles', authenticateToken, requirePermission('roles:manage'), validateId, validateUserRoles, async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    const userId = parseInt(req.params.id);
+    const roleIds = [...new Set(req.body.role_ids)];
+
+    const userResult = await client.query('SELECT id FROM users WHERE id = $1', [userId]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User with the specified ID not found'
+      });
+    }
+
+    const roles = await findRoles(roleIds);
+
+    if (roles.length !== roleIds.length) {
+      return res.status(400).json({
+        error: 'Invalid roles',
+        message: 'One or more roles do not exist'
+      });
+    }
+
+    // Only roles that change need checking against the caller's own permissions
+    const currentRoles = await findUserRoles(userId);
+    const currentIds = currentRoles.map(role => role.id);
+    const changedIds = [
+      ...roleIds.filter(id => !currentIds.includes(id)),
+      ...currentIds.filter(id => !roleIds.includes(id))
+    ];
+    const changedRoles = changedIds.length > 0 ? await findRoles(changedIds) : [];
+    const missing = permissionsNotHeld(req.user, changedRoles.flatMap(role => role.permissions));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Access forbidden',
+        message: `You can't grant or revoke permissions you don't have: ${[...new Set(missing)].join(', ')}`
+      });
+    }
+
+    await client.query('BEGIN');
+
+    await setUserRoles(client, userId, roleIds, req.user.id);
+
+    // Never leave the system without a superuser
+    if (changedRoles.some(role => role.name === SUPERUSER_ROLE) && await countSuperusers(client) === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: 'Update failed',
+        message: 'Cannot remove the superuser role from the last superuser'
+      });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'User roles updated successfully',
+      roles: await findUserRoles(userId)
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update user roles error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update user roles'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/admin:
+ *   post:
+ *     summary: Promote a user to admin (requires roles:manage)
+ *     description: |
+ *       Gives the user the superuser role, which holds every permission, and sets is_admin.
+ *       Only callers who hold every permission themselves can promote.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User promoted, with their roles
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission, or the caller doesn't hold every permission
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User is already an admin
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/admin', authenticateToken, requirePermission('roles:manage'), validateId, async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    const userId = parseInt(req.params.id);
+
+    const userResult = await client.query(
+      'SELECT id FROM users WHERE id = $1 AND closed_at IS NULL AND disabled_at IS NULL',
+      [userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No active user with the specified ID'
+      });
+    }
+
+    const superuser = await findRoleByName(SUPERUSER_ROLE);
+    const missing = permissionsNotHeld(req.user, superuser.permissions);
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Access forbidden',
+        message: `You can't grant or revoke permissions you don't have: ${missing.join(', ')}`
+      });
+    }
+
+    await client.query('BEGIN');
+    const added = await addUserRole(client, userId, superuser.id, req.user.id);
+    await client.query('COMMIT');
+
+    if (!added) {
+      return res.status(409).json({
+        error: 'Update failed',
+        message: 'User is already an admin'
+      });
+    }
+
+    res.json({
+      message: 'User promoted to admin successfully',
+      roles: await findUserRoles(userId)
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Promote user error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to promote user'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/admin:
+ *   delete:
+ *     summary: Demote an admin (requires roles:manage)
+ *     description: |
+ *       Removes the superuser role and clears is_admin. The user keeps any other roles.
+ *       The last superuser can't be demoted.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User demoted, with their remaining roles
+ *       400:
+ *         description: Demoting the last superuser
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission, or the caller doesn't hold every permission
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User is not an admin
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/admin', authenticateToken, requirePermission('roles:manage'), validateId, async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    const userId = parseInt(req.params.id);
+
+    const userResult = await client.query('SELECT id FROM users WHERE id = $1', [userId]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User with the specified ID not found'
+      });
+    }
+
+    const superuser = await findRoleByName(SUPERUSER_ROLE);
+    const missing = permissionsNotHeld(req.user, superuser.permissions);
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Access forbidden',
+        message: `You can't grant or revoke permissions you don't have: ${missing.join(', ')}`
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const removed = await removeUserRole(client, userId, superuser.id);
+
+    if (!removed) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Update failed',
+        message: 'User is not an admin'
+      });
+    }
+
+    // Never leave the system without a superuser
+    if (await countSuperusers(client) === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: 'Update failed',
+        message: 'Cannot remove the superuser role from the last superuser'
+      });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'User demoted successfully',
+      roles: await findUserRoles(userId)
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Demote user error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to demote user'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/customer-group:
+ *   put:
+ *     summary: Move a user into a customer group (requires customer_groups:manage)
+ *     description: The user pays the group's prices from then on. Send null to take them out of their group.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - customer_group_id
+ *             properties:
+ *               customer_group_id:
+ *                 type: integer
+ *                 nullable: true
+ *           example:
+ *             customer_group_id: 1
+ *     responses:
+ *       200:
+ *         description: Customer group updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 user:
+ *                   $ref: '#/components/schemas/UserProfile'
+ *       400:
+ *         description: Validation error or customer group not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id/customer-group', authenticateToken, requirePermission('customer_groups:manage'), validateId, validateUserCustomerGroup, async (req, res) => {
+  try {
+    const { customer_group_id } = req.body;
+
+    if (customer_group_id !== null) {
+      const group = await db.query('SELECT id FROM customer_groups WHERE id = $1', [customer_group_id]);
+
+      if (group.rows.length === 0) {
+        return res.status(400).json({
+          error: 'Update failed',
+          message: 'Customer group not found'
+        });
+      }
+    }
+
+    const result = await db.query(
+      `UPDATE users SET customer_group_id = $1
+       WHERE id = $2 AND anonymized_at IS NULL
+       RETURNING id, email, first_name, last_name, is_admin, email_verified_at, customer_group_id, created_at, updated_at`,
+      [customer_group_id, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User with the specified ID not found'
+      });
+    }
+
+    res.json({
+      message: 'Customer group updated successfully',
+      user: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Update customer group error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update customer group'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Close a user's account (requires users:delete)
+ *     description: |
+ *       Works like DELETE /api/users/profile. With `immediate=true` the personal data is deleted
+ *       right away instead of after the grace period, and the account can't be reactivated.
+ *       Orders are kept, attributed to an anonymized user.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *       - in: query
+ *         name: immediate
+ *         schema:
+ *           type: boolean
+ *         description: Anonymize the account now, skipping the grace period
+ *     responses:
+ *       200:
+ *         description: Account closed or anonymized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Cannot close your own account or the last superuser's
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission, or the account has permissions the caller doesn't hold
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Account is already closed
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', authenticateToken, requirePermission('users:delete'), validateId, async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    // Prevent staff from deleting themselves
+    if (parseInt(userId) === req.user.id) {
+      return res.status(400).json({
+        error: 'Delete failed',
+        message: 'Cannot delete your own account'
+      });
+    }
+
+    const result = await db.query(
+      'SELECT id, closed_at, anonymized_at FROM users WHERE id = $1',
+      [userId]
+    );
+    const user = result.rows[0];
+
+    if (!user || user.anonymized_at) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User with the specified ID not found'
+      });
+    }
+
+    const missing = permissionsNotHeld(req.user, await findUserPermissions(user.id));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Access forbidden',
+        message: `You can't close an account with permissions you don't have: ${missing.join(', ')}`
+      });
+    }
+
+    const roles = await findUserRoles(user.id);
+
+    if (roles.some(role => role.name === SUPERUSER_ROLE) && await countSuperusers() === 1) {
+      return res.status(400).json({
+        error: 'Delete failed',
+        message: 'The last superuser cannot be deleted'
+      });
+    }
+
+    if (req.query.immediate === 'true') {
+      await anonymizeAccount(user.id);
+      return res.json({
+        message: 'User anonymized successfully'
+      });
+    }
+
+    const closure = await closeAccount(user.id);
+
+    if (!closure) {
+      return res.status(409).json({
+        error: 'Delete failed',
+        message: 'Account is already closed'
+      });
+    }
+
+    res.json({
+      message: 'User account closed successfully',
+      ...closure
+    });
+
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a closed account during its grace period (requires users:update)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account reactivated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found, not closed or already anonymized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/reactivate', authenticateToken, requirePermission('users:update'), validateId, async (req, res) => {
+  try {
+    const reactivated = await reactivateAccount(req.params.id);
+
+    if (!reactivated) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No closed account that can be reactivated with the specified ID'
+      });
+    }
+
+    res.json({
+      message: 'Account reactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to reactivate account'
     });
   }
 });
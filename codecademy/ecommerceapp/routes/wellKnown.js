@@ -0,0 +1,36 @@
+const express = require('express');
+const { getJwks } = require('../utils/jwt');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Get the public keys that sign access tokens
+ *     description: |
+ *       JSON Web Key Set for verifying our access tokens without sharing a secret. Tokens name
+ *       their key in the kid header. Empty when tokens are signed with JWT_SECRET.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ *         content:
+ *           application/json:
+ *             example:
+ *               keys:
+ *                 - kty: EC
+ *                   crv: P-256
+ *                   x: f83OJ3D2xF1Bg8vub9tLe1gHMzV76e8Tus9uPHvRVEU
+ *                   y: x_FEzRu9m36HLN_tue659LNpXW6pCyStikYjKIWI5a0
+ *                   kid: 2024-01-01-3f9a
+ *                   use: sig
+ *                   alg: ES256
+ */
+router.get('/jwks.json', (req, res) => {
+  // Let verifiers cache the keys briefly so new keys are picked up soon after a rotation
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
+module.exports = router;
@@ -0,0 +1,17 @@
+// Anonymize accounts that were closed more than ACCOUNT_DELETION_GRACE_PERIOD_DAYS ago.
+//
+//   node scripts/anonymizeClosedAccounts.js
+//
+// Run it daily (e.g. from cron). Their orders are kept; everything else about them is deleted.
+const db = require('../config/database');
+const { anonymizeClosedAccounts } = require('../utils/accountClosure');
+
+anonymizeClosedAccounts()
+  .then((count) => {
+    console.log(`Anonymized ${count} closed account(s)`);
+    return db.end();
+  })
+  .catch((error) => {
+    console.error('Failed to anonymize closed accounts:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,35 @@
+// Generate a signing key pair for access tokens and write the private key to JWT_KEYS_DIR.
+//
+//   node scripts/generateJwtKey.js [ES256|RS256]
+//
+// The file name (without .pem) is the key id. Set JWT_ACTIVE_KID to it to start signing with it.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const algorithm = (process.argv[2] || 'ES256').toUpperCase();
+const dir = process.env.JWT_KEYS_DIR || path.join(__dirname, '..', 'keys');
+
+const generateKeyPair = () => {
+  if (algorithm === 'ES256') {
+    return crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  }
+
+  if (algorithm === 'RS256') {
+    return crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  }
+
+  console.error('Algorithm must be ES256 or RS256');
+  process.exit(1);
+};
+
+const { privateKey } = generateKeyPair();
+const kid = `${new Date().toISOString().substring(0, 10)}-${crypto.randomBytes(3).toString('hex')}`;
+const file = path.join(dir, `${kid}.pem`);
+
+fs.mkdirSync(dir, { recursive: true });
+fs.writeFileSync(file, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+console.log(`Wrote ${algorithm} key ${file}`);
+console.log(`Start signing with it by setting JWT_ACTIVE_KID=${kid}`);
@@ -0,0 +1,196 @@
+// Minimal OpenID Connect provider for local development and testing.
+// Supports discovery, the authorization code flow with PKCE, JWKS and userinfo.
+// Every login is approved: the user is taken from the login_hint parameter or from a form.
+//
+//   node scripts/mockOidcProvider.js
+//
+// then configure the API with:
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_ISSUER_URL=http://localhost:4010
+//   OIDC_MOCK_CLIENT_ID=ecommerce-api
+//   OIDC_MOCK_CLIENT_SECRET=mock-secret
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const CODE_TTL_MS = 60 * 1000;
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const escapeHtml = (value) => {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+};
+
+// Build an express app acting as an OIDC provider at the given issuer URL
+const createMockOidcProvider = ({
+  issuer,
+  clientId = 'ecommerce-api',
+  clientSecret = 'mock-secret'
+}) => {
+  const app = express();
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  app.use(express.urlencoded({ extended: false }));
+
+  // Claims for a mock user. Add email_verified=false to the authorization request
+  // to simulate a provider that hasn't verified the address.
+  const claimsFor = (email, emailVerified) => {
+    const localPart = email.split('@')[0];
+    const [givenName, ...rest] = localPart.split(/[._-]/);
+    const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+    return {
+      sub: crypto.createHash('sha256').update(email).digest('hex').substring(0, 24),
+      email,
+      email_verified: emailVerified,
+      given_name: capitalize(givenName),
+      family_name: rest.length > 0 ? capitalize(rest.join(' ')) : 'User',
+      name: localPart
+    };
+  };
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      scopes_supported: ['openid', 'email', 'profile'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: ['sub', 'email', 'email_verified', 'given_name', 'family_name', 'name']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }]
+    });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+    if (client_id !== clientId || !redirect_uri) {
+      return res.status(400).send('Unknown client or missing redirect_uri');
+    }
+
+    if (!code_challenge || code_challenge_method !== 'S256') {
+      return res.status(400).send('PKCE with S256 is required');
+    }
+
+    // Without a login hint, ask for an email address and come back here
+    if (!login_hint) {
+      const hiddenFields = Object.entries(req.query)
+        .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+        .join('');
+
+      return res.send(
+        `<form method="get" action="/authorize">${hiddenFields}` +
+        '<label>Email <input name="login_hint" type="email" required></label> ' +
+        '<button type="submit">Sign in</button></form>'
+      );
+    }
+
+    const code = base64url(crypto.randomBytes(24));
+    codes.set(code, {
+      redirectUri: redirect_uri,
+      nonce,
+      codeChallenge: code_challenge,
+      claims: claimsFor(login_hint, req.query.email_verified !== 'false'),
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    const location = new URL(redirect_uri);
+    location.searchParams.set('code', code);
+    if (state) {
+      location.searchParams.set('state', state);
+    }
+
+    res.redirect(location.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    let id = req.body.client_id;
+    let secret = req.body.client_secret;
+
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Basic ')) {
+      const decoded = Buffer.from(authorization.substring(6), 'base64').toString();
+      const separator = decoded.indexOf(':');
+      id = decodeURIComponent(decoded.substring(0, separator));
+      secret = decodeURIComponent(decoded.substring(separator + 1));
+    }
+
+    if (id !== clientId || secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    if (req.body.grant_type !== 'authorization_code') {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const challenge = base64url(crypto.createHash('sha256').update(req.body.code_verifier || '').digest());
+    if (challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const accessToken = base64url(crypto.randomBytes(24));
+    accessTokens.set(accessToken, grant.claims);
+
+    const idToken = jwt.sign(
+      { ...grant.claims, nonce: grant.nonce },
+      privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+    );
+
+    res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const claims = accessTokens.get(token);
+
+    if (!claims) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+
+    res.json(claims);
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+  const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+
+  createMockOidcProvider({
+    issuer,
+    clientId: process.env.MOCK_OIDC_CLIENT_ID || 'ecommerce-api',
+    clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret'
+  }).listen(port, () => {
+    console.log(`Mock OIDC provider running at ${issuer}`);
+  });
+}
+
+module.exports = { createMockOidcProvider };
@@ -15,6 +15,9 @@ const pool = new Pool(dbConfig);
 
 // SQL to create tables
 const createTables = `
+  -- Trigram matching for typo-tolerant product search
+  CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
   -- Create users table
   CREATE TABLE IF NOT EXISTS users (
     id SERIAL PRIMARY KEY,
@@ -23,6 +26,18 @@ const createTables = `
     first_name VARCHAR(100) NOT NULL,
     last_name VARCHAR(100) NOT NULL,
     is_admin BOOLEAN DEFAULT FALSE,
+    email_verified_at TIMESTAMP,
+    failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+    last_failed_login_at TIMESTAMP,
+    locked_until TIMESTAMP,
+    totp_secret VARCHAR(64),
+    totp_enabled_at TIMESTAMP,
+    totp_last_used_step BIGINT,
+    closed_at TIMESTAMP,
+    anonymized_at TIMESTAMP,
+    disabled_at TIMESTAMP,
+    disabled_reason VARCHAR(255),
+    customer_group_id INTEGER,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
   );
@@ -34,9 +49,9 @@ const createTables = `
     description TEXT,
     price DECIMAL(10, 2) NOT NULL CHECK (price > 0),
     stock_quantity INTEGER NOT NULL DEFAULT 0 CHECK (stock_quantity >= 0),
-    category VARCHAR(100),
     image_url VARCHAR(500),
     is_active BOOLEAN DEFAULT TRUE,
+    search_vector TSVECTOR,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
   );
@@ -56,18 +71,19 @@ const createTables = `
     product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
     quantity INTEGER NOT NULL CHECK (quantity > 0),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(cart_id, product_id)
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
   );
 
   -- Create orders table
   CREATE TABLE IF NOT EXISTS orders (
     id SERIAL PRIMARY KEY,
-    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE RESTRICT,
     total_amount DECIMAL(10, 2) NOT NULL CHECK (total_amount >= 0),
     status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'shipped', 'delivered', 'cancelled')),
     shipping_address TEXT,
     billing_address TEXT,
+    shipping_address_snapshot JSONB,
+    billing_address_snapshot JSONB,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
   );
@@ -83,9 +99,349 @@ const createTables = `
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
   );
 
+  -- Create user_sessions table (one row per login, shared by a family of refresh tokens)
+  CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    mfa_verified BOOLEAN NOT NULL DEFAULT FALSE,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(500),
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create refresh_tokens table (only token hashes are stored)
+  CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create user_tokens table (single-use tokens for account actions such as password resets)
+  CREATE TABLE IF NOT EXISTS user_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(50) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    data JSONB DEFAULT '{}',
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create login_attempts table (login history used for throttling and support)
+  CREATE TABLE IF NOT EXISTS login_attempts (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(500),
+    success BOOLEAN NOT NULL,
+    reason VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create user_recovery_codes table (hashed two-factor recovery codes)
+  CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create roles table
+  CREATE TABLE IF NOT EXISTS roles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    is_system BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create permissions table
+  CREATE TABLE IF NOT EXISTS permissions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create role_permissions table
+  CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    permission_id INTEGER NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+    PRIMARY KEY (role_id, permission_id)
+  );
+
+  -- Create user_roles table
+  CREATE TABLE IF NOT EXISTS user_roles (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    assigned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, role_id)
+  );
+
+  -- Create api_keys table (hashed keys for server-to-server integrations)
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(45),
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create user_identities table (accounts at external OpenID Connect providers)
+  CREATE TABLE IF NOT EXISTS user_identities (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, subject)
+  );
+
+  -- Create oidc_auth_requests table (state, nonce and PKCE verifier of pending provider logins)
+  CREATE TABLE IF NOT EXISTS oidc_auth_requests (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(50) NOT NULL,
+    state_hash VARCHAR(64) UNIQUE NOT NULL,
+    nonce VARCHAR(100) NOT NULL,
+    code_verifier VARCHAR(128) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create impersonation_sessions table (staff acting as a customer; kept as an audit trail)
+  CREATE TABLE IF NOT EXISTS impersonation_sessions (
+    id SERIAL PRIMARY KEY,
+    admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    admin_session_id INTEGER REFERENCES user_sessions(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    admin_email VARCHAR(255) NOT NULL,
+    user_email VARCHAR(255) NOT NULL,
+    reason VARCHAR(500) NOT NULL,
+    ip_address VARCHAR(45),
+    expires_at TIMESTAMP NOT NULL,
+    ended_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create impersonation_requests table (every request made while impersonating)
+  CREATE TABLE IF NOT EXISTS impersonation_requests (
+    id SERIAL PRIMARY KEY,
+    impersonation_id INTEGER NOT NULL REFERENCES impersonation_sessions(id) ON DELETE CASCADE,
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(500) NOT NULL,
+    status_code INTEGER,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create addresses table (a user's saved address book)
+  CREATE TABLE IF NOT EXISTS addresses (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    label VARCHAR(50),
+    full_name VARCHAR(200) NOT NULL,
+    line1 VARCHAR(200) NOT NULL,
+    line2 VARCHAR(200),
+    city VARCHAR(100) NOT NULL,
+    region VARCHAR(100),
+    postal_code VARCHAR(20),
+    country CHAR(2) NOT NULL,
+    phone VARCHAR(30),
+    is_default_shipping BOOLEAN NOT NULL DEFAULT FALSE,
+    is_default_billing BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create data_exports table (copies of a user's personal data, built in the background)
+  CREATE TABLE IF NOT EXISTS data_exports (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'expired')),
+    error VARCHAR(500),
+    completed_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create customer_groups table (customers in a group get its prices)
+  CREATE TABLE IF NOT EXISTS customer_groups (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    discount_percent DECIMAL(5, 2) NOT NULL DEFAULT 0 CHECK (discount_percent >= 0 AND discount_percent < 100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create customer_group_prices table (a group's own price for a product, instead of its discount)
+  CREATE TABLE IF NOT EXISTS customer_group_prices (
+    customer_group_id INTEGER NOT NULL REFERENCES customer_groups(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    price DECIMAL(10, 2) NOT NULL CHECK (price > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (customer_group_id, product_id)
+  );
+
+  -- Create notifications table (each user's in-app inbox)
+  CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    data JSONB,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create notification_preferences table (channels a user turned on or off; defaults apply otherwise)
+  CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL,
+    enabled BOOLEAN NOT NULL,
+    settings JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, channel)
+  );
+
+  -- Create product_options table (the option types a product comes in, such as size or color)
+  CREATE TABLE IF NOT EXISTS product_options (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    option_values TEXT[] NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(product_id, name)
+  );
+
+  -- Create product_variants table (one row per combination of option values, each with its own SKU and stock)
+  CREATE TABLE IF NOT EXISTS product_variants (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    sku VARCHAR(64) UNIQUE NOT NULL,
+    options JSONB NOT NULL DEFAULT '{}',
+    price DECIMAL(10, 2) CHECK (price > 0),
+    stock_quantity INTEGER NOT NULL DEFAULT 0 CHECK (stock_quantity >= 0),
+    image_url VARCHAR(500),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create categories table (nested through parent_id)
+  CREATE TABLE IF NOT EXISTS categories (
+    id SERIAL PRIMARY KEY,
+    parent_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
+    name VARCHAR(100) NOT NULL,
+    slug VARCHAR(120) UNIQUE NOT NULL,
+    description TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Create product categories table (a product can be in several categories)
+  CREATE TABLE IF NOT EXISTS product_categories (
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    PRIMARY KEY (product_id, category_id)
+  );
+
+  -- Add columns introduced after the initial schema (keeps existing databases up to date)
+  -- Accounts from before email verification keep being able to order, so count them as verified
+  DO $$
+  BEGIN
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'email_verified_at') THEN
+      ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;
+      UPDATE users SET email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP);
+    END IF;
+  END $$;
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+  ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS mfa_verified BOOLEAN NOT NULL DEFAULT FALSE;
+  ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45);
+  ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS user_agent VARCHAR(500);
+  ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_address_snapshot JSONB;
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS billing_address_snapshot JSONB;
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP;
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP;
+  -- Order history outlives accounts: closing an account anonymizes the user instead of deleting it
+  ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_user_id_fkey;
+  ALTER TABLE orders ADD CONSTRAINT orders_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE RESTRICT;
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP;
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_reason VARCHAR(255);
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS customer_group_id INTEGER;
+  -- Deleting a customer group moves its members back to list prices
+  ALTER TABLE users DROP CONSTRAINT IF EXISTS users_customer_group_id_fkey;
+  ALTER TABLE users ADD CONSTRAINT users_customer_group_id_fkey FOREIGN KEY (customer_group_id) REFERENCES customer_groups(id) ON DELETE SET NULL;
+  ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE;
+  -- A cart can hold several variants of the same product
+  ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_cart_id_product_id_key;
+  ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL;
+  ALTER TABLE order_items ADD COLUMN IF NOT EXISTS sku VARCHAR(64);
+  ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_options JSONB;
+  ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+  -- Move the free-text products.category into categories, one top-level category per distinct value
+  DO $$
+  BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'products' AND column_name = 'category') THEN
+      INSERT INTO categories (name, slug)
+      SELECT DISTINCT ON (slug) name, slug
+      FROM (
+        SELECT TRIM(category) AS name, TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(category), '[^a-z0-9]+', '-', 'g')) AS slug
+        FROM products
+        WHERE category IS NOT NULL
+      ) legacy
+      WHERE slug <> ''
+      ORDER BY slug, name
+      ON CONFLICT (slug) DO NOTHING;
+
+      INSERT INTO product_categories (product_id, category_id)
+      SELECT p.id, c.id
+      FROM products p
+      JOIN categories c ON c.slug = TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(p.category), '[^a-z0-9]+', '-', 'g'))
+      ON CONFLICT DO NOTHING;
+
+      ALTER TABLE products DROP COLUMN category;
+    END IF;
+  END $$;
+
   -- Create indexes for better performance
   CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-  CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);
   CREATE INDEX IF NOT EXISTS idx_products_is_active ON products(is_active);
   CREATE INDEX IF NOT EXISTS idx_carts_user_id ON carts(user_id);
   CREATE INDEX IF NOT EXISTS idx_cart_items_cart_id ON cart_items(cart_id);
@@ -94,6 +450,38 @@ const createTables = `
   CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
   CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
   CREATE INDEX IF NOT EXISTS idx_order_items_product_id ON order_items(product_id);
+  CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+  CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+  CREATE INDEX IF NOT EXISTS idx_user_tokens_user_id_purpose ON user_tokens(user_id, purpose);
+  CREATE INDEX IF NOT EXISTS idx_login_attempts_user_id ON login_attempts(user_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_login_attempts_ip_address ON login_attempts(ip_address, created_at);
+  CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+  CREATE INDEX IF NOT EXISTS idx_user_roles_role_id ON user_roles(role_id);
+  CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+  CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+  CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_admin_id ON impersonation_sessions(admin_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_user_id ON impersonation_sessions(user_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_impersonation_requests_impersonation_id ON impersonation_requests(impersonation_id);
+  CREATE INDEX IF NOT EXISTS idx_addresses_user_id ON addresses(user_id);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_addresses_default_shipping ON addresses(user_id) WHERE is_default_shipping;
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_addresses_default_billing ON addresses(user_id) WHERE is_default_billing;
+  CREATE INDEX IF NOT EXISTS idx_data_exports_user_id ON data_exports(user_id, created_at);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_data_exports_in_progress ON data_exports(user_id) WHERE status IN ('pending', 'processing');
+  CREATE INDEX IF NOT EXISTS idx_users_closed_at ON users(closed_at) WHERE closed_at IS NOT NULL AND anonymized_at IS NULL;
+  CREATE INDEX IF NOT EXISTS idx_users_customer_group_id ON users(customer_group_id);
+  CREATE INDEX IF NOT EXISTS idx_customer_group_prices_product_id ON customer_group_prices(product_id);
+  CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+  CREATE INDEX IF NOT EXISTS idx_product_options_product_id ON product_options(product_id);
+  CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_options ON product_variants(product_id, options);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_cart_product_variant ON cart_items(cart_id, product_id, COALESCE(variant_id, 0));
+  CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN (search_vector);
+  CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING GIN (name gin_trgm_ops);
+  CREATE INDEX IF NOT EXISTS idx_products_created_at ON products(created_at, id);
+  CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at, id);
+  CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+  CREATE INDEX IF NOT EXISTS idx_product_categories_category_id ON product_categories(category_id);
 
   -- Create trigger function to update updated_at timestamp
   CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -104,6 +492,43 @@ const createTables = `
   END;
   $$ language 'plpgsql';
 
+  -- Keep products.search_vector up to date: the name weighs more than the description. Words are indexed
+  -- both stemmed (so "shoe" finds "shoes") and as written (so "runn" finds "running" as a prefix).
+  CREATE OR REPLACE FUNCTION update_products_search_vector()
+  RETURNS TRIGGER AS $$
+  BEGIN
+    NEW.search_vector :=
+      setweight(to_tsvector('english', COALESCE(NEW.name, '')), 'A') ||
+      setweight(to_tsvector('simple', COALESCE(NEW.name, '')), 'A') ||
+      setweight(to_tsvector('english', COALESCE(NEW.description, '')), 'B') ||
+      setweight(to_tsvector('simple', COALESCE(NEW.description, '')), 'B');
+    RETURN NEW;
+  END;
+  $$ language 'plpgsql';
+
+  -- Search query matching products with every word, either as a word prefix or as the same stem
+  CREATE OR REPLACE FUNCTION product_search_query(words TEXT[])
+  RETURNS TSQUERY AS $$
+  DECLARE
+    word TEXT;
+    stem TSQUERY;
+    term TSQUERY;
+    result TSQUERY;
+  BEGIN
+    FOREACH word IN ARRAY words LOOP
+      term := to_tsquery('simple', quote_literal(word) || ':*');
+      stem := plainto_tsquery('english', word);
+      -- ts_rank ignores a prefix term whose word is in the query again without the prefix, so only
+      -- add the stem when it differs from the word ("runn" would otherwise rank every match 0)
+      IF stem::TEXT <> quote_literal(word) THEN
+        term := term || stem;
+      END IF;
+      result := CASE WHEN result IS NULL THEN term ELSE result && term END;
+    END LOOP;
+    RETURN result;
+  END;
+  $$ language 'plpgsql' STABLE;
+
   -- Create triggers for updating updated_at
   DROP TRIGGER IF EXISTS update_users_updated_at ON users;
   CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -122,29 +547,165 @@ const createTables = `
 
   DROP TRIGGER IF EXISTS update_order_items_updated_at ON order_items;
   CREATE TRIGGER update_order_items_updated_at BEFORE UPDATE ON order_items FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+  DROP TRIGGER IF EXISTS update_user_sessions_updated_at ON user_sessions;
+  CREATE TRIGGER update_user_sessions_updated_at BEFORE UPDATE ON user_sessions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+  DROP TRIGGER IF EXISTS update_roles_updated_at ON roles;
+  CREATE TRIGGER update_roles_updated_at BEFORE UPDATE ON roles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+  DROP TRIGGER IF EXISTS update_addresses_updated_at ON addresses;
+  CREATE TRIGGER update_addresses_updated_at BEFORE UPDATE ON addresses FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+  DROP TRIGGER IF EXISTS update_data_exports_updated_at ON data_exports;
+  CREATE TRIGGER update_data_exports_updated_at BEFORE UPDATE ON data_exports FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+  DROP TRIGGER IF EXISTS update_customer_groups_updated_at ON customer_groups;
+  CREATE TRIGGER update_customer_groups_updated_at BEFORE UPDATE ON customer_groups FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+  DROP TRIGGER IF EXISTS update_customer_group_prices_updated_at ON customer_group_prices;
+  CREATE TRIGGER update_customer_group_prices_updated_at BEFORE UPDATE ON customer_group_prices FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+  DROP TRIGGER IF EXISTS update_notification_preferences_updated_at ON notification_preferences;
+  CREATE TRIGGER update_notification_preferences_updated_at BEFORE UPDATE ON notification_preferences FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+  DROP TRIGGER IF EXISTS update_product_options_updated_at ON product_options;
+  CREATE TRIGGER update_product_options_updated_at BEFORE UPDATE ON product_options FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+  DROP TRIGGER IF EXISTS update_product_variants_updated_at ON product_variants;
+  CREATE TRIGGER update_product_variants_updated_at BEFORE UPDATE ON product_variants FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+  DROP TRIGGER IF EXISTS update_categories_updated_at ON categories;
+  CREATE TRIGGER update_categories_updated_at BEFORE UPDATE ON categories FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+  DROP TRIGGER IF EXISTS update_products_search_vector ON products;
+  CREATE TRIGGER update_products_search_vector BEFORE INSERT OR UPDATE OF name, description ON products FOR EACH ROW EXECUTE FUNCTION update_products_search_vector();
+
+  -- Index products created before search_vector existed
+  UPDATE products SET name = name WHERE search_vector IS NULL;
+
+  -- Insert permissions and the built-in superuser role (safe to run again)
+  INSERT INTO permissions (name, description) VALUES
+  ('users:read', 'View customer accounts and login history'),
+  ('users:update', 'Unlock, disable and reactivate customer accounts'),
+  ('users:delete', 'Close and anonymize customer accounts'),
+  ('roles:manage', 'Create roles and assign them to users'),
+  ('products:write', 'Create and update products'),
+  ('products:delete', 'Delete products'),
+  ('orders:read', 'View all orders'),
+  ('orders:update_status', 'Update order status and cancel any order'),
+  ('api_keys:manage', 'Create and revoke API keys'),
+  ('users:impersonate', 'Act as a customer to see what they see'),
+  ('audit:read', 'View the impersonation audit log'),
+  ('users:export', 'Export customer personal data on their behalf'),
+  ('users:import', 'Import customer accounts from CSV'),
+  ('customer_groups:manage', 'Manage customer groups, their prices and members'),
+  ('categories:manage', 'Create, update and delete product categories')
+  ON CONFLICT (name) DO NOTHING;
+
+  INSERT INTO roles (name, description, is_system) VALUES
+  ('superuser', 'Full access, always holds every permission', TRUE)
+  ON CONFLICT (name) DO NOTHING;
+
+  INSERT INTO role_permissions (role_id, permission_id)
+  SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+  WHERE r.name = 'superuser'
+  ON CONFLICT DO NOTHING;
+
+  -- Give admins the superuser role (migrates admins from before roles existed)
+  INSERT INTO user_roles (user_id, role_id)
+  SELECT u.id, r.id FROM users u JOIN roles r ON r.name = 'superuser'
+  WHERE u.is_admin = TRUE
+  ON CONFLICT DO NOTHING;
 `;
 
 // Sample data for testing
 const seedData = `
   -- Insert sample users (password: 'password123')
-  INSERT INTO users (email, password_hash, first_name, last_name, is_admin) VALUES
-  ('admin@example.com', '$2a$10$rOvY1W0P7JdLWBz1fKjEyeU5k5LKQWNJUGmhXFMhqoZ5PzSbqKM3O', 'Admin', 'User', TRUE),
-  ('john.doe@example.com', '$2a$10$rOvY1W0P7JdLWBz1fKjEyeU5k5LKQWNJUGmhXFMhqoZ5PzSbqKM3O', 'John', 'Doe', FALSE),
-  ('jane.smith@example.com', '$2a$10$rOvY1W0P7JdLWBz1fKjEyeU5k5LKQWNJUGmhXFMhqoZ5PzSbqKM3O', 'Jane', 'Smith', FALSE)
+  INSERT INTO users (email, password_hash, first_name, last_name, is_admin, email_verified_at) VALUES
+  ('admin@example.com', '$2a$10$4qCzggs1O3/ea9EFGuwp/uktvH6dlc4xC8FlKV/FkhkrO/5Lu1Pcy', 'Admin', 'User', TRUE, CURRENT_TIMESTAMP),
+  ('john.doe@example.com', '$2a$10$4qCzggs1O3/ea9EFGuwp/uktvH6dlc4xC8FlKV/FkhkrO/5Lu1Pcy', 'John', 'Doe', FALSE, CURRENT_TIMESTAMP),
+  ('jane.smith@example.com', '$2a$10$4qCzggs1O3/ea9EFGuwp/uktvH6dlc4xC8FlKV/FkhkrO/5Lu1Pcy', 'Jane', 'Smith', FALSE, CURRENT_TIMESTAMP)
   ON CONFLICT (email) DO NOTHING;
 
+  -- Give admins the superuser role (migrates admins from before roles existed)
+  INSERT INTO user_roles (user_id, role_id)
+  SELECT u.id, r.id FROM users u JOIN roles r ON r.name = 'superuser'
+  WHERE u.is_admin = TRUE
+  ON CONFLICT DO NOTHING;
+
+  -- Insert sample staff roles
+  INSERT INTO roles (name, description) VALUES
+  ('warehouse', 'Fulfils orders'),
+  ('catalog_manager', 'Maintains the product catalog')
+  ON CONFLICT (name) DO NOTHING;
+
+  INSERT INTO role_permissions (role_id, permission_id)
+  SELECT r.id, p.id FROM roles r JOIN permissions p
+    ON (r.name = 'warehouse' AND p.name IN ('orders:read', 'orders:update_status'))
+    OR (r.name = 'catalog_manager' AND p.name IN ('products:write', 'products:delete', 'categories:manage'))
+  WHERE NOT EXISTS (SELECT 1 FROM role_permissions rp WHERE rp.role_id = r.id)
+  ON CONFLICT DO NOTHING;
+
+  -- Insert sample customer groups
+  INSERT INTO customer_groups (name, description, discount_percent) VALUES
+  ('wholesale', 'Trade customers buying in bulk', 20),
+  ('vip', 'Loyal customers', 10),
+  ('staff', 'Employee discount', 30)
+  ON CONFLICT (name) DO NOTHING;
+
   -- Insert sample products
-  INSERT INTO products (name, description, price, stock_quantity, category, image_url) VALUES
-  ('Laptop Computer', 'High-performance laptop with 16GB RAM and 512GB SSD', 999.99, 50, 'Electronics', 'https://example.com/laptop.jpg'),
-  ('Wireless Headphones', 'Premium noise-cancelling wireless headphones', 299.99, 100, 'Electronics', 'https://example.com/headphones.jpg'),
-  ('Coffee Maker', 'Programmable coffee maker with thermal carafe', 149.99, 25, 'Home & Kitchen', 'https://example.com/coffee-maker.jpg'),
-  ('Running Shoes', 'Comfortable running shoes with excellent cushioning', 129.99, 75, 'Sports & Outdoors', 'https://example.com/running-shoes.jpg'),
-  ('Smartphone', 'Latest smartphone with advanced camera system', 799.99, 30, 'Electronics', 'https://example.com/smartphone.jpg'),
-  ('Backpack', 'Durable hiking backpack with multiple compartments', 79.99, 40, 'Sports & Outdoors', 'https://example.com/backpack.jpg'),
-  ('Desk Chair', 'Ergonomic office chair with lumbar support', 199.99, 20, 'Furniture', 'https://example.com/desk-chair.jpg'),
-  ('Water Bottle', 'Insulated stainless steel water bottle', 24.99, 200, 'Sports & Outdoors', 'https://example.com/water-bottle.jpg'),
-  ('Bluetooth Speaker', 'Portable Bluetooth speaker with excellent sound quality', 89.99, 60, 'Electronics', 'https://example.com/speaker.jpg'),
-  ('Yoga Mat', 'Non-slip yoga mat for exercise and meditation', 39.99, 85, 'Sports & Outdoors', 'https://example.com/yoga-mat.jpg')
+  INSERT INTO products (name, description, price, stock_quantity, image_url) VALUES
+  ('Laptop Computer', 'High-performance laptop with 16GB RAM and 512GB SSD', 999.99, 50, 'https://example.com/laptop.jpg'),
+  ('Wireless Headphones', 'Premium noise-cancelling wireless headphones', 299.99, 100, 'https://example.com/headphones.jpg'),
+  ('Coffee Maker', 'Programmable coffee maker with thermal carafe', 149.99, 25, 'https://example.com/coffee-maker.jpg'),
+  ('Running Shoes', 'Comfortable running shoes with excellent cushioning', 129.99, 75, 'https://example.com/running-shoes.jpg'),
+  ('Smartphone', 'Latest smartphone with advanced camera system', 799.99, 30, 'https://example.com/smartphone.jpg'),
+  ('Backpack', 'Durable hiking backpack with multiple compartments', 79.99, 40, 'https://example.com/backpack.jpg'),
+  ('Desk Chair', 'Ergonomic office chair with lumbar support', 199.99, 20, 'https://example.com/desk-chair.jpg'),
+  ('Water Bottle', 'Insulated stainless steel water bottle', 24.99, 200, 'https://example.com/water-bottle.jpg'),
+  ('Bluetooth Speaker', 'Portable Bluetooth speaker with excellent sound quality', 89.99, 60, 'https://example.com/speaker.jpg'),
+  ('Yoga Mat', 'Non-slip yoga mat for exercise and meditation', 39.99, 85, 'https://example.com/yoga-mat.jpg')
+  ON CONFLICT DO NOTHING;
+
+  -- Insert sample categories
+  INSERT INTO categories (name, slug, description, sort_order) VALUES
+  ('Electronics', 'electronics', 'Computers, phones and audio', 1),
+  ('Home & Kitchen', 'home-kitchen', 'Appliances for the home', 2),
+  ('Sports & Outdoors', 'sports-outdoors', 'Gear for sports, fitness and the outdoors', 3),
+  ('Furniture', 'furniture', 'Furniture for the home and office', 4)
+  ON CONFLICT (slug) DO NOTHING;
+
+  INSERT INTO categories (parent_id, name, slug, description, sort_order)
+  SELECT parent.id, c.name, c.slug, c.description, c.sort_order
+  FROM (VALUES
+    ('electronics', 'Computers', 'computers', 'Laptops and desktops', 1),
+    ('electronics', 'Phones', 'phones', 'Smartphones', 2),
+    ('electronics', 'Audio', 'audio', 'Headphones and speakers', 3),
+    ('sports-outdoors', 'Fitness', 'fitness', 'Home workout equipment', 1),
+    ('sports-outdoors', 'Running', 'running', 'Shoes and gear for runners', 2),
+    ('sports-outdoors', 'Hiking', 'hiking', 'Packs and gear for the trail', 3)
+  ) AS c (parent_slug, name, slug, description, sort_order)
+  JOIN categories parent ON parent.slug = c.parent_slug
+  ON CONFLICT (slug) DO NOTHING;
+
+  INSERT INTO product_categories (product_id, category_id)
+  SELECT p.id, c.id
+  FROM (VALUES
+    ('Laptop Computer', 'computers'),
+    ('Wireless Headphones', 'audio'),
+    ('Coffee Maker', 'home-kitchen'),
+    ('Running Shoes', 'running'),
+    ('Smartphone', 'phones'),
+    ('Backpack', 'hiking'),
+    ('Desk Chair', 'furniture'),
+    ('Water Bottle', 'hiking'),
+    ('Water Bottle', 'fitness'),
+    ('Bluetooth Speaker', 'audio'),
+    ('Yoga Mat', 'fitness')
+  ) AS pc (product_name, category_slug)
+  JOIN products p ON p.name = pc.product_name
+  JOIN categories c ON c.slug = pc.category_slug
   ON CONFLICT DO NOTHING;
 
   -- Create initial carts for users
@@ -197,9 +758,35 @@ async function dropTables() {
       DROP TABLE IF EXISTS orders CASCADE;
       DROP TABLE IF EXISTS cart_items CASCADE;
       DROP TABLE IF EXISTS carts CASCADE;
+      DROP TABLE IF EXISTS product_variants CASCADE;
+      DROP TABLE IF EXISTS product_options CASCADE;
+      DROP TABLE IF EXISTS product_categories CASCADE;
+      DROP TABLE IF EXISTS categories CASCADE;
       DROP TABLE IF EXISTS products CASCADE;
+      DROP TABLE IF EXISTS refresh_tokens CASCADE;
+      DROP TABLE IF EXISTS user_sessions CASCADE;
+      DROP TABLE IF EXISTS user_tokens CASCADE;
+      DROP TABLE IF EXISTS login_attempts CASCADE;
+      DROP TABLE IF EXISTS user_recovery_codes CASCADE;
+      DROP TABLE IF EXISTS user_roles CASCADE;
+      DROP TABLE IF EXISTS role_permissions CASCADE;
+      DROP TABLE IF EXISTS permissions CASCADE;
+      DROP TABLE IF EXISTS roles CASCADE;
+      DROP TABLE IF EXISTS api_keys CASCADE;
+      DROP TABLE IF EXISTS user_identities CASCADE;
+      DROP TABLE IF EXISTS oidc_auth_requests CASCADE;
+      DROP TABLE IF EXISTS impersonation_requests CASCADE;
+      DROP TABLE IF EXISTS impersonation_sessions CASCADE;
+      DROP TABLE IF EXISTS addresses CASCADE;
+      DROP TABLE IF EXISTS data_exports CASCADE;
+      DROP TABLE IF EXISTS customer_group_prices CASCADE;
+      DROP TABLE IF EXISTS customer_groups CASCADE;
+      DROP TABLE IF EXISTS notifications CASCADE;
+      DROP TABLE IF EXISTS notification_preferences CASCADE;
       DROP TABLE IF EXISTS users CASCADE;
       DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE;
+      DROP FUNCTION IF EXISTS update_products_search_vector() CASCADE;
+      DROP FUNCTION IF EXISTS product_search_query(TEXT[]) CASCADE;
     `;
 
     await pool.query(dropTablesQuery);
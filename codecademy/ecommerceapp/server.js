@@ -7,14 +7,30 @@ const swaggerUi = require('swagger-ui-express');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const oidcRoutes = require('./routes/oidc');
 const userRoutes = require('./routes/users');
+const addressRoutes = require('./routes/addresses');
+const notificationRoutes = require('./routes/notifications');
 const productRoutes = require('./routes/products');
+const categoryRoutes = require('./routes/categories');
 const cartRoutes = require('./routes/cart');
 const orderRoutes = require('./routes/orders');
+const roleRoutes = require('./routes/roles');
+const customerGroupRoutes = require('./routes/customerGroups');
+const apiKeyRoutes = require('./routes/apiKeys');
+const impersonationRoutes = require('./routes/impersonations');
+const wellKnownRoutes = require('./routes/wellKnown');
+const { resumeDataExports } = require('./utils/dataExports');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Trust the X-Forwarded-For header when running behind a proxy so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors());
@@ -44,6 +60,11 @@ const swaggerOptions = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
         },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+        },
       },
     },
   },
@@ -56,11 +77,21 @@ const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/users/profile/addresses', addressRoutes);
+app.use('/api/users/profile/notifications', notificationRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/customer-groups', customerGroupRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/impersonations', impersonationRoutes);
+app.use('/.well-known', wellKnownRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -100,6 +131,9 @@ app.use('*', (req, res) => {
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`API documentation available at http://localhost:${PORT}/api-docs`);
+
+  // Finish data exports that were interrupted by a restart
+  resumeDataExports().catch(error => console.error('Resume data exports error:', error));
 });
 
 module.exports = app;
@@ -1,8 +1,13 @@
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
 
 // Base URL for the API
 const BASE_URL = 'http://localhost:3000';
 
+// Directory the server's outbox mail transport writes to
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'tmp', 'outbox');
+
 // Test user data
 const testUser = {
   email: 'test@example.com',
@@ -11,17 +16,25 @@ const testUser = {
   last_name: 'User'
 };
 
-// Store authentication token
+// Default admin created by the database setup, for the tests that need staff permissions
+const adminUser = {
+  email: process.env.ADMIN_EMAIL || 'admin@example.com',
+  password: process.env.ADMIN_PASSWORD || 'password123'
+};
+
+// Store authentication tokens
 let authToken = '';
+let refreshToken = '';
+let adminToken = '';
 
-// Helper function to make authenticated requests
-const authenticatedRequest = (method, url, data = null) => {
+// Helper function to make authenticated requests (as the test user unless given another token)
+const authenticatedRequest = (method, url, data = null, token = authToken) => {
   const config = {
     method,
     url: `${BASE_URL}${url}`,
     headers: {
       'Content-Type': 'application/json',
-      ...(authToken && { 'Authorization': `Bearer ${authToken}` })
+      ...(token && { 'Authorization': `Bearer ${token}` })
     }
   };
 
@@ -46,6 +59,23 @@ const logTest = (testName, success, data = null, error = null) => {
   }
 };
 
+// Helper function to read the token from the latest email sent to an address (outbox transport only)
+const readLatestEmailToken = (email) => {
+  if (!fs.existsSync(OUTBOX_DIR)) {
+    return null;
+  }
+
+  const messages = fs.readdirSync(OUTBOX_DIR)
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(OUTBOX_DIR, file), 'utf8')))
+    .filter(message => message.to === email);
+
+  const latest = messages[messages.length - 1];
+  const match = latest && latest.text.match(/token=([^\s&]+)/);
+
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
 // Test functions
 async function testHealthCheck() {
   try {
@@ -60,6 +90,7 @@ async function testUserRegistration() {
   try {
     const response = await authenticatedRequest('POST', '/api/auth/register', testUser);
     authToken = response.data.token;
+    refreshToken = response.data.refresh_token;
     logTest('User Registration', true, response.data);
   } catch (error) {
     logTest('User Registration', false, null, error);
@@ -73,12 +104,65 @@ async function testUserLogin() {
       password: testUser.password
     });
     authToken = response.data.token;
+    refreshToken = response.data.refresh_token;
     logTest('User Login', true, response.data);
   } catch (error) {
     logTest('User Login', false, null, error);
   }
 }
 
+async function testAdminLogin() {
+  try {
+    const response = await authenticatedRequest('POST', '/api/auth/login', adminUser, null);
+    adminToken = response.data.token;
+    logTest('Admin Login', true, { user: response.data.user });
+  } catch (error) {
+    logTest('Admin Login', false, null, error);
+  }
+}
+
+async function testTokenRefresh() {
+  try {
+    const response = await authenticatedRequest('POST', '/api/auth/refresh', {
+      refresh_token: refreshToken
+    });
+    authToken = response.data.token;
+    refreshToken = response.data.refresh_token;
+    logTest('Token Refresh', true, response.data);
+  } catch (error) {
+    logTest('Token Refresh', false, null, error);
+  }
+}
+
+async function testVerifyEmail() {
+  try {
+    const token = readLatestEmailToken(testUser.email);
+    if (!token) {
+      throw new Error(`No verification email found in ${OUTBOX_DIR}`);
+    }
+    const response = await authenticatedRequest('POST', '/api/auth/verify-email', { token });
+    logTest('Verify Email', true, response.data);
+  } catch (error) {
+    logTest('Verify Email', false, null, error);
+  }
+}
+
+async function testMagicLinkLogin() {
+  try {
+    await authenticatedRequest('POST', '/api/auth/magic-link', { email: testUser.email });
+    const token = readLatestEmailToken(testUser.email);
+    if (!token) {
+      throw new Error(`No login link email found in ${OUTBOX_DIR}`);
+    }
+    const response = await authenticatedRequest('POST', '/api/auth/magic-link/consume', { token });
+    authToken = response.data.token;
+    refreshToken = response.data.refresh_token;
+    logTest('Magic Link Login', true, response.data);
+  } catch (error) {
+    logTest('Magic Link Login', false, null, error);
+  }
+}
+
 async function testGetProfile() {
   try {
     const response = await authenticatedRequest('GET', '/api/users/profile');
@@ -142,12 +226,30 @@ async function testUpdateCartItem(cartItemId) {
   }
 }
 
-async function testCreateOrder() {
+async function testAddAddress() {
   try {
-    const response = await authenticatedRequest('POST', '/api/orders', {
-      shipping_address: '123 Test Street, Test City, TS 12345',
-      billing_address: '123 Test Street, Test City, TS 12345'
+    const response = await authenticatedRequest('POST', '/api/users/profile/addresses', {
+      label: 'Home',
+      full_name: 'Test User',
+      line1: '123 Test Street',
+      city: 'Test City',
+      region: 'TS',
+      postal_code: '12345',
+      country: 'US'
     });
+    logTest('Add Address', true, response.data);
+    return response.data.address;
+  } catch (error) {
+    logTest('Add Address', false, null, error);
+    return null;
+  }
+}
+
+async function testCreateOrder(address) {
+  try {
+    const response = await authenticatedRequest('POST', '/api/orders', address
+      ? { shipping_address_id: address.id }
+      : { shipping_address: '123 Test Street, Test City, TS 12345' });
     logTest('Create Order', true, response.data);
     return response.data.order;
   } catch (error) {
@@ -165,6 +267,92 @@ async function testGetOrders() {
   }
 }
 
+async function testOrderWithUnavailableVariant(address) {
+  let productId = null;
+
+  try {
+    const product = await authenticatedRequest('POST', '/api/products', {
+      name: 'Variant Test Shoe',
+      price: 10,
+      stock_quantity: 0
+    }, adminToken);
+    productId = product.data.product.id;
+    await authenticatedRequest('PUT', `/api/products/${productId}/options`, {
+      options: [{ name: 'Size', values: ['9'] }]
+    }, adminToken);
+    const variant = await authenticatedRequest('POST', `/api/products/${productId}/variants`, {
+      sku: 'TEST-SHOE-9',
+      options: { Size: '9' },
+      stock_quantity: 5
+    }, adminToken);
+
+    await authenticatedRequest('POST', '/api/cart/items', {
+      product_id: productId,
+      variant_id: variant.data.variant.id,
+      quantity: 1
+    });
+    await authenticatedRequest('DELETE', `/api/products/${productId}/variants/${variant.data.variant.id}`, null, adminToken);
+
+    try {
+      await authenticatedRequest('POST', '/api/orders', address
+        ? { shipping_address_id: address.id }
+        : { shipping_address: '123 Test Street, Test City, TS 12345' });
+    } catch (error) {
+      const body = error.response && error.response.data;
+      if (error.response && error.response.status === 400 && body.error === 'Variant unavailable' &&
+          body.message.includes('Variant Test Shoe (TEST-SHOE-9)')) {
+        logTest('Order With Unavailable Variant', true, body);
+        return;
+      }
+      throw error;
+    }
+    throw new Error('Expected the order to be refused');
+  } catch (error) {
+    logTest('Order With Unavailable Variant', false, null, error);
+  } finally {
+    await authenticatedRequest('DELETE', '/api/cart/clear').catch(() => {});
+    if (productId) {
+      await authenticatedRequest('DELETE', `/api/products/${productId}`, null, adminToken).catch(() => {});
+    }
+  }
+}
+
+async function testAccountAnonymization() {
+  let groupId = null;
+
+  try {
+    const registration = await authenticatedRequest('POST', '/api/auth/register', {
+      ...testUser,
+      email: `closed-${Date.now()}@example.com`
+    }, null);
+    const userId = registration.data.user.id;
+
+    const group = await authenticatedRequest('POST', '/api/customer-groups', {
+      name: `closure_test_${Date.now()}`,
+      discount_percent: 5
+    }, adminToken);
+    groupId = group.data.customer_group.id;
+    await authenticatedRequest('PUT', `/api/users/${userId}/customer-group`, { customer_group_id: groupId }, adminToken);
+    await authenticatedRequest('POST', `/api/users/${userId}/disable`, { reason: 'Closure test' }, adminToken);
+
+    await authenticatedRequest('DELETE', `/api/users/${userId}?immediate=true`, null, adminToken);
+    const response = await authenticatedRequest('GET', `/api/users/${userId}`, null, adminToken);
+    const user = response.data.user;
+
+    if (!user.anonymized_at || user.customer_group_id !== null || user.disabled_reason !== null) {
+      throw new Error('Expected the customer group and disable reason to be cleared');
+    }
+
+    logTest('Account Anonymization', true, { user });
+  } catch (error) {
+    logTest('Account Anonymization', false, null, error);
+  } finally {
+    if (groupId) {
+      await authenticatedRequest('DELETE', `/api/customer-groups/${groupId}`, null, adminToken).catch(() => {});
+    }
+  }
+}
+
 async function testProductSearch() {
   try {
     const response = await authenticatedRequest('GET', '/api/products?q=laptop&category=Electronics');
@@ -174,6 +362,36 @@ async function testProductSearch() {
   }
 }
 
+// A partial word ranks products with it in their name above those with it only in their description
+async function testPartialWordSearchRanking() {
+  const created = [];
+
+  try {
+    for (const product of [
+      { name: 'Quillonade Lantern', description: 'A brass lantern', price: 10, stock_quantity: 1 },
+      { name: 'Brass Lantern', description: 'Inspired by the quillonade', price: 10, stock_quantity: 1 }
+    ]) {
+      const response = await authenticatedRequest('POST', '/api/products', product, adminToken);
+      created.push(response.data.product.id);
+    }
+
+    const response = await authenticatedRequest('GET', '/api/products?q=quillo');
+    const results = response.data.products.filter(product => created.includes(product.id));
+
+    if (results.length !== 2 || results[0].id !== created[0] || !(results[0].relevance > results[1].relevance)) {
+      throw new Error('Expected the name match to rank above the description match');
+    }
+
+    logTest('Partial Word Search Ranking', true, results.map(({ id, name, relevance }) => ({ id, name, relevance })));
+  } catch (error) {
+    logTest('Partial Word Search Ranking', false, null, error);
+  } finally {
+    for (const id of created) {
+      await authenticatedRequest('DELETE', `/api/products/${id}`, null, adminToken).catch(() => {});
+    }
+  }
+}
+
 async function testGetCategories() {
   try {
     const response = await authenticatedRequest('GET', '/api/products/categories');
@@ -195,8 +413,12 @@ async function runTests() {
   console.log('\n📝 Authentication Tests');
   console.log('------------------------');
   await testUserRegistration();
+  await testVerifyEmail();
   await testUserLogin();
+  await testMagicLinkLogin();
+  await testTokenRefresh();
   await testGetProfile();
+  await testAdminLogin();
 
   // Product tests
   console.log('\n🛍️ Product Tests');
@@ -206,6 +428,7 @@ async function runTests() {
     await testGetProductById(products[0].id);
   }
   await testProductSearch();
+  await testPartialWordSearchRanking();
   await testGetCategories();
 
   // Cart tests
@@ -222,8 +445,15 @@ async function runTests() {
   // Order tests
   console.log('\n📦 Order Tests');
   console.log('----------------');
-  const order = await testCreateOrder();
+  const address = await testAddAddress();
+  const order = await testCreateOrder(address);
   await testGetOrders();
+  await testOrderWithUnavailableVariant(address);
+
+  // Account tests
+  console.log('\n👤 Account Tests');
+  console.log('-----------------');
+  await testAccountAnonymization();
 
   console.log('\n🎉 Tests completed!');
   console.log('=====================================');
@@ -0,0 +1,160 @@
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+const { generateOpaqueToken } = require('./tokens');
+const { revokeUserSessions } = require('./sessions');
+const { deleteUserDataExports } = require('./dataExports');
+const { sendAccountClosedEmail } = require('./emails');
+require('dotenv').config();
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_PERIOD_DAYS) || 30;
+
+// When a closed account's personal data will be deleted
+const deletionDate = (closedAt) => new Date(new Date(closedAt).getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+// Close an account: log it out everywhere and schedule its personal data for deletion. The user
+// can reactivate it by logging in during the grace period. Returns null if it was already closed.
+const closeAccount = async (userId) => {
+  const result = await db.query(
+    `UPDATE users SET closed_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND closed_at IS NULL AND anonymized_at IS NULL
+     RETURNING id, email, first_name, closed_at`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const user = result.rows[0];
+
+  await revokeUserSessions(userId, 'account_closed');
+  await db.query(
+    'UPDATE user_tokens SET consumed_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND consumed_at IS NULL',
+    [userId]
+  );
+
+  const scheduledAt = deletionDate(user.closed_at);
+  await sendAccountClosedEmail(user, scheduledAt)
+    .catch(error => console.error('Account closed email error:', error));
+
+  return {
+    closed_at: user.closed_at,
+    deletion_scheduled_at: scheduledAt
+  };
+};
+
+// Undo a closure during the grace period
+const reactivateAccount = async (userId) => {
+  const result = await db.query(
+    `UPDATE users SET closed_at = NULL
+     WHERE id = $1 AND closed_at IS NOT NULL AND anonymized_at IS NULL
+     RETURNING id`,
+    [userId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Scrub a user's personal data. The user row stays behind as an anonymous placeholder so their
+// orders and order items remain intact for accounting; everything else about them is deleted.
+const anonymizeAccount = async (userId) => {
+  const placeholderEmail = `deleted-user-${userId}@anonymized.invalid`;
+  const passwordHash = await bcrypt.hash(generateOpaqueToken(), 10);
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT email FROM users WHERE id = $1 AND anonymized_at IS NULL FOR UPDATE',
+      [userId]
+    );
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    const originalEmail = existing.rows[0].email;
+
+    await client.query(
+      `UPDATE users
+       SET email = $2, password_hash = $3, first_name = 'Deleted', last_name = 'User', is_admin = FALSE,
+           email_verified_at = NULL, failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL,
+           totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL,
+           customer_group_id = NULL, disabled_reason = NULL,
+           closed_at = COALESCE(closed_at, CURRENT_TIMESTAMP), anonymized_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [userId, placeholderEmail, passwordHash]
+    );
+
+    // Orders keep their amounts and items; only the country is kept from the addresses
+    await client.query(
+      `UPDATE orders
+       SET shipping_address = 'Address removed', billing_address = 'Address removed',
+           shipping_address_snapshot = CASE WHEN shipping_address_snapshot IS NULL THEN NULL
+             ELSE jsonb_build_object('country', shipping_address_snapshot->'country') END,
+           billing_address_snapshot = CASE WHEN billing_address_snapshot IS NULL THEN NULL
+             ELSE jsonb_build_object('country', billing_address_snapshot->'country') END
+       WHERE user_id = $1`,
+      [userId]
+    );
+
+    for (const table of ['addresses', 'carts', 'user_sessions', 'user_tokens', 'user_recovery_codes',
+      'user_identities', 'user_roles', 'api_keys', 'notifications', 'notification_preferences']) {
+      await client.query(`DELETE FROM ${table} WHERE user_id = $1`, [userId]);
+    }
+
+    await client.query(
+      'DELETE FROM login_attempts WHERE user_id = $1 OR email = $2',
+      [userId, originalEmail]
+    );
+    await client.query(
+      'UPDATE impersonation_sessions SET user_email = $2 WHERE user_id = $1',
+      [userId, placeholderEmail]
+    );
+    await client.query(
+      'UPDATE impersonation_sessions SET admin_email = $2 WHERE admin_id = $1',
+      [userId, placeholderEmail]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await deleteUserDataExports(userId);
+
+  return true;
+};
+
+// Anonymize every account whose grace period has ended. Returns how many were anonymized.
+const anonymizeClosedAccounts = async () => {
+  const result = await db.query(
+    `SELECT id FROM users
+     WHERE closed_at IS NOT NULL AND anonymized_at IS NULL
+       AND closed_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 day'
+     ORDER BY closed_at`,
+    [GRACE_PERIOD_DAYS]
+  );
+
+  let count = 0;
+  for (const row of result.rows) {
+    if (await anonymizeAccount(row.id)) {
+      count++;
+    }
+  }
+
+  return count;
+};
+
+module.exports = {
+  deletionDate,
+  closeAccount,
+  reactivateAccount,
+  anonymizeAccount,
+  anonymizeClosedAccounts
+};
@@ -0,0 +1,171 @@
+const db = require('../config/database');
+
+// Fields a client may set; everything except the default flags is also copied onto orders
+const ADDRESS_FIELDS = ['label', 'full_name', 'line1', 'line2', 'city', 'region', 'postal_code', 'country', 'phone'];
+const SNAPSHOT_FIELDS = ADDRESS_FIELDS.filter(field => field !== 'label');
+
+const ADDRESS_COLUMNS = `id, label, full_name, line1, line2, city, region, postal_code, country, phone,
+  is_default_shipping, is_default_billing, created_at, updated_at`;
+
+// A user's addresses, defaults first
+const listAddresses = async (userId) => {
+  const result = await db.query(
+    `SELECT ${ADDRESS_COLUMNS}
+     FROM addresses
+     WHERE user_id = $1
+     ORDER BY is_default_shipping DESC, is_default_billing DESC, created_at, id`,
+    [userId]
+  );
+
+  return result.rows;
+};
+
+const findAddress = async (userId, id) => {
+  const result = await db.query(
+    `SELECT ${ADDRESS_COLUMNS} FROM addresses WHERE id = $1 AND user_id = $2`,
+    [id, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// The user's default shipping or billing address
+const findDefaultAddress = async (userId, kind) => {
+  const column = kind === 'billing' ? 'is_default_billing' : 'is_default_shipping';
+  const result = await db.query(
+    `SELECT ${ADDRESS_COLUMNS} FROM addresses WHERE user_id = $1 AND ${column}`,
+    [userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Only one address per user can be the default of each kind
+const clearOtherDefaults = async (client, userId, data, exceptId = null) => {
+  for (const column of ['is_default_shipping', 'is_default_billing']) {
+    if (data[column] === true) {
+      await client.query(
+        `UPDATE addresses SET ${column} = FALSE
+         WHERE user_id = $1 AND ${column} AND ($2::integer IS NULL OR id != $2)`,
+        [userId, exceptId]
+      );
+    }
+  }
+};
+
+// Save a new address. A user's first address becomes their default for both shipping and billing.
+const createAddress = async (userId, data) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialise address changes per user so the default flags stay consistent
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    const existing = await client.query('SELECT COUNT(*) FROM addresses WHERE user_id = $1', [userId]);
+    const isFirst = parseInt(existing.rows[0].count) === 0;
+    const flags = {
+      is_default_shipping: isFirst || data.is_default_shipping === true,
+      is_default_billing: isFirst || data.is_default_billing === true
+    };
+
+    await clearOtherDefaults(client, userId, flags);
+
+    const values = ADDRESS_FIELDS.map(field => data[field] ?? null);
+    const result = await client.query(
+      `INSERT INTO addresses (user_id, ${ADDRESS_FIELDS.join(', ')}, is_default_shipping, is_default_billing)
+       VALUES ($1, ${ADDRESS_FIELDS.map((field, i) => `$${i + 2}`).join(', ')}, $${ADDRESS_FIELDS.length + 2}, $${ADDRESS_FIELDS.length + 3})
+       RETURNING ${ADDRESS_COLUMNS}`,
+      [userId, ...values, flags.is_default_shipping, flags.is_default_billing]
+    );
+
+    await client.query('COMMIT');
+
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Update the fields present in data. Returns null if the address doesn't belong to the user.
+const updateAddress = async (userId, id, data) => {
+  const fields = [...ADDRESS_FIELDS, 'is_default_shipping', 'is_default_billing']
+    .filter(field => data[field] !== undefined);
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    const existing = await client.query(
+      'SELECT id FROM addresses WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await clearOtherDefaults(client, userId, data, id);
+
+    const result = await client.query(
+      `UPDATE addresses
+       SET ${fields.map((field, i) => `${field} = $${i + 3}`).join(', ')}
+       WHERE id = $1 AND user_id = $2
+       RETURNING ${ADDRESS_COLUMNS}`,
+      [id, userId, ...fields.map(field => data[field])]
+    );
+
+    await client.query('COMMIT');
+
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Delete an address; orders placed with it keep their own copy
+const deleteAddress = async (userId, id) => {
+  const result = await db.query(
+    'DELETE FROM addresses WHERE id = $1 AND user_id = $2 RETURNING id',
+    [id, userId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// The copy of an address stored on an order, so later edits don't change past orders
+const toSnapshot = (address) => {
+  return Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, address[field] ?? null]));
+};
+
+// One-line form of an address for the orders' text columns
+const formatAddress = (snapshot) => {
+  const locality = [snapshot.city, snapshot.region, snapshot.postal_code].filter(Boolean).join(' ');
+
+  return [snapshot.full_name, snapshot.line1, snapshot.line2, locality, snapshot.country]
+    .filter(Boolean)
+    .join(', ')
+    .substring(0, 500);
+};
+
+module.exports = {
+  listAddresses,
+  findAddress,
+  findDefaultAddress,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+  toSnapshot,
+  formatAddress
+};
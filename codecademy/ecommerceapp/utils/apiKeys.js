@@ -0,0 +1,102 @@
+const db = require('../config/database');
+const { generateOpaqueToken, hashToken } = require('./tokens');
+
+// Keys look like ek_<random>; the prefix is stored so keys can be told apart in listings
+const KEY_PREFIX = 'ek_';
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+const API_KEY_COLUMNS = `k.id, k.user_id, u.email AS owner_email, k.name, k.key_prefix, k.scopes,
+  k.expires_at, k.last_used_at, k.last_used_ip, k.revoked_at, k.created_at`;
+
+// Create a key for a user and return it together with the raw key (shown once)
+const createApiKey = async ({ userId, name, scopes, expiresAt = null }) => {
+  const key = `${KEY_PREFIX}${generateOpaqueToken()}`;
+
+  const result = await db.query(
+    `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [userId, name, key.substring(0, DISPLAY_PREFIX_LENGTH), hashToken(key), scopes, expiresAt]
+  );
+
+  return {
+    key,
+    apiKey: await findApiKey(result.rows[0].id)
+  };
+};
+
+// Look up a key by id (never includes the hash)
+const findApiKey = async (id) => {
+  const result = await db.query(
+    `SELECT ${API_KEY_COLUMNS}
+     FROM api_keys k
+     JOIN users u ON u.id = k.user_id
+     WHERE k.id = $1`,
+    [id]
+  );
+
+  return result.rows[0] || null;
+};
+
+// List keys, newest first, optionally including revoked ones
+const listApiKeys = async ({ includeRevoked = false, limit, offset }) => {
+  const where = includeRevoked ? '' : 'WHERE k.revoked_at IS NULL';
+
+  const result = await db.query(
+    `SELECT ${API_KEY_COLUMNS}
+     FROM api_keys k
+     JOIN users u ON u.id = k.user_id
+     ${where}
+     ORDER BY k.created_at DESC, k.id DESC
+     LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+
+  const countResult = await db.query(`SELECT COUNT(*) FROM api_keys k ${where}`);
+
+  return {
+    apiKeys: result.rows,
+    total: parseInt(countResult.rows[0].count)
+  };
+};
+
+// Find the key a request presented. Returns null when it's unknown, revoked or expired.
+const findActiveApiKey = async (key) => {
+  const result = await db.query(
+    `SELECT id, user_id, name, scopes
+     FROM api_keys
+     WHERE key_hash = $1
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+    [hashToken(key)]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Record when and from where a key was last used
+const touchApiKey = async (id, ip) => {
+  await db.query(
+    'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $1 WHERE id = $2',
+    [ip, id]
+  );
+};
+
+// Revoke a key; returns false when it doesn't exist or was already revoked
+const revokeApiKey = async (id) => {
+  const result = await db.query(
+    'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+    [id]
+  );
+
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  createApiKey,
+  findApiKey,
+  listApiKeys,
+  findActiveApiKey,
+  touchApiKey,
+  revokeApiKey
+};
@@ -0,0 +1,153 @@
+const db = require('../config/database');
+
+// Categories form a tree through parent_id. A product can be in several categories, and a category
+// lists its own products along with those of every category below it.
+
+// A URL-friendly version of a category name, e.g. "Home & Kitchen" => "home-kitchen"
+const slugify = (name) => name
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Pairs of every category (ancestor_id) with itself and each category below it (category_id)
+const CATEGORY_TREE = `category_tree (ancestor_id, category_id) AS (
+    SELECT id, id FROM categories
+    UNION ALL
+    SELECT t.ancestor_id, c.id FROM category_tree t JOIN categories c ON c.parent_id = t.category_id
+  )`;
+
+// Whether the product aliased p is in the category whose ID is in the given placeholder or below it
+const inCategory = (categoryIdParam) => `EXISTS (
+  WITH RECURSIVE subtree AS (
+    SELECT ${categoryIdParam}::INTEGER AS id
+    UNION ALL
+    SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+  )
+  SELECT 1 FROM product_categories pc JOIN subtree s ON s.id = pc.category_id WHERE pc.product_id = p.id
+)`;
+
+// The categories the product aliased p is directly in, as a JSON array
+const PRODUCT_CATEGORIES = `(SELECT COALESCE(json_agg(json_build_object('id', c.id, 'name', c.name, 'slug', c.slug)
+    ORDER BY c.sort_order, c.name), '[]')
+  FROM product_categories pc
+  JOIN categories c ON c.id = pc.category_id
+  WHERE pc.product_id = p.id)`;
+
+// Every category with how many active products it lists, in display order
+const findCategories = async () => {
+  const result = await db.query(
+    `WITH RECURSIVE ${CATEGORY_TREE}
+     SELECT c.id, c.parent_id, c.name, c.slug, c.description, c.sort_order,
+            (SELECT COUNT(DISTINCT pc.product_id)
+             FROM category_tree t
+             JOIN product_categories pc ON pc.category_id = t.category_id
+             JOIN products p ON p.id = pc.product_id AND p.is_active = true
+             WHERE t.ancestor_id = c.id)::INTEGER AS product_count,
+            c.created_at, c.updated_at
+     FROM categories c
+     ORDER BY c.sort_order, c.name, c.id`
+  );
+
+  return result.rows;
+};
+
+// The categories nested under their parents: top-level categories, each with its children
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parent_id);
+    (parent ? parent.children : roots).push(node);
+  }
+
+  return { roots, nodes };
+};
+
+// A category by ID or slug, with the categories above it (top-level first) and its subtree, or null
+const findCategory = async (idOrSlug) => {
+  const { nodes } = buildCategoryTree(await findCategories());
+  const category = /^\d+$/.test(String(idOrSlug))
+    ? nodes.get(parseInt(idOrSlug))
+    : [...nodes.values()].find(node => node.slug === idOrSlug);
+
+  if (!category) {
+    return null;
+  }
+
+  const ancestors = [];
+  for (let parent = nodes.get(category.parent_id); parent; parent = nodes.get(parent.parent_id)) {
+    ancestors.unshift({ id: parent.id, name: parent.name, slug: parent.slug });
+  }
+
+  return { ...category, ancestors };
+};
+
+// The ID of the category with this ID or slug, or null
+const findCategoryId = async (idOrSlug) => {
+  const result = await db.query(
+    'SELECT id FROM categories WHERE id = $1 OR slug = $2',
+    [/^\d+$/.test(idOrSlug) ? parseInt(idOrSlug) : null, idOrSlug.toLowerCase()]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].id : null;
+};
+
+// Whether making parentId the parent of categoryId would put the category below itself
+const wouldCreateCycle = async (categoryId, parentId) => {
+  const result = await db.query(
+    `WITH RECURSIVE ${CATEGORY_TREE}
+     SELECT 1 FROM category_tree WHERE ancestor_id = $1 AND category_id = $2`,
+    [categoryId, parentId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// The given category IDs that don't exist
+const findMissingCategories = async (categoryIds) => {
+  const result = await db.query(
+    'SELECT id FROM categories WHERE id = ANY($1::INTEGER[])',
+    [categoryIds]
+  );
+  const found = new Set(result.rows.map(row => row.id));
+
+  return categoryIds.filter(id => !found.has(id));
+};
+
+// Put a product in exactly these categories
+const setProductCategories = async (productId, categoryIds, client = db) => {
+  await client.query('DELETE FROM product_categories WHERE product_id = $1', [productId]);
+  await client.query(
+    `INSERT INTO product_categories (product_id, category_id)
+     SELECT $1, UNNEST($2::INTEGER[])
+     ON CONFLICT DO NOTHING`,
+    [productId, categoryIds]
+  );
+};
+
+const findProductCategories = async (productId, client = db) => {
+  const result = await client.query(
+    `SELECT ${PRODUCT_CATEGORIES} AS categories FROM products p WHERE p.id = $1`,
+    [productId]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].categories : [];
+};
+
+module.exports = {
+  slugify,
+  CATEGORY_TREE,
+  inCategory,
+  PRODUCT_CATEGORIES,
+  findCategories,
+  buildCategoryTree,
+  findCategory,
+  findCategoryId,
+  wouldCreateCycle,
+  findMissingCategories,
+  setProductCategories,
+  findProductCategories
+};
@@ -0,0 +1,96 @@
+// Format one value as a CSV cell (RFC 4180). Text starting with a formula character is prefixed
+// with a quote so spreadsheet apps show it instead of evaluating it.
+const formatCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+// Build a CSV document with a header row from an array of objects
+const toCsv = (columns, rows) => {
+  const lines = [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => formatCell(row[column])).join(','))
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Parse a CSV document (RFC 4180) into an array of rows, each an array of cell strings.
+// Accepts CRLF or LF line endings and skips blank lines. Throws on an unterminated quote.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  endRow();
+
+  return rows;
+};
+
+module.exports = {
+  formatCell,
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,67 @@
+const db = require('../config/database');
+
+// Customers in a group pay the group's own price for a product when it has one, otherwise the
+// list price less the group's discount. Customers outside any group pay the list price.
+
+// Joins that price the products aliased p for the group whose id is in the given placeholder
+// (which may be NULL)
+const groupPriceJoins = (groupIdParam) => `
+  LEFT JOIN customer_groups cg ON cg.id = ${groupIdParam}
+  LEFT JOIN customer_group_prices cgp ON cgp.customer_group_id = cg.id AND cgp.product_id = p.id`;
+
+// The price the group pays; needs groupPriceJoins in the query
+const GROUP_PRICE = 'COALESCE(cgp.price, ROUND(p.price * (100 - cg.discount_percent) / 100, 2), p.price)';
+
+// The list price of the product's variant aliased v, which may be NULL for the product itself
+const VARIANT_LIST_PRICE = 'COALESCE(v.price, p.price)';
+
+// The price the group pays for the product's variant aliased v (which may be NULL). The group's price
+// for the product only covers variants priced like the product; others get the group's discount.
+const GROUP_VARIANT_PRICE = `CASE WHEN v.price IS NULL THEN ${GROUP_PRICE}
+  ELSE COALESCE(ROUND(v.price * (100 - cg.discount_percent) / 100, 2), v.price) END`;
+
+// Groups with how many customers and product prices they have, all of them when no IDs are given
+const findCustomerGroups = async (ids = null) => {
+  const result = await db.query(
+    `SELECT g.id, g.name, g.description, g.discount_percent,
+            (SELECT COUNT(*) FROM users u WHERE u.customer_group_id = g.id)::INTEGER AS member_count,
+            (SELECT COUNT(*) FROM customer_group_prices gp WHERE gp.customer_group_id = g.id)::INTEGER AS price_count,
+            g.created_at, g.updated_at
+     FROM customer_groups g
+     WHERE $1::INTEGER[] IS NULL OR g.id = ANY($1::INTEGER[])
+     ORDER BY g.name`,
+    [ids]
+  );
+
+  return result.rows.map(group => ({
+    ...group,
+    discount_percent: parseFloat(group.discount_percent)
+  }));
+};
+
+// A group's price list, with the list price of each product for comparison
+const findGroupPrices = async (groupId) => {
+  const result = await db.query(
+    `SELECT gp.product_id, p.name AS product_name, p.price AS list_price, gp.price, gp.updated_at
+     FROM customer_group_prices gp
+     JOIN products p ON p.id = gp.product_id
+     WHERE gp.customer_group_id = $1
+     ORDER BY p.name, gp.product_id`,
+    [groupId]
+  );
+
+  return result.rows.map(row => ({
+    ...row,
+    list_price: parseFloat(row.list_price),
+    price: parseFloat(row.price)
+  }));
+};
+
+module.exports = {
+  groupPriceJoins,
+  GROUP_PRICE,
+  VARIANT_LIST_PRICE,
+  GROUP_VARIANT_PRICE,
+  findCustomerGroups,
+  findGroupPrices
+};
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const db = require('../config/database');
+const { listAddresses } = require('./addresses');
+const { toCsv } = require('./csv');
+const { sendDataExportReadyEmail } = require('./emails');
+require('dotenv').config();
+
+const EXPORT_DIR = process.env.DATA_EXPORT_DIR || path.join(__dirname, '..', 'tmp', 'exports');
+const EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_EXPIRES_IN_HOURS) || 72;
+
+const EXPORT_COLUMNS = 'id, user_id, requested_by, status, error, completed_at, expires_at, created_at, updated_at';
+
+// Where the archive of an export is stored; format is json or zip
+const exportFilePath = (id, format) => path.join(EXPORT_DIR, `${id}.${format}`);
+
+const removeExportFiles = async (id) => {
+  await Promise.all(['json', 'zip'].map(format => fs.promises.rm(exportFilePath(id, format), { force: true })));
+};
+
+// Delete the files of downloads that have expired
+const removeExpiredExports = async () => {
+  const result = await db.query(
+    `UPDATE data_exports SET status = 'expired'
+     WHERE status = 'completed' AND expires_at < CURRENT_TIMESTAMP
+     RETURNING id`
+  );
+
+  await Promise.all(result.rows.map(row => removeExportFiles(row.id)));
+};
+
+// Everything we hold about a user that they can take with them
+const collectUserData = async (userId) => {
+  const userResult = await db.query(
+    `SELECT id, email, first_name, last_name, email_verified_at, totp_enabled_at, created_at, updated_at
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+
+  const cartItems = await db.query(
+    `SELECT ci.product_id, p.name AS product_name, v.sku, ci.quantity, COALESCE(v.price, p.price) AS price,
+            ci.created_at, ci.updated_at
+     FROM carts c
+     JOIN cart_items ci ON ci.cart_id = c.id
+     JOIN products p ON p.id = ci.product_id
+     LEFT JOIN product_variants v ON v.id = ci.variant_id
+     WHERE c.user_id = $1
+     ORDER BY ci.created_at, ci.id`,
+    [userId]
+  );
+
+  const orders = await db.query(
+    `SELECT id, total_amount, status, shipping_address, billing_address,
+            shipping_address_snapshot, billing_address_snapshot, created_at, updated_at
+     FROM orders WHERE user_id = $1
+     ORDER BY created_at, id`,
+    [userId]
+  );
+
+  const orderItems = await db.query(
+    `SELECT oi.order_id, oi.product_id, p.name AS product_name, oi.sku, oi.quantity, oi.price, oi.created_at
+     FROM order_items oi
+     JOIN orders o ON o.id = oi.order_id
+     JOIN products p ON p.id = oi.product_id
+     WHERE o.user_id = $1
+     ORDER BY oi.order_id, oi.id`,
+    [userId]
+  );
+
+  return {
+    user: userResult.rows[0],
+    addresses: await listAddresses(userId),
+    cartItems: cartItems.rows,
+    orders: orders.rows,
+    orderItems: orderItems.rows
+  };
+};
+
+// Write the zipped CSV version: one file per kind of record
+const writeZip = (file, data) => {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(file);
+    const archive = archiver('zip');
+
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.pipe(output);
+
+    archive.append(toCsv(
+      ['id', 'email', 'first_name', 'last_name', 'email_verified_at', 'totp_enabled_at', 'created_at', 'updated_at'],
+      [data.user]
+    ), { name: 'profile.csv' });
+    archive.append(toCsv(
+      ['id', 'label', 'full_name', 'line1', 'line2', 'city', 'region', 'postal_code', 'country', 'phone',
+        'is_default_shipping', 'is_default_billing', 'created_at', 'updated_at'],
+      data.addresses
+    ), { name: 'addresses.csv' });
+    archive.append(toCsv(
+      ['product_id', 'product_name', 'sku', 'quantity', 'price', 'created_at', 'updated_at'],
+      data.cartItems
+    ), { name: 'cart_items.csv' });
+    archive.append(toCsv(
+      ['id', 'total_amount', 'status', 'shipping_address', 'billing_address', 'created_at', 'updated_at'],
+      data.orders
+    ), { name: 'orders.csv' });
+    archive.append(toCsv(
+      ['order_id', 'product_id', 'product_name', 'sku', 'quantity', 'price', 'created_at'],
+      data.orderItems
+    ), { name: 'order_items.csv' });
+
+    archive.finalize();
+  });
+};
+
+// Assemble the archives of a pending export
+const processDataExport = async (id) => {
+  const claimed = await db.query(
+    `UPDATE data_exports SET status = 'processing'
+     WHERE id = $1 AND status = 'pending'
+     RETURNING user_id, requested_by`,
+    [id]
+  );
+
+  if (claimed.rows.length === 0) {
+    return;
+  }
+
+  const { user_id: userId, requested_by: requestedBy } = claimed.rows[0];
+
+  try {
+    const data = await collectUserData(userId);
+
+    const document = {
+      exported_at: new Date().toISOString(),
+      profile: data.user,
+      addresses: data.addresses,
+      cart: { items: data.cartItems },
+      orders: data.orders.map(order => ({
+        ...order,
+        items: data.orderItems.filter(item => item.order_id === order.id)
+      }))
+    };
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    await fs.promises.writeFile(exportFilePath(id, 'json'), JSON.stringify(document, null, 2));
+    await writeZip(exportFilePath(id, 'zip'), data);
+
+    await db.query(
+      `UPDATE data_exports
+       SET status = 'completed', completed_at = CURRENT_TIMESTAMP,
+           expires_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 hour'
+       WHERE id = $1`,
+      [id, EXPORT_TTL_HOURS]
+    );
+  } catch (error) {
+    console.error('Data export error:', error);
+    await removeExportFiles(id);
+    await db.query(
+      `UPDATE data_exports SET status = 'failed', error = 'Failed to assemble the export' WHERE id = $1`,
+      [id]
+    );
+    return;
+  }
+
+  // Exports staff request on a customer's behalf are handed over by the staff member
+  if (requestedBy === userId) {
+    const user = await db.query('SELECT email, first_name FROM users WHERE id = $1', [userId]);
+    if (user.rows.length > 0) {
+      await sendDataExportReadyEmail(user.rows[0], EXPORT_TTL_HOURS)
+        .catch(error => console.error('Data export email error:', error));
+    }
+  }
+};
+
+// Build the export after the response has been sent
+const scheduleDataExport = (id) => {
+  setImmediate(() => {
+    processDataExport(id).catch(error => console.error('Data export error:', error));
+  });
+};
+
+// Start an export of a user's data. A user has at most one export in progress; asking again
+// returns that one.
+const requestDataExport = async (userId, requestedBy) => {
+  await removeExpiredExports();
+
+  const inserted = await db.query(
+    `INSERT INTO data_exports (user_id, requested_by)
+     VALUES ($1, $2)
+     ON CONFLICT (user_id) WHERE status IN ('pending', 'processing') DO NOTHING
+     RETURNING ${EXPORT_COLUMNS}`,
+    [userId, requestedBy]
+  );
+
+  if (inserted.rows.length > 0) {
+    scheduleDataExport(inserted.rows[0].id);
+    return { dataExport: inserted.rows[0], created: true };
+  }
+
+  const existing = await db.query(
+    `SELECT ${EXPORT_COLUMNS} FROM data_exports
+     WHERE user_id = $1 AND status IN ('pending', 'processing')`,
+    [userId]
+  );
+
+  return { dataExport: existing.rows[0], created: false };
+};
+
+// A user's exports, newest first
+const listDataExports = async (userId) => {
+  const result = await db.query(
+    `SELECT ${EXPORT_COLUMNS} FROM data_exports WHERE user_id = $1 ORDER BY created_at DESC, id DESC`,
+    [userId]
+  );
+
+  return result.rows;
+};
+
+const findDataExport = async (userId, id) => {
+  const result = await db.query(
+    `SELECT ${EXPORT_COLUMNS} FROM data_exports WHERE id = $1 AND user_id = $2`,
+    [id, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Delete all of a user's exports and their files
+const deleteUserDataExports = async (userId) => {
+  const result = await db.query(
+    'DELETE FROM data_exports WHERE user_id = $1 RETURNING id',
+    [userId]
+  );
+
+  await Promise.all(result.rows.map(row => removeExportFiles(row.id)));
+};
+
+// Pick up exports that were interrupted by a restart
+const resumeDataExports = async () => {
+  const result = await db.query(
+    `UPDATE data_exports SET status = 'pending'
+     WHERE status IN ('pending', 'processing')
+     RETURNING id`
+  );
+
+  result.rows.forEach(row => scheduleDataExport(row.id));
+};
+
+module.exports = {
+  requestDataExport,
+  listDataExports,
+  findDataExport,
+  exportFilePath,
+  deleteUserDataExports,
+  resumeDataExports
+};
@@ -0,0 +1,185 @@
+const { sendMail } = require('./mailer');
+require('dotenv').config();
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Names, addresses and the like are typed in by users, so escape them in the HTML part of emails
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Send the link a user follows to choose a new password
+const sendPasswordResetEmail = (user, token, ttlMinutes) => {
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.first_name},\n\n` +
+      `We received a request to reset your password. Use the link below to choose a new one:\n\n${link}\n\n` +
+      `This link expires in ${ttlMinutes} minutes and can only be used once. ` +
+      'If you did not request a password reset, you can ignore this email.',
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>` +
+      '<p>We received a request to reset your password. Use the link below to choose a new one:</p>' +
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>` +
+      `<p>This link expires in ${ttlMinutes} minutes and can only be used once. ` +
+      'If you did not request a password reset, you can ignore this email.</p>'
+  });
+};
+
+// Send the link a new user follows to confirm their email address
+const sendVerificationEmail = (user, token, ttlHours) => {
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.first_name},\n\n` +
+      `Please confirm your email address by following the link below:\n\n${link}\n\n` +
+      `This link expires in ${ttlHours} hours. You need a verified email address to place orders.`,
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>` +
+      '<p>Please confirm your email address by following the link below:</p>' +
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>` +
+      `<p>This link expires in ${ttlHours} hours. You need a verified email address to place orders.</p>`
+  });
+};
+
+// Send the link that confirms a new email address; it goes to the new address
+const sendEmailChangeConfirmationEmail = (user, newEmail, token, ttlHours) => {
+  const link = `${APP_URL}/confirm-email-change?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: newEmail,
+    subject: 'Confirm your new email address',
+    text: `Hi ${user.first_name},\n\n` +
+      `Please confirm that you want to use this address for your account by following the link below:\n\n${link}\n\n` +
+      `Your current address stays in use until you do. This link expires in ${ttlHours} hours. ` +
+      'If you did not ask to change your email, you can ignore this email.',
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>` +
+      '<p>Please confirm that you want to use this address for your account by following the link below:</p>' +
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>` +
+      `<p>Your current address stays in use until you do. This link expires in ${ttlHours} hours. ` +
+      'If you did not ask to change your email, you can ignore this email.</p>'
+  });
+};
+
+// Warn the current address that someone asked to move the account to another one
+const sendEmailChangeRequestedEmail = (user, newEmail) => {
+  const link = `${APP_URL}/forgot-password`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your email address is being changed',
+    text: `Hi ${user.first_name},\n\n` +
+      `We received a request to change the email address of your account to ${newEmail}. ` +
+      'Nothing changes until the new address is confirmed.\n\n' +
+      `If this wasn't you, reset your password now to secure your account:\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>` +
+      `<p>We received a request to change the email address of your account to ${escapeHtml(newEmail)}. ` +
+      'Nothing changes until the new address is confirmed.</p>' +
+      "<p>If this wasn't you, reset your password now to secure your account:</p>" +
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>`
+  });
+};
+
+// Invite a user whose account staff created to choose a password
+const sendInviteEmail = (user, token, ttlHours) => {
+  const link = `${APP_URL}/accept-invite?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'You have been invited to create your account',
+    text: `Hi ${user.first_name},\n\n` +
+      `An account has been created for you. Choose your password using the link below to start using it:\n\n${link}\n\n` +
+      `This link expires in ${ttlHours} hours. If it has expired, use "Forgot password" on the login page to get a new one.`,
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>` +
+      '<p>An account has been created for you. Choose your password using the link below to start using it:</p>' +
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>` +
+      `<p>This link expires in ${ttlHours} hours. If it has expired, use "Forgot password" on the login page to get a new one.</p>`
+  });
+};
+
+// Send a one-time link that logs the user in without a password
+const sendMagicLinkEmail = (user, token, ttlMinutes) => {
+  const link = `${APP_URL}/magic-link?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your login link',
+    text: `Hi ${user.first_name},\n\n` +
+      `Use the link below to log in to your account:\n\n${link}\n\n` +
+      `This link expires in ${ttlMinutes} minutes and can only be used once. ` +
+      'If you did not ask to log in, you can ignore this email.',
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>` +
+      '<p>Use the link below to log in to your account:</p>' +
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>` +
+      `<p>This link expires in ${ttlMinutes} minutes and can only be used once. ` +
+      'If you did not ask to log in, you can ignore this email.</p>'
+  });
+};
+
+// Tell a user the copy of their personal data they asked for can be downloaded
+const sendDataExportReadyEmail = (user, ttlHours) => {
+  const link = `${APP_URL}/account/data-exports`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your data export is ready',
+    text: `Hi ${user.first_name},\n\n` +
+      `The copy of your personal data you requested is ready. Log in and download it here:\n\n${link}\n\n` +
+      `The download is available for ${ttlHours} hours. If you did not request this export, please change your password.`,
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>` +
+      '<p>The copy of your personal data you requested is ready. Log in and download it here:</p>' +
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>` +
+      `<p>The download is available for ${ttlHours} hours. If you did not request this export, please change your password.</p>`
+  });
+};
+
+// Confirm an account closure and explain how to undo it before the data is deleted
+const sendAccountClosedEmail = (user, deletionDate) => {
+  const link = `${APP_URL}/login`;
+  const date = deletionDate.toISOString().slice(0, 10);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your account has been closed',
+    text: `Hi ${user.first_name},\n\n` +
+      `Your account has been closed. Your personal details will be permanently deleted on ${date}.\n\n` +
+      `Changed your mind? Log in before then to reactivate your account:\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>` +
+      `<p>Your account has been closed. Your personal details will be permanently deleted on ${date}.</p>` +
+      '<p>Changed your mind? Log in before then to reactivate your account:</p>' +
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>`
+  });
+};
+
+// Email copy of a notification (order updates and the like); the link points at the page it is about
+const sendNotificationEmail = (user, notification) => {
+  const link = `${APP_URL}${notification.link}`;
+
+  return sendMail({
+    to: user.email,
+    subject: notification.title,
+    text: `Hi ${user.first_name},\n\n${notification.body}\n\n${link}\n\n` +
+      'You can choose how we notify you in your account settings.',
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>` +
+      `<p>${escapeHtml(notification.body)}</p>` +
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>` +
+      '<p>You can choose how we notify you in your account settings.</p>'
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangeRequestedEmail,
+  sendInviteEmail,
+  sendMagicLinkEmail,
+  sendDataExportReadyEmail,
+  sendAccountClosedEmail,
+  sendNotificationEmail
+};
@@ -0,0 +1,131 @@
+const db = require('../config/database');
+const { signAccessToken } = require('./jwt');
+
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TOKEN_EXPIRES_IN_MINUTES) || 15;
+
+const IMPERSONATION_COLUMNS = `id, admin_id, admin_email, user_id, user_email, reason, ip_address,
+  expires_at, ended_at, created_at`;
+
+// Start impersonating a user and return a short-lived access token for it. The token names the
+// customer as its user and the staff member in the act (actor) claim; it has no refresh token.
+const startImpersonation = async ({ admin, adminSessionId, user, reason, ip }) => {
+  const result = await db.query(
+    `INSERT INTO impersonation_sessions
+       (admin_id, admin_session_id, user_id, admin_email, user_email, reason, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP + $8 * INTERVAL '1 minute')
+     RETURNING ${IMPERSONATION_COLUMNS}`,
+    [admin.id, adminSessionId, user.id, admin.email, user.email, reason, ip, IMPERSONATION_TTL_MINUTES]
+  );
+
+  const impersonation = result.rows[0];
+  const token = signAccessToken(
+    { userId: user.id, imp: impersonation.id, act: { sub: admin.id } },
+    { expiresIn: IMPERSONATION_TTL_MINUTES * 60 }
+  );
+
+  return {
+    token,
+    expiresIn: IMPERSONATION_TTL_MINUTES * 60,
+    impersonation
+  };
+};
+
+// Find an impersonation that may still be used: not ended or expired, the staff member's own
+// session is still active and they still hold users:impersonate
+const findActiveImpersonation = async (id) => {
+  const result = await db.query(
+    `SELECT i.id, i.admin_id, i.admin_email, i.user_id
+     FROM impersonation_sessions i
+     JOIN user_sessions s ON s.id = i.admin_session_id
+     WHERE i.id = $1
+       AND i.ended_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP
+       AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+       AND EXISTS (
+         SELECT 1 FROM user_roles ur
+         JOIN role_permissions rp ON rp.role_id = ur.role_id
+         JOIN permissions p ON p.id = rp.permission_id
+         WHERE ur.user_id = i.admin_id AND p.name = 'users:impersonate'
+       )`,
+    [id]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Add a request to the audit trail of an impersonation
+const recordImpersonatedRequest = async ({ impersonationId, method, path, statusCode, ip }) => {
+  await db.query(
+    `INSERT INTO impersonation_requests (impersonation_id, method, path, status_code, ip_address)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [impersonationId, method, path.substring(0, 500), statusCode, ip]
+  );
+};
+
+// End an impersonation early; its token stops working immediately
+const endImpersonation = async (id) => {
+  const result = await db.query(
+    'UPDATE impersonation_sessions SET ended_at = CURRENT_TIMESTAMP WHERE id = $1 AND ended_at IS NULL RETURNING id',
+    [id]
+  );
+
+  return result.rows.length > 0;
+};
+
+// List impersonations, newest first, optionally for one staff member or one customer
+const listImpersonations = async ({ adminId = null, userId = null, limit, offset }) => {
+  const where = `WHERE ($1::integer IS NULL OR admin_id = $1) AND ($2::integer IS NULL OR user_id = $2)`;
+
+  const result = await db.query(
+    `SELECT ${IMPERSONATION_COLUMNS},
+            (SELECT COUNT(*)::integer FROM impersonation_requests r WHERE r.impersonation_id = i.id) AS request_count
+     FROM impersonation_sessions i
+     ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $3 OFFSET $4`,
+    [adminId, userId, limit, offset]
+  );
+
+  const countResult = await db.query(
+    `SELECT COUNT(*) FROM impersonation_sessions ${where}`,
+    [adminId, userId]
+  );
+
+  return {
+    impersonations: result.rows,
+    total: parseInt(countResult.rows[0].count)
+  };
+};
+
+// Look up an impersonation with every request made during it
+const findImpersonation = async (id) => {
+  const result = await db.query(
+    `SELECT ${IMPERSONATION_COLUMNS} FROM impersonation_sessions WHERE id = $1`,
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const requests = await db.query(
+    `SELECT method, path, status_code, ip_address, created_at
+     FROM impersonation_requests
+     WHERE impersonation_id = $1
+     ORDER BY created_at, id`,
+    [id]
+  );
+
+  return {
+    ...result.rows[0],
+    requests: requests.rows
+  };
+};
+
+module.exports = {
+  startImpersonation,
+  findActiveImpersonation,
+  recordImpersonatedRequest,
+  endImpersonation,
+  listImpersonations,
+  findImpersonation
+};
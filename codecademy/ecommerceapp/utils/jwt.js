@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+// Signing algorithm for each supported key type
+const algorithmFor = (key) => {
+  if (key.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+
+  if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+
+  return null;
+};
+
+// Read every <kid>.pem in JWT_KEYS_DIR. Private keys can sign and verify; a public key on its
+// own keeps verifying tokens from a retired key until they expire.
+const loadKeys = (dir) => {
+  const keys = new Map();
+
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.pem'))
+    .sort()
+    .forEach((file) => {
+      const kid = path.basename(file, '.pem');
+      const pem = fs.readFileSync(path.join(dir, file), 'utf8');
+      const isPrivate = pem.includes('PRIVATE KEY');
+      const privateKey = isPrivate ? crypto.createPrivateKey(pem) : null;
+      const publicKey = isPrivate ? crypto.createPublicKey(privateKey) : crypto.createPublicKey(pem);
+      const algorithm = algorithmFor(publicKey);
+
+      if (!algorithm) {
+        throw new Error(`JWT key ${file} must be an RSA or P-256 EC key`);
+      }
+
+      keys.set(kid, { kid, algorithm, privateKey, publicKey });
+    });
+
+  return keys;
+};
+
+// Asymmetric keys are used when JWT_KEYS_DIR is set; otherwise tokens are signed with JWT_SECRET (HS256)
+const buildKeyring = () => {
+  if (!process.env.JWT_KEYS_DIR) {
+    return { keys: new Map(), activeKey: null };
+  }
+
+  const keys = loadKeys(process.env.JWT_KEYS_DIR);
+  const signingKeys = [...keys.values()].filter(key => key.privateKey);
+  const activeKid = process.env.JWT_ACTIVE_KID || (signingKeys.length === 1 ? signingKeys[0].kid : null);
+  const activeKey = keys.get(activeKid);
+
+  if (!activeKey || !activeKey.privateKey) {
+    throw new Error('JWT_ACTIVE_KID must name a private key in JWT_KEYS_DIR');
+  }
+
+  return { keys, activeKey };
+};
+
+const { keys, activeKey } = buildKeyring();
+
+// Sign an access token with the active key
+const signAccessToken = (payload, options = {}) => {
+  if (!activeKey) {
+    return jwt.sign(payload, process.env.JWT_SECRET, options);
+  }
+
+  return jwt.sign(payload, activeKey.privateKey, {
+    ...options,
+    algorithm: activeKey.algorithm,
+    keyid: activeKey.kid
+  });
+};
+
+// Verify a token with the key named by its kid header. Tokens without a kid were signed with
+// JWT_SECRET and keep verifying while it is set, so switching to key pairs doesn't log anyone out.
+const verifyAccessToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const kid = decoded && decoded.header.kid;
+
+  if (kid) {
+    const key = keys.get(kid);
+
+    if (!key) {
+      throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+
+    return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+  }
+
+  if (!process.env.JWT_SECRET) {
+    throw new jwt.JsonWebTokenError('invalid signature');
+  }
+
+  return jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+};
+
+// Public keys in JWK Set format so other services can verify our tokens
+const getJwks = () => ({
+  keys: [...keys.values()].map(key => ({
+    ...key.publicKey.export({ format: 'jwk' }),
+    kid: key.kid,
+    use: 'sig',
+    alg: key.algorithm
+  }))
+});
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  getJwks
+};
@@ -0,0 +1,73 @@
+const { issueAuthTokens } = require('./sessions');
+const { createUserToken } = require('./userTokens');
+const { recordLoginAttempt, resetFailedLogins } = require('./loginThrottle');
+const { deletionDate, reactivateAccount } = require('./accountClosure');
+
+const LOGIN_CHALLENGE_TTL_MINUTES = 5;
+
+// Body returned once a login has been completed
+const buildLoginResponse = (user, tokens) => ({
+  message: 'Login successful',
+  ...tokens,
+  user: {
+    id: user.id,
+    email: user.email,
+    first_name: user.first_name,
+    last_name: user.last_name,
+    is_admin: user.is_admin,
+    email_verified: !!user.email_verified_at
+  }
+});
+
+// Body returned when logging in to an account staff have disabled
+const buildAccountDisabledResponse = () => ({
+  error: 'Account disabled',
+  message: 'This account has been disabled, please contact support'
+});
+
+// Body returned when logging in to a closed account without asking to reactivate it
+const buildAccountClosedResponse = (user) => ({
+  error: 'Account closed',
+  message: 'This account has been closed. Log in again with reactivate set to true to reactivate it',
+  deletion_scheduled_at: deletionDate(user.closed_at)
+});
+
+// Finish a login once the first factor (password, identity provider, ...) has been checked.
+// Accounts with two-factor enabled get a challenge to complete at /api/auth/login/2fa;
+// everyone else gets a new session. Failure counters are only reset once the login is complete,
+// and so is the reactivation of a closed account. Returns the response body.
+const completeLogin = async (user, attempt, { successReason = 'success', reactivate = false } = {}) => {
+  if (user.totp_enabled_at) {
+    await recordLoginAttempt({ ...attempt, success: false, reason: 'two_factor_pending' });
+    const challengeToken = await createUserToken(user.id, 'login_challenge', LOGIN_CHALLENGE_TTL_MINUTES, {
+      reactivate: !!(user.closed_at && reactivate)
+    });
+
+    return {
+      message: 'Two-factor authentication required',
+      two_factor_required: true,
+      challenge_token: challengeToken,
+      expires_in: LOGIN_CHALLENGE_TTL_MINUTES * 60
+    };
+  }
+
+  if (user.failed_login_attempts > 0 || user.locked_until) {
+    await resetFailedLogins(user.id);
+  }
+  if (user.closed_at && reactivate) {
+    await reactivateAccount(user.id);
+  }
+  await recordLoginAttempt({ ...attempt, success: true, reason: successReason });
+
+  // Start a session and generate tokens
+  const tokens = await issueAuthTokens(user.id, { ip: attempt.ip, userAgent: attempt.userAgent });
+
+  return buildLoginResponse(user, tokens);
+};
+
+module.exports = {
+  buildLoginResponse,
+  buildAccountClosedResponse,
+  buildAccountDisabledResponse,
+  completeLogin
+};
@@ -0,0 +1,130 @@
+const db = require('../config/database');
+require('dotenv').config();
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const IP_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS) || 20;
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 2;
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 60;
+
+// Seconds a client has to wait after a number of consecutive failures.
+// The first few failures are free, after that the delay doubles each time.
+const progressiveDelaySeconds = (failures) => {
+  if (failures <= FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(Math.pow(2, failures - FREE_ATTEMPTS - 1), MAX_DELAY_SECONDS);
+};
+
+const secondsUntil = (date) => {
+  return Math.max(Math.ceil((new Date(date).getTime() - Date.now()) / 1000), 1);
+};
+
+// Record a login attempt in the history table
+const recordLoginAttempt = async ({ email, userId = null, ip, userAgent, success, reason }) => {
+  await db.query(
+    `INSERT INTO login_attempts (email, user_id, ip_address, user_agent, success, reason)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [email, userId, ip, userAgent ? userAgent.substring(0, 500) : null, success, reason]
+  );
+};
+
+// Check whether an IP address may attempt a login right now.
+// Returns null when allowed, otherwise { reason, retryAfter } with retryAfter in seconds.
+const checkIpThrottle = async (ip) => {
+  const result = await db.query(
+    `SELECT COUNT(*) AS failures, MIN(created_at) AS first_failure_at, MAX(created_at) AS last_failure_at
+     FROM login_attempts
+     WHERE ip_address = $1 AND success = false
+       AND reason IN ('invalid_password', 'unknown_email', 'invalid_2fa_code')
+       AND created_at > CURRENT_TIMESTAMP - $2 * INTERVAL '1 minute'`,
+    [ip, IP_WINDOW_MINUTES]
+  );
+
+  const failures = parseInt(result.rows[0].failures);
+
+  if (failures === 0) {
+    return null;
+  }
+
+  if (failures >= IP_MAX_FAILED_ATTEMPTS) {
+    const windowEnd = new Date(result.rows[0].first_failure_at).getTime() + IP_WINDOW_MINUTES * 60 * 1000;
+    return { reason: 'ip_blocked', retryAfter: secondsUntil(windowEnd) };
+  }
+
+  const delay = progressiveDelaySeconds(failures);
+  const nextAllowedAt = new Date(result.rows[0].last_failure_at).getTime() + delay * 1000;
+
+  if (delay > 0 && nextAllowedAt > Date.now()) {
+    return { reason: 'ip_throttled', retryAfter: secondsUntil(nextAllowedAt) };
+  }
+
+  return null;
+};
+
+// Check whether a login may be attempted for an account right now.
+// Expects a user row with failed_login_attempts, last_failed_login_at and locked_until.
+const checkAccountThrottle = (user) => {
+  if (user.locked_until && new Date(user.locked_until) > new Date()) {
+    return { reason: 'account_locked', retryAfter: secondsUntil(user.locked_until), lockedUntil: user.locked_until };
+  }
+
+  // An expired lock gives the account a clean slate
+  if (user.locked_until || !user.last_failed_login_at) {
+    return null;
+  }
+
+  const delay = progressiveDelaySeconds(user.failed_login_attempts);
+  const nextAllowedAt = new Date(user.last_failed_login_at).getTime() + delay * 1000;
+
+  if (delay > 0 && nextAllowedAt > Date.now()) {
+    return { reason: 'account_throttled', retryAfter: secondsUntil(nextAllowedAt) };
+  }
+
+  return null;
+};
+
+// Count a failed password for an account, locking it once the limit is reached. The count is
+// kept in SQL so that failures sent in parallel all count. Returns the time the account is locked
+// until, or null.
+const registerFailedLogin = async (user) => {
+  // An expired lock gives the account a clean slate; a lock set in the meantime is kept
+  const failures = `CASE WHEN locked_until <= CURRENT_TIMESTAMP THEN 1 ELSE failed_login_attempts + 1 END`;
+
+  const result = await db.query(
+    `UPDATE users
+     SET failed_login_attempts = ${failures},
+         last_failed_login_at = CURRENT_TIMESTAMP,
+         locked_until = CASE
+           WHEN locked_until > CURRENT_TIMESTAMP THEN locked_until
+           WHEN ${failures} >= $2 THEN CURRENT_TIMESTAMP + $3 * INTERVAL '1 minute'
+         END
+     WHERE id = $1
+     RETURNING locked_until`,
+    [user.id, MAX_FAILED_ATTEMPTS, LOCKOUT_MINUTES]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].locked_until : null;
+};
+
+// Clear the failure counter and any lock on an account
+const resetFailedLogins = async (userId) => {
+  const result = await db.query(
+    `UPDATE users
+     SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL
+     WHERE id = $1
+     RETURNING id`,
+    [userId]
+  );
+
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  recordLoginAttempt,
+  checkIpThrottle,
+  checkAccountThrottle,
+  registerFailedLogin,
+  resetFailedLogins
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+const DEFAULT_FROM = process.env.EMAIL_FROM || 'noreply@ecommerce.com';
+
+// Outbox transport: writes every message to a JSON file instead of sending it.
+// Used for local development and tests so no SMTP server is needed.
+const createOutboxTransport = (directory = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'tmp', 'outbox')) => {
+  return {
+    name: 'outbox',
+    directory,
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const file = path.join(directory, `${id}.json`);
+
+      await fs.promises.writeFile(file, JSON.stringify({ id, ...message, sent_at: new Date().toISOString() }, null, 2));
+      return { id, file };
+    }
+  };
+};
+
+// SMTP transport backed by nodemailer, configured through the EMAIL_* variables
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: parseInt(process.env.EMAIL_PORT) === 465,
+    auth: process.env.EMAIL_USER ? {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASSWORD
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+const transportFactories = {
+  outbox: createOutboxTransport,
+  smtp: createSmtpTransport
+};
+
+let transport = null;
+
+// Register an additional transport that can be selected with MAIL_TRANSPORT
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+// Replace the active transport (any object with an async send(message) method)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'outbox';
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+};
+
+// Send an email through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport,
+  registerTransport,
+  createOutboxTransport,
+  createSmtpTransport
+};
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { sendNotificationEmail } = require('./emails');
+const { sendWebhook } = require('./webhooks');
+
+const NOTIFICATION_COLUMNS = 'id, type, title, body, data, read_at, created_at';
+
+const formatAmount = (amount) => `$${parseFloat(amount).toFixed(2)}`;
+
+// Title, text and link of each kind of notification, built from the event's data
+const notificationTemplates = {
+  order_created: ({ order_id, total_amount }) => ({
+    title: `Order #${order_id} received`,
+    body: `Thanks for your order! We have received order #${order_id} for ${formatAmount(total_amount)}.`,
+    link: `/orders/${order_id}`
+  }),
+  order_status_changed: ({ order_id, status, previous_status }) => ({
+    title: `Order #${order_id} is ${status}`,
+    body: `Your order #${order_id} has gone from ${previous_status} to ${status}.`,
+    link: `/orders/${order_id}`
+  }),
+  order_cancelled: ({ order_id, cancelled_by }) => ({
+    title: `Order #${order_id} cancelled`,
+    body: cancelled_by === 'customer'
+      ? `Your order #${order_id} has been cancelled as you asked. You have not been charged for it.`
+      : `We have cancelled your order #${order_id}. Please contact us if you have any questions.`,
+    link: `/orders/${order_id}`
+  })
+};
+
+// Delivery channels. Each has the default for users who haven't chosen, and delivers a
+// notification to a user with the settings they saved for the channel.
+const channels = {};
+
+// Add a channel users can turn on and off in their notification preferences
+const registerChannel = (name, channel) => {
+  channels[name] = channel;
+};
+
+registerChannel('in_app', {
+  enabledByDefault: true,
+  deliver: async (user, notification) => {
+    await db.query(
+      `INSERT INTO notifications (user_id, type, title, body, data)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [user.id, notification.type, notification.title, notification.body, notification.data]
+    );
+  }
+});
+
+registerChannel('email', {
+  enabledByDefault: true,
+  deliver: (user, notification) => sendNotificationEmail(user, notification)
+});
+
+registerChannel('webhook', {
+  enabledByDefault: false,
+  deliver: async (user, notification, settings) => {
+    if (!settings || !settings.url) {
+      return;
+    }
+
+    await sendWebhook({
+      url: settings.url,
+      secret: settings.secret,
+      event: notification.type,
+      payload: {
+        type: notification.type,
+        title: notification.title,
+        body: notification.body,
+        data: notification.data,
+        created_at: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// Secret a user's webhook receiver checks signatures with
+const generateWebhookSecret = () => crypto.randomBytes(32).toString('hex');
+
+// A user's saved choice for every channel, falling back to the channel's default
+const getChannelPreferences = async (userId) => {
+  const result = await db.query(
+    'SELECT channel, enabled, settings FROM notification_preferences WHERE user_id = $1',
+    [userId]
+  );
+
+  return Object.fromEntries(Object.entries(channels).map(([name, channel]) => {
+    const saved = result.rows.find(row => row.channel === name);
+    return [name, saved
+      ? { enabled: saved.enabled, settings: saved.settings }
+      : { enabled: channel.enabledByDefault, settings: null }];
+  }));
+};
+
+// Preferences as shown to the user: whether each channel is on, plus where webhooks go
+const getNotificationPreferences = async (userId) => {
+  const preferences = await getChannelPreferences(userId);
+  const webhook = (preferences.webhook && preferences.webhook.settings) || {};
+
+  return {
+    ...Object.fromEntries(Object.entries(preferences).map(([name, preference]) => [name, preference.enabled])),
+    webhook_url: webhook.url || null,
+    webhook_secret: webhook.secret || null
+  };
+};
+
+// Save the channels given in changes (name => enabled). A new webhook URL gets a new secret;
+// a null URL removes it.
+const updateNotificationPreferences = async (userId, changes, webhookUrl) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const [name, enabled] of Object.entries(changes)) {
+      await client.query(
+        `INSERT INTO notification_preferences (user_id, channel, enabled)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, channel) DO UPDATE SET enabled = EXCLUDED.enabled`,
+        [userId, name, enabled]
+      );
+    }
+
+    if (webhookUrl !== undefined) {
+      const settings = webhookUrl === null ? null : { url: webhookUrl, secret: generateWebhookSecret() };
+
+      await client.query(
+        `INSERT INTO notification_preferences (user_id, channel, enabled, settings)
+         VALUES ($1, 'webhook', $2, $3)
+         ON CONFLICT (user_id, channel) DO UPDATE
+         SET settings = CASE WHEN notification_preferences.settings->>'url' = $4 THEN notification_preferences.settings
+                             ELSE EXCLUDED.settings END`,
+        [userId, channels.webhook.enabledByDefault, settings, webhookUrl]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getNotificationPreferences(userId);
+};
+
+// Deliver a notification through every channel the user has turned on. A channel failing
+// doesn't stop the others.
+const notifyUser = async (userId, type, data) => {
+  const userResult = await db.query(
+    'SELECT id, email, first_name FROM users WHERE id = $1 AND anonymized_at IS NULL',
+    [userId]
+  );
+
+  if (userResult.rows.length === 0) {
+    return;
+  }
+
+  const user = userResult.rows[0];
+  const notification = { type, data, ...notificationTemplates[type](data) };
+  const preferences = await getChannelPreferences(userId);
+
+  for (const [name, preference] of Object.entries(preferences)) {
+    if (preference.enabled) {
+      await channels[name].deliver(user, notification, preference.settings)
+        .catch(error => console.error(`Notification ${name} delivery error:`, error));
+    }
+  }
+};
+
+// Notify a user after the response has been sent
+const emitNotification = (userId, type, data) => {
+  setImmediate(() => {
+    notifyUser(userId, type, data).catch(error => console.error('Notification error:', error));
+  });
+};
+
+// A user's in-app notifications, newest first
+const listNotifications = async (userId, { unreadOnly = false, limit, offset }) => {
+  const filter = unreadOnly ? 'AND read_at IS NULL' : '';
+
+  const countResult = await db.query(
+    `SELECT COUNT(*) AS total, COUNT(*) FILTER (WHERE read_at IS NULL) AS unread
+     FROM notifications WHERE user_id = $1`,
+    [userId]
+  );
+
+  const result = await db.query(
+    `SELECT ${NOTIFICATION_COLUMNS} FROM notifications
+     WHERE user_id = $1 ${filter}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+
+  const counts = countResult.rows[0];
+
+  return {
+    notifications: result.rows,
+    total: parseInt(unreadOnly ? counts.unread : counts.total),
+    unread: parseInt(counts.unread)
+  };
+};
+
+// Mark one notification read; returns null if the user has no such notification
+const markNotificationRead = async (userId, id) => {
+  const result = await db.query(
+    `UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+     WHERE id = $1 AND user_id = $2
+     RETURNING ${NOTIFICATION_COLUMNS}`,
+    [id, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Mark all of a user's notifications read; returns how many were unread
+const markAllNotificationsRead = async (userId) => {
+  const result = await db.query(
+    'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+
+  return result.rowCount;
+};
+
+module.exports = {
+  registerChannel,
+  notifyUser,
+  emitNotification,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
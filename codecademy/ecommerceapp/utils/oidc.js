@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const { Issuer, generators } = require('openid-client');
+const bcrypt = require('bcryptjs');
+const { normalizeEmail } = require('validator');
+const db = require('../config/database');
+const { generateOpaqueToken, hashToken } = require('./tokens');
+require('dotenv').config();
+
+const AUTH_REQUEST_TTL_MINUTES = 10;
+
+// Cookie holding the state of the login the browser started, so a callback URL only completes the
+// login in that browser
+const STATE_COOKIE = 'oidc_state';
+
+// Discovered clients, one per provider
+const clients = new Map();
+
+// Expected login failure; the code is passed back to the frontend
+const oidcError = (code, message) => {
+  const error = new Error(message);
+  error.loginError = code;
+  return error;
+};
+
+const configuredProviderNames = () => {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => /^[a-z0-9_]+$/.test(name));
+};
+
+// Providers are enabled with OIDC_PROVIDERS=google,okta and configured with
+// OIDC_<NAME>_ISSUER_URL, OIDC_<NAME>_CLIENT_ID and OIDC_<NAME>_CLIENT_SECRET
+const getProvider = (name) => {
+  if (!configuredProviderNames().includes(name)) {
+    return null;
+  }
+
+  const prefix = `OIDC_${name.toUpperCase()}_`;
+  const issuerUrl = process.env[`${prefix}ISSUER_URL`];
+  const clientId = process.env[`${prefix}CLIENT_ID`];
+
+  if (!issuerUrl || !clientId) {
+    return null;
+  }
+
+  return {
+    name,
+    displayName: process.env[`${prefix}DISPLAY_NAME`] || name,
+    issuerUrl,
+    clientId,
+    clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+    scope: process.env[`${prefix}SCOPES`] || 'openid email profile'
+  };
+};
+
+const listProviders = () => {
+  return configuredProviderNames().map(getProvider).filter(Boolean);
+};
+
+// The URL providers send users back to; must be registered with the provider
+const getCallbackUrl = (provider) => {
+  const baseUrl = process.env.OIDC_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${baseUrl}/api/auth/oidc/${provider.name}/callback`;
+};
+
+// Discover the provider's endpoints once and reuse the client
+const getClient = (provider) => {
+  if (!clients.has(provider.name)) {
+    const client = Issuer.discover(provider.issuerUrl).then(issuer => new issuer.Client({
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      redirect_uris: [getCallbackUrl(provider)],
+      response_types: ['code'],
+      token_endpoint_auth_method: provider.clientSecret ? 'client_secret_basic' : 'none'
+    }));
+
+    // Try discovery again next time if the provider was unreachable
+    client.catch(() => clients.delete(provider.name));
+    clients.set(provider.name, client);
+  }
+
+  return clients.get(provider.name);
+};
+
+// Options of the state cookie; it is only sent to the provider's callback
+const stateCookieOptions = (provider) => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: getCallbackUrl(provider).startsWith('https:'),
+  path: `/api/auth/oidc/${provider.name}/callback`
+});
+
+const readStateCookie = (req) => {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${STATE_COOKIE}=`));
+
+  return cookie ? decodeURIComponent(cookie.slice(STATE_COOKIE.length + 1)) : null;
+};
+
+// Compare hashes so the comparison takes the same time whatever the values
+const sameState = (a, b) => crypto.timingSafeEqual(Buffer.from(hashToken(a)), Buffer.from(hashToken(b)));
+
+// Start a login: remember state, nonce and PKCE verifier. Returns the provider's URL and the state,
+// which the browser has to keep in the state cookie until the callback.
+const createAuthorizationUrl = async (provider, { loginHint } = {}) => {
+  const client = await getClient(provider);
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  await db.query(
+    'DELETE FROM oidc_auth_requests WHERE expires_at < CURRENT_TIMESTAMP'
+  );
+  await db.query(
+    `INSERT INTO oidc_auth_requests (provider, state_hash, nonce, code_verifier, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + $5 * INTERVAL '1 minute')`,
+    [provider.name, hashToken(state), nonce, codeVerifier, AUTH_REQUEST_TTL_MINUTES]
+  );
+
+  const url = client.authorizationUrl({
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256',
+    ...(loginHint ? { login_hint: loginHint } : {})
+  });
+
+  return { url, state };
+};
+
+// Handle the provider's redirect: check state against the browser's state cookie, redeem the code and
+// validate the ID token. Returns the user's claims.
+const fetchCallbackClaims = async (provider, req) => {
+  const client = await getClient(provider);
+  const params = client.callbackParams(req);
+
+  if (params.error) {
+    throw oidcError('provider_error', params.error_description || params.error);
+  }
+
+  if (!params.state) {
+    throw oidcError('invalid_state', 'Missing state');
+  }
+
+  const cookieState = readStateCookie(req);
+
+  if (!cookieState || !sameState(cookieState, params.state)) {
+    throw oidcError('invalid_state', 'Login was started in another browser');
+  }
+
+  const authRequest = await db.query(
+    `UPDATE oidc_auth_requests
+     SET consumed_at = CURRENT_TIMESTAMP
+     WHERE state_hash = $1 AND provider = $2 AND consumed_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING nonce, code_verifier`,
+    [hashToken(params.state), provider.name]
+  );
+
+  if (authRequest.rows.length === 0) {
+    throw oidcError('invalid_state', 'Login request is unknown or has expired');
+  }
+
+  const { nonce, code_verifier } = authRequest.rows[0];
+  const tokenSet = await client.callback(getCallbackUrl(provider), params, {
+    state: params.state,
+    nonce,
+    code_verifier
+  });
+
+  const claims = tokenSet.claims();
+
+  // Some providers only put the email in the userinfo response
+  if (!claims.email && tokenSet.access_token && client.issuer.userinfo_endpoint) {
+    return { ...(await client.userinfo(tokenSet)), ...claims };
+  }
+
+  return claims;
+};
+
+const USER_COLUMNS = `u.id, u.email, u.first_name, u.last_name, u.is_admin, u.email_verified_at,
+  u.failed_login_attempts, u.last_failed_login_at, u.locked_until, u.totp_enabled_at`;
+
+// Find the user a provider identity belongs to. New identities are linked to the account with
+// the same email when the provider has verified it; otherwise a new account is created.
+const findOrCreateOidcUser = async (providerName, claims) => {
+  const linked = await db.query(
+    `SELECT ${USER_COLUMNS}, i.id AS identity_id
+     FROM user_identities i
+     JOIN users u ON u.id = i.user_id
+     WHERE i.provider = $1 AND i.subject = $2`,
+    [providerName, claims.sub]
+  );
+
+  if (linked.rows.length > 0) {
+    const { identity_id, ...user } = linked.rows[0];
+    await db.query(
+      'UPDATE user_identities SET last_login_at = CURRENT_TIMESTAMP, email = COALESCE($1, email) WHERE id = $2',
+      [claims.email || null, identity_id]
+    );
+    return { user, created: false };
+  }
+
+  if (!claims.email) {
+    throw oidcError('email_missing', 'The provider did not share an email address');
+  }
+
+  if (claims.email_verified !== true && claims.email_verified !== 'true') {
+    throw oidcError('email_not_verified', 'The provider has not verified this email address');
+  }
+
+  const email = normalizeEmail(claims.email) || claims.email.toLowerCase();
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT ${USER_COLUMNS} FROM users u WHERE u.email = $1`,
+      [email]
+    );
+
+    let user = existing.rows[0];
+    const created = !user;
+
+    if (user && !user.email_verified_at) {
+      // Whoever registered this address never proved they own it, so don't hand them the account
+      throw oidcError('account_not_verified', 'An account with this email exists but has not been verified');
+    }
+
+    if (!user) {
+      const nameParts = (claims.name || '').trim().split(/\s+/);
+      const firstName = claims.given_name || nameParts[0] || email.split('@')[0];
+      const lastName = claims.family_name || nameParts.slice(1).join(' ') || '';
+
+      // Accounts created through a provider have no usable password until one is set
+      // with the password reset flow
+      const passwordHash = await bcrypt.hash(generateOpaqueToken(), 10);
+
+      const result = await client.query(
+        `INSERT INTO users (email, password_hash, first_name, last_name, email_verified_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+         RETURNING id, email, first_name, last_name, is_admin, email_verified_at,
+                   failed_login_attempts, last_failed_login_at, locked_until, totp_enabled_at`,
+        [email, passwordHash, firstName.substring(0, 100), lastName.substring(0, 100)]
+      );
+      user = result.rows[0];
+
+      // Create cart for the new user
+      await client.query(
+        'INSERT INTO carts (user_id) VALUES ($1)',
+        [user.id]
+      );
+    }
+
+    await client.query(
+      `INSERT INTO user_identities (user_id, provider, subject, email, last_login_at)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)`,
+      [user.id, providerName, claims.sub, claims.email]
+    );
+
+    await client.query('COMMIT');
+
+    return { user, created };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  AUTH_REQUEST_TTL_MINUTES,
+  STATE_COOKIE,
+  getProvider,
+  listProviders,
+  stateCookieOptions,
+  createAuthorizationUrl,
+  fetchCallbackClaims,
+  findOrCreateOidcUser
+};
@@ -0,0 +1,85 @@
+// Sorting and cursor pagination for lists. A list has a set of sorts, each an SQL expression with
+// its type and default order; rows are always ordered by the sort and then by ID, so every row has a
+// unique position. Cursors carry the position of the last row of a page and the next page starts
+// right after it, which (unlike OFFSET) neither skips nor repeats rows when rows are added or removed
+// in between and stays fast however far into the list it is.
+
+// The sort asked for (validated against sorts), defaulting to the first one
+const listSort = (sorts, query) => {
+  const name = query.sort || Object.keys(sorts)[0];
+  const sort = sorts[name];
+
+  return { ...sort, name, order: query.order || sort.order };
+};
+
+const direction = (sort) => (sort.order === 'asc' ? 'ASC' : 'DESC');
+
+const orderBy = (sort, idColumn) => `${sort.expression} ${direction(sort)}, ${idColumn} ${direction(sort)}`;
+
+// The sort value of a row as exact text, to be selected AS cursor_value for encodeCursor
+const cursorValue = (sort) => `(${sort.expression})::TEXT AS cursor_value`;
+
+// Rows after the cursor's position, with its value and ID in placeholders $index and $index + 1
+const afterCursor = (sort, idColumn, index) =>
+  `(${sort.expression}, ${idColumn}) ${sort.order === 'asc' ? '>' : '<'} ($${index}::${sort.type}, $${index + 1}::INTEGER)`;
+
+// IDs are SERIAL, so they fit an INTEGER
+const MAX_ID = 2147483647;
+
+// Whether a TIMESTAMP as Postgres writes it (e.g. 2024-01-31 09:30:00.123456) is a real date and time
+const isTimestamp = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?$/.exec(value);
+
+  if (!match) {
+    return false;
+  }
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+    date.getUTCHours() === hour && date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+};
+
+// Whether a cursor value can be cast to the type of its sort, so a tampered cursor is refused
+// rather than failing the query
+const CURSOR_VALUE_CHECKS = {
+  TIMESTAMP: isTimestamp,
+  NUMERIC: value => /^-?\d+(\.\d+)?$/.test(value),
+  REAL: value => /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value),
+  BIGINT: value => /^-?\d{1,18}$/.test(value),
+  TEXT: value => !value.includes('\u0000')
+};
+
+const encodeCursor = (sort, row) =>
+  Buffer.from(JSON.stringify([sort.name, sort.order, row.cursor_value, row.id])).toString('base64url');
+
+// The value and ID of a cursor's position, or null if it isn't a cursor of a list with this sort
+const decodeCursor = (cursor, sort) => {
+  try {
+    const [name, order, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (name !== sort.name || order !== sort.order || typeof value !== 'string' ||
+        !Number.isInteger(id) || id < 0 || id > MAX_ID) {
+      return null;
+    }
+
+    const isValid = CURSOR_VALUE_CHECKS[sort.type];
+    if (!isValid || !isValid(value)) {
+      return null;
+    }
+
+    return { value, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  listSort,
+  orderBy,
+  cursorValue,
+  afterCursor,
+  encodeCursor,
+  decodeCursor
+};
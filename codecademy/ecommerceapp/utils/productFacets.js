@@ -0,0 +1,85 @@
+const db = require('../config/database');
+const { groupPriceJoins, GROUP_PRICE } = require('./customerGroups');
+const { PRODUCT_IN_STOCK } = require('./productVariants');
+const { CATEGORY_TREE } = require('./categories');
+
+// Facets count the products matching a listing by category, price range, stock status and the
+// option values of their variants, so a storefront can show filters like "Electronics (12)".
+// Like listing a category, a category's count includes the products of the categories below it.
+
+// Upper bounds of the price ranges; the last range has no upper bound
+const priceFacetBounds = () => (process.env.PRODUCT_PRICE_FACETS || '25,50,100,250,500')
+  .split(',')
+  .map(bound => parseFloat(bound))
+  .filter(bound => bound > 0)
+  .sort((a, b) => a - b);
+
+// Counts for the products aliased p matching conditions, with the same params, joins and
+// placeholders ($1 is the customer group whose prices are shown) as the listing itself
+const findProductFacets = async ({ conditions, params, joins = '' }) => {
+  const bounds = priceFacetBounds();
+
+  const result = await db.query(
+    `WITH RECURSIVE ${CATEGORY_TREE},
+     matches AS (
+       SELECT p.id, ${GROUP_PRICE} AS price, ${PRODUCT_IN_STOCK} AS in_stock
+       FROM products p
+       ${groupPriceJoins('$1')}
+       ${joins}
+       WHERE ${conditions.join(' AND ')}
+     )
+     SELECT
+       (SELECT COALESCE(json_agg(c ORDER BY c.count DESC, c.name, c.id), '[]')
+        FROM (SELECT cat.id, cat.parent_id, cat.name, cat.slug, COUNT(DISTINCT m.id) AS count
+              FROM matches m
+              JOIN product_categories pc ON pc.product_id = m.id
+              JOIN category_tree t ON t.category_id = pc.category_id
+              JOIN categories cat ON cat.id = t.ancestor_id
+              GROUP BY cat.id) c) AS categories,
+       (SELECT COALESCE(json_object_agg(b.bucket, b.count), '{}')
+        FROM (SELECT width_bucket(price, $${params.length + 1}::NUMERIC[]) AS bucket, COUNT(*) AS count
+              FROM matches GROUP BY 1) b) AS price_buckets,
+       (SELECT COUNT(*) FROM matches WHERE in_stock)::INTEGER AS in_stock,
+       (SELECT COUNT(*) FROM matches WHERE NOT in_stock)::INTEGER AS out_of_stock,
+       (SELECT COALESCE(json_agg(a ORDER BY a.name, a.count DESC, a.value), '[]')
+        FROM (SELECT o.key AS name, o.value, COUNT(DISTINCT m.id) AS count
+              FROM matches m
+              JOIN product_variants v ON v.product_id = m.id AND v.is_active
+              CROSS JOIN jsonb_each_text(v.options) o
+              GROUP BY o.key, o.value) a) AS attributes`,
+    [...params, bounds]
+  );
+
+  const facets = result.rows[0];
+
+  // width_bucket numbers the range below the first bound 0 and the one above the last bounds.length
+  const priceRanges = [0, ...bounds].map((min, bucket) => ({
+    min,
+    max: bucket < bounds.length ? bounds[bucket] : null,
+    count: facets.price_buckets[bucket] || 0
+  }));
+
+  const attributes = [];
+  for (const { name, value, count } of facets.attributes) {
+    let attribute = attributes.find(a => a.name === name);
+    if (!attribute) {
+      attribute = { name, values: [] };
+      attributes.push(attribute);
+    }
+    attribute.values.push({ value, count });
+  }
+
+  return {
+    categories: facets.categories,
+    price_ranges: priceRanges,
+    stock: {
+      in_stock: facets.in_stock,
+      out_of_stock: facets.out_of_stock
+    },
+    attributes
+  };
+};
+
+module.exports = {
+  findProductFacets
+};
@@ -0,0 +1,46 @@
+// Product search. Products are found by full-text search of products.search_vector, which the
+// schema keeps up to date, ranked with matches in the name first. When nothing matches, e.g.
+// because of a typo, products whose names have a word similar to the query are found instead.
+
+const MAX_SEARCH_WORDS = 10;
+
+// Matches are wrapped in <mark> tags; descriptions are cut down to the fragments around them
+const NAME_HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+const DESCRIPTION_HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5';
+
+// The words of a search query, lower-cased and without punctuation
+const searchWords = (q) => (q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_SEARCH_WORDS);
+
+// Full-text search for products with every word, as a prefix ("runn" finds "running") or with
+// the same stem ("shoe" finds "shoes"). The words go in placeholder $index.
+const fullTextSearch = (words, index) => ({
+  mode: 'fulltext',
+  param: words,
+  join: `CROSS JOIN product_search_query($${index}::TEXT[]) AS search_query`,
+  condition: 'p.search_vector @@ search_query',
+  rank: 'ts_rank(p.search_vector, search_query)',
+  highlights: `ts_headline('simple', p.name, search_query, '${NAME_HEADLINE_OPTIONS}') AS name_highlight,
+    ts_headline('simple', COALESCE(p.description, ''), search_query, '${DESCRIPTION_HEADLINE_OPTIONS}') AS description_highlight`
+});
+
+// Trigram search for products with a word in their name similar to the query (pg_trgm's
+// word_similarity_threshold, 0.6 by default). The query goes in placeholder $index.
+const fuzzySearch = (q, index) => ({
+  mode: 'fuzzy',
+  param: q,
+  join: '',
+  condition: `$${index} <% p.name`,
+  rank: `word_similarity($${index}, p.name)`,
+  highlights: 'NULL AS name_highlight, NULL AS description_highlight'
+});
+
+// The search to run first for a query; fuzzySearch is the fallback
+const productSearch = (q, index) => {
+  const words = searchWords(q);
+  return words.length > 0 ? fullTextSearch(words, index) : fuzzySearch(q, index);
+};
+
+module.exports = {
+  productSearch,
+  fuzzySearch
+};
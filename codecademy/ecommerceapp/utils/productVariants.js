@@ -0,0 +1,143 @@
+const db = require('../config/database');
+const { groupPriceJoins, GROUP_VARIANT_PRICE, VARIANT_LIST_PRICE } = require('./customerGroups');
+
+// A product comes in the combinations of its options' values (e.g. Size 9 / Color Red), each sold
+// as a variant with its own SKU, stock and optionally its own price and image.
+
+// Whether the product aliased p can be bought: products sold as variants are in stock while any of
+// their variants is
+const PRODUCT_IN_STOCK = `CASE WHEN EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id AND pv.is_active)
+  THEN EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id AND pv.is_active AND pv.stock_quantity > 0)
+  ELSE p.stock_quantity > 0 END`;
+
+// Units of the product aliased p in stock: those of its active variants if it is sold as variants
+const PRODUCT_STOCK = `COALESCE(
+  (SELECT SUM(pv.stock_quantity) FROM product_variants pv WHERE pv.product_id = p.id AND pv.is_active),
+  p.stock_quantity)`;
+
+// A product's options in display order
+const findProductOptions = async (productId, client = db) => {
+  const result = await client.query(
+    `SELECT id, name, option_values, position
+     FROM product_options
+     WHERE product_id = $1
+     ORDER BY position, id`,
+    [productId]
+  );
+
+  return result.rows.map(({ option_values, ...option }) => ({ ...option, values: option_values }));
+};
+
+// Why options (option name => value) don't pick exactly one value of each of the product's options,
+// or null if they do
+const checkVariantOptions = (options, productOptions) => {
+  for (const option of productOptions) {
+    if (options[option.name] === undefined) {
+      return `Options must include ${option.name}`;
+    }
+
+    if (!option.values.includes(options[option.name])) {
+      return `${option.name} must be one of: ${option.values.join(', ')}`;
+    }
+  }
+
+  const unknown = Object.keys(options).find(name => !productOptions.some(option => option.name === name));
+  if (unknown) {
+    return `The product has no ${unknown} option`;
+  }
+
+  return null;
+};
+
+// Replace a product's options. Returns null if there is no such product, or the SKUs of the variants
+// that wouldn't fit the new options (nothing is changed then).
+const replaceProductOptions = async (productId, options) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const product = await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [productId]);
+    if (product.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const variants = await client.query(
+      'SELECT sku, options FROM product_variants WHERE product_id = $1',
+      [productId]
+    );
+    const conflicts = variants.rows.filter(variant => checkVariantOptions(variant.options, options));
+
+    if (conflicts.length > 0) {
+      await client.query('ROLLBACK');
+      return { conflicts: conflicts.map(variant => variant.sku) };
+    }
+
+    await client.query('DELETE FROM product_options WHERE product_id = $1', [productId]);
+
+    for (const [position, option] of options.entries()) {
+      await client.query(
+        `INSERT INTO product_options (product_id, name, option_values, position)
+         VALUES ($1, $2, $3, $4)`,
+        [productId, option.name, option.values, position]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { options: await findProductOptions(productId) };
+};
+
+// A product's variants priced for a customer group (which may be null); active ones only unless asked
+const findVariants = async (productId, groupId, { includeInactive = false, variantId = null } = {}) => {
+  const result = await db.query(
+    `SELECT v.id, v.product_id, v.sku, v.options, ${GROUP_VARIANT_PRICE} AS price,
+            ${VARIANT_LIST_PRICE} AS list_price, v.stock_quantity, v.image_url, v.is_active,
+            v.created_at, v.updated_at
+     FROM product_variants v
+     JOIN products p ON p.id = v.product_id
+     ${groupPriceJoins('$2')}
+     WHERE v.product_id = $1 AND ($3 OR v.is_active) AND ($4::INTEGER IS NULL OR v.id = $4)
+     ORDER BY v.id`,
+    [productId, groupId, includeInactive, variantId]
+  );
+
+  return result.rows.map(variant => ({
+    ...variant,
+    price: parseFloat(variant.price),
+    list_price: parseFloat(variant.list_price)
+  }));
+};
+
+const findVariant = async (productId, variantId, groupId, { includeInactive = false } = {}) => {
+  const [variant] = await findVariants(productId, groupId, { includeInactive, variantId });
+  return variant || null;
+};
+
+// Whether a product is sold as variants, so customers have to choose one
+const hasVariants = async (productId) => {
+  const result = await db.query(
+    'SELECT 1 FROM product_variants WHERE product_id = $1 AND is_active LIMIT 1',
+    [productId]
+  );
+
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  PRODUCT_IN_STOCK,
+  PRODUCT_STOCK,
+  findProductOptions,
+  checkVariantOptions,
+  replaceProductOptions,
+  findVariants,
+  findVariant,
+  hasVariants
+};
@@ -0,0 +1,167 @@
+const db = require('../config/database');
+
+// The built-in role that holds every permission; users with it are flagged is_admin
+const SUPERUSER_ROLE = 'superuser';
+
+// Roles with the names of their permissions. Pass ids to limit the result.
+const findRoles = async (roleIds = null) => {
+  const result = await db.query(
+    `SELECT r.id, r.name, r.description, r.is_system, r.created_at, r.updated_at,
+            ARRAY(SELECT p.name FROM role_permissions rp JOIN permissions p ON p.id = rp.permission_id
+                  WHERE rp.role_id = r.id ORDER BY p.name) AS permissions,
+            (SELECT COUNT(*) FROM user_roles ur WHERE ur.role_id = r.id)::INTEGER AS user_count
+     FROM roles r
+     WHERE $1::INTEGER[] IS NULL OR r.id = ANY($1::INTEGER[])
+     ORDER BY r.name`,
+    [roleIds]
+  );
+
+  return result.rows;
+};
+
+const findRoleByName = async (name) => {
+  const roles = await findRoles();
+  return roles.find(role => role.name === name) || null;
+};
+
+// Roles assigned to a user
+const findUserRoles = async (userId) => {
+  const result = await db.query(
+    `SELECT r.id, r.name, r.description, ur.assigned_by, ur.created_at AS assigned_at
+     FROM user_roles ur
+     JOIN roles r ON r.id = ur.role_id
+     WHERE ur.user_id = $1
+     ORDER BY r.name`,
+    [userId]
+  );
+
+  return result.rows;
+};
+
+// Names of the permissions a user holds through their roles
+const findUserPermissions = async (userId) => {
+  const result = await db.query(
+    `SELECT DISTINCT p.name
+     FROM user_roles ur
+     JOIN role_permissions rp ON rp.role_id = ur.role_id
+     JOIN permissions p ON p.id = rp.permission_id
+     WHERE ur.user_id = $1
+     ORDER BY p.name`,
+    [userId]
+  );
+
+  return result.rows.map(row => row.name);
+};
+
+// Resolve permission names to ids. Returns null if any name is unknown.
+const resolvePermissionIds = async (names) => {
+  const result = await db.query(
+    'SELECT id, name FROM permissions WHERE name = ANY($1::VARCHAR[])',
+    [names]
+  );
+
+  if (result.rows.length !== new Set(names).size) {
+    return null;
+  }
+
+  return result.rows.map(row => row.id);
+};
+
+// Permissions that the acting user would hand out without holding them themselves
+const permissionsNotHeld = (actor, permissions) => {
+  return permissions.filter(permission => !actor.permissions.includes(permission));
+};
+
+// Replace the permissions of a role (inside the caller's transaction)
+const setRolePermissions = async (client, roleId, permissionIds) => {
+  await client.query('DELETE FROM role_permissions WHERE role_id = $1', [roleId]);
+
+  for (const permissionId of permissionIds) {
+    await client.query(
+      'INSERT INTO role_permissions (role_id, permission_id) VALUES ($1, $2)',
+      [roleId, permissionId]
+    );
+  }
+};
+
+// Keep is_admin in step with the superuser role (inside the caller's transaction)
+const syncAdminFlag = async (client, userId) => {
+  await client.query(
+    `UPDATE users
+     SET is_admin = EXISTS (
+       SELECT 1 FROM user_roles ur JOIN roles r ON r.id = ur.role_id
+       WHERE ur.user_id = $1 AND r.name = $2
+     )
+     WHERE id = $1`,
+    [userId, SUPERUSER_ROLE]
+  );
+};
+
+// Replace the roles of a user (inside the caller's transaction)
+const setUserRoles = async (client, userId, roleIds, assignedBy) => {
+  await client.query(
+    'DELETE FROM user_roles WHERE user_id = $1 AND NOT (role_id = ANY($2::INTEGER[]))',
+    [userId, roleIds]
+  );
+
+  for (const roleId of roleIds) {
+    await client.query(
+      `INSERT INTO user_roles (user_id, role_id, assigned_by) VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, role_id) DO NOTHING`,
+      [userId, roleId, assignedBy]
+    );
+  }
+
+  await syncAdminFlag(client, userId);
+};
+
+// Give a user one more role (inside the caller's transaction). Returns false if they already had it.
+const addUserRole = async (client, userId, roleId, assignedBy) => {
+  const result = await client.query(
+    `INSERT INTO user_roles (user_id, role_id, assigned_by) VALUES ($1, $2, $3)
+     ON CONFLICT (user_id, role_id) DO NOTHING
+     RETURNING user_id`,
+    [userId, roleId, assignedBy]
+  );
+
+  await syncAdminFlag(client, userId);
+
+  return result.rows.length > 0;
+};
+
+// Take one role away from a user (inside the caller's transaction). Returns false if they didn't have it.
+const removeUserRole = async (client, userId, roleId) => {
+  const result = await client.query(
+    'DELETE FROM user_roles WHERE user_id = $1 AND role_id = $2 RETURNING user_id',
+    [userId, roleId]
+  );
+
+  await syncAdminFlag(client, userId);
+
+  return result.rows.length > 0;
+};
+
+// Number of users that hold the superuser role
+const countSuperusers = async (client = db) => {
+  const result = await client.query(
+    `SELECT COUNT(*) FROM user_roles ur JOIN roles r ON r.id = ur.role_id WHERE r.name = $1`,
+    [SUPERUSER_ROLE]
+  );
+
+  return parseInt(result.rows[0].count);
+};
+
+module.exports = {
+  SUPERUSER_ROLE,
+  findRoles,
+  findRoleByName,
+  findUserRoles,
+  findUserPermissions,
+  resolvePermissionIds,
+  permissionsNotHeld,
+  setRolePermissions,
+  setUserRoles,
+  addUserRole,
+  removeUserRole,
+  countSuperusers
+};
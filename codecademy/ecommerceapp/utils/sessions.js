@@ -0,0 +1,174 @@
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { generateToken } = require('../middleware/auth');
+const { generateOpaqueToken, hashToken } = require('./tokens');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS) || 30;
+
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Store a new refresh token for a session and return the raw token
+const createRefreshToken = async (sessionId, expiresAt) => {
+  const refreshToken = generateOpaqueToken();
+
+  await db.query(
+    'INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+    [sessionId, hashToken(refreshToken), expiresAt]
+  );
+
+  return refreshToken;
+};
+
+// Build the token pair returned to clients
+const buildTokenResponse = (userId, sessionId, refreshToken) => {
+  const token = generateToken(userId, sessionId);
+  const { iat, exp } = jwt.decode(token);
+
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_in: exp - iat
+  };
+};
+
+// Start a new session (token family) for a user and issue its first token pair.
+// mfaVerified records that the login was completed with a second factor; ip and userAgent
+// describe the device so users can recognise their sessions.
+const issueAuthTokens = async (userId, { mfaVerified = false, ip = null, userAgent = null } = {}) => {
+  const expiresAt = refreshTokenExpiry();
+
+  const sessionResult = await db.query(
+    `INSERT INTO user_sessions (user_id, expires_at, mfa_verified, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [userId, expiresAt, mfaVerified, ip, userAgent ? userAgent.substring(0, 500) : null]
+  );
+
+  const sessionId = sessionResult.rows[0].id;
+  const refreshToken = await createRefreshToken(sessionId, expiresAt);
+
+  return buildTokenResponse(userId, sessionId, refreshToken);
+};
+
+// List a user's sessions, most recently used first. Only active ones unless includeRevoked is set.
+const listSessions = async (userId, { includeRevoked = false } = {}) => {
+  const result = await db.query(
+    `SELECT id, ip_address, user_agent, mfa_verified, created_at, last_seen_at, expires_at,
+            revoked_at, revoked_reason
+     FROM user_sessions
+     WHERE user_id = $1
+       ${includeRevoked ? '' : 'AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP'}
+     ORDER BY last_seen_at DESC NULLS LAST, id DESC`,
+    [userId]
+  );
+
+  return result.rows;
+};
+
+// Revoke a single session; every refresh and access token in it stops working.
+// Pass userId to only revoke the session if it belongs to that user.
+const revokeSession = async (sessionId, reason = 'logout', userId = null) => {
+  const result = await db.query(
+    `UPDATE user_sessions
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL AND ($3::integer IS NULL OR user_id = $3)
+     RETURNING id`,
+    [sessionId, reason, userId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Record that a session has been confirmed with a second factor
+const markSessionMfaVerified = async (sessionId) => {
+  await db.query(
+    'UPDATE user_sessions SET mfa_verified = true WHERE id = $1',
+    [sessionId]
+  );
+};
+
+// Revoke every active session belonging to a user
+const revokeUserSessions = async (userId, reason = 'logout_all') => {
+  const result = await db.query(
+    `UPDATE user_sessions
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL
+     RETURNING id`,
+    [userId, reason]
+  );
+
+  return result.rows.length;
+};
+
+// Exchange a refresh token for a new token pair.
+// Returns null when the token is unknown, expired, revoked or has already been used.
+// Presenting an already-used token means it was copied, so the whole family is revoked.
+const rotateRefreshToken = async (refreshToken, { ip = null } = {}) => {
+  const result = await db.query(
+    `SELECT rt.id, rt.session_id, rt.expires_at, rt.used_at,
+            s.user_id, s.revoked_at
+     FROM refresh_tokens rt
+     JOIN user_sessions s ON rt.session_id = s.id
+     WHERE rt.token_hash = $1`,
+    [hashToken(refreshToken)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const stored = result.rows[0];
+
+  if (stored.revoked_at) {
+    return null;
+  }
+
+  if (stored.used_at) {
+    console.warn(`Refresh token reuse detected, revoking session ${stored.session_id}`);
+    await revokeSession(stored.session_id, 'refresh_token_reuse');
+    return null;
+  }
+
+  if (new Date(stored.expires_at) <= new Date()) {
+    return null;
+  }
+
+  // Mark the token as used; losing this race to a concurrent request counts as reuse
+  const claimResult = await db.query(
+    'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1 AND used_at IS NULL RETURNING id',
+    [stored.id]
+  );
+
+  if (claimResult.rows.length === 0) {
+    console.warn(`Refresh token reuse detected, revoking session ${stored.session_id}`);
+    await revokeSession(stored.session_id, 'refresh_token_reuse');
+    return null;
+  }
+
+  const expiresAt = refreshTokenExpiry();
+
+  await db.query(
+    `UPDATE user_sessions
+     SET expires_at = $1, last_seen_at = CURRENT_TIMESTAMP, ip_address = COALESCE($3, ip_address)
+     WHERE id = $2`,
+    [expiresAt, stored.session_id, ip]
+  );
+
+  const newRefreshToken = await createRefreshToken(stored.session_id, expiresAt);
+
+  return {
+    userId: stored.user_id,
+    ...buildTokenResponse(stored.user_id, stored.session_id, newRefreshToken)
+  };
+};
+
+module.exports = {
+  issueAuthTokens,
+  listSessions,
+  rotateRefreshToken,
+  markSessionMfaVerified,
+  revokeSession,
+  revokeUserSessions
+};
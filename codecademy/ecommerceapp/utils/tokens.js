@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Generate a random, URL-safe token to hand out to clients
+const generateOpaqueToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+// Hash a token before storing it so a database leak doesn't expose usable tokens
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  generateOpaqueToken,
+  hashToken
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) compatible with common authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new random secret (160 bits, base32 encoded)
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// Calculate the code for a given time step
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+};
+
+const currentStep = () => {
+  return Math.floor(Date.now() / 1000 / STEP_SECONDS);
+};
+
+// Check a code against the current time step, allowing for some clock drift.
+// Returns the matching time step, or null. Steps at or before lastUsedStep are
+// rejected so a code can't be replayed.
+const verifyCode = (secret, code, lastUsedStep = null, window = 1) => {
+  const normalized = String(code).replace(/\s/g, '');
+
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const now = currentStep();
+
+  for (let step = now - window; step <= now + window; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// Build the otpauth:// URI that authenticator apps read from a QR code
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  buildOtpauthUri
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { verifyCode } = require('./totp');
+const { hashToken } = require('./tokens');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are stored hashed; normalize so dashes and case don't matter
+const normalizeRecoveryCode = (code) => {
+  return String(code).replace(/[\s-]/g, '').toLowerCase();
+};
+
+// Replace a user's recovery codes with a fresh set and return them in plain text (shown once)
+const generateRecoveryCodes = async (userId) => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+};
+
+// Number of recovery codes a user has left
+const countRecoveryCodes = async (userId) => {
+  const result = await db.query(
+    'SELECT COUNT(*) FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  return parseInt(result.rows[0].count);
+};
+
+// Check an authenticator code for a user with two-factor enabled, recording the
+// time step so the same code can't be used twice
+const verifyTotpForUser = async (userId, code) => {
+  const result = await db.query(
+    'SELECT totp_secret, totp_last_used_step FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL',
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  const { totp_secret, totp_last_used_step } = result.rows[0];
+  const lastUsedStep = totp_last_used_step === null ? null : parseInt(totp_last_used_step);
+  const step = verifyCode(totp_secret, code, lastUsedStep);
+
+  if (step === null) {
+    return false;
+  }
+
+  // Only one of several requests with the same code can move the last used step forward
+  const used = await db.query(
+    `UPDATE users SET totp_last_used_step = $2
+     WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)
+     RETURNING id`,
+    [userId, step]
+  );
+
+  return used.rows.length > 0;
+};
+
+// Use up one of a user's recovery codes
+const consumeRecoveryCode = async (userId, code) => {
+  const result = await db.query(
+    `UPDATE user_recovery_codes
+     SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Verify a second factor given either an authenticator code or a recovery code
+const verifySecondFactor = async (userId, { code, recovery_code }) => {
+  if (code) {
+    return verifyTotpForUser(userId, code);
+  }
+  if (recovery_code) {
+    return consumeRecoveryCode(userId, recovery_code);
+  }
+  return false;
+};
+
+module.exports = {
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  verifySecondFactor
+};
@@ -0,0 +1,149 @@
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+const { generateOpaqueToken } = require('./tokens');
+const { parseCsv } = require('./csv');
+const { createUserToken } = require('./userTokens');
+const { sendInviteEmail } = require('./emails');
+const { validateImportedUser } = require('../middleware/validation');
+require('dotenv').config();
+
+const IMPORT_COLUMNS = ['email', 'first_name', 'last_name'];
+const MAX_IMPORT_ROWS = parseInt(process.env.USER_IMPORT_MAX_ROWS) || 1000;
+const INVITE_TTL_HOURS = parseInt(process.env.USER_INVITE_TOKEN_EXPIRES_IN_HOURS) || 72;
+
+// Turn an uploaded CSV file into one object per row, keyed by the import columns. The header
+// row names the columns (in any order, extra columns are ignored). Returns { error } when the
+// file can't be imported at all.
+const readUserCsv = (text) => {
+  let cells;
+
+  try {
+    cells = parseCsv(text);
+  } catch (error) {
+    return { error: `The file is not valid CSV: ${error.message}` };
+  }
+
+  if (cells.length < 2) {
+    return { error: 'The file has no users to import' };
+  }
+
+  const header = cells[0].map(column => column.trim().toLowerCase());
+  const missing = IMPORT_COLUMNS.filter(column => !header.includes(column));
+
+  if (missing.length > 0) {
+    return { error: `Missing columns: ${missing.join(', ')}` };
+  }
+
+  if (cells.length - 1 > MAX_IMPORT_ROWS) {
+    return { error: `At most ${MAX_IMPORT_ROWS} users can be imported at once` };
+  }
+
+  const rows = cells.slice(1).map(row => Object.fromEntries(
+    IMPORT_COLUMNS.map(column => [column, (row[header.indexOf(column)] || '').trim()])
+  ));
+
+  return { rows };
+};
+
+// Check every row against the registration rules, each other and the existing accounts.
+// Row numbers count the header as row 1, like a spreadsheet.
+const checkRows = async (rows) => {
+  const checked = [];
+  const seen = new Set();
+
+  for (const [index, row] of rows.entries()) {
+    const { user, errors } = await validateImportedUser(row);
+
+    if (errors.length === 0 && seen.has(user.email)) {
+      errors.push('Email appears more than once in the file');
+    }
+    seen.add(user.email);
+
+    checked.push({ row: index + 2, email: errors.length === 0 ? user.email : row.email, user, errors });
+  }
+
+  const emails = checked.filter(result => result.errors.length === 0).map(result => result.email);
+  const existing = await db.query('SELECT email FROM users WHERE email = ANY($1::VARCHAR[])', [emails]);
+  const taken = new Set(existing.rows.map(row => row.email));
+
+  checked
+    .filter(result => result.errors.length === 0 && taken.has(result.email))
+    .forEach(result => result.errors.push('Email already exists'));
+
+  return checked;
+};
+
+// Email a newly imported user the link to choose their password
+const sendInvite = async (user) => {
+  const token = await createUserToken(user.id, 'invite', INVITE_TTL_HOURS * 60);
+  await sendInviteEmail(user, token, INVITE_TTL_HOURS);
+};
+
+// Create an account for every valid row and invite them by email; rows with errors are skipped.
+// With dryRun nothing is created and the report only says which rows would be.
+const importUsers = async (rows, { dryRun = false } = {}) => {
+  const checked = await checkRows(rows);
+  const created = [];
+
+  if (!dryRun && checked.some(result => result.errors.length === 0)) {
+    // Nobody knows this password; imported users choose their own from the invite
+    const passwordHash = await bcrypt.hash(generateOpaqueToken(), 10);
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      for (const result of checked.filter(item => item.errors.length === 0)) {
+        const inserted = await client.query(
+          `INSERT INTO users (email, password_hash, first_name, last_name)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (email) DO NOTHING
+           RETURNING id, email, first_name, last_name`,
+          [result.email, passwordHash, result.user.first_name, result.user.last_name]
+        );
+
+        if (inserted.rows.length === 0) {
+          result.errors.push('Email already exists');
+        } else {
+          result.id = inserted.rows[0].id;
+          created.push(inserted.rows[0]);
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    for (const user of created) {
+      await sendInvite(user).catch(error => console.error('Invite email error:', error));
+    }
+  }
+
+  const valid = checked.filter(result => result.errors.length === 0).length;
+
+  return {
+    dry_run: dryRun,
+    summary: {
+      total: checked.length,
+      [dryRun ? 'valid' : 'created']: valid,
+      invalid: checked.length - valid
+    },
+    rows: checked.map(result => ({
+      row: result.row,
+      email: result.email,
+      status: result.errors.length > 0 ? 'invalid' : (dryRun ? 'valid' : 'created'),
+      ...(result.id && { id: result.id }),
+      errors: result.errors
+    }))
+  };
+};
+
+module.exports = {
+  IMPORT_COLUMNS,
+  readUserCsv,
+  importUsers
+};
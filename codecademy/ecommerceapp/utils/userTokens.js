@@ -0,0 +1,78 @@
+const db = require('../config/database');
+const { generateOpaqueToken, hashToken } = require('./tokens');
+
+// Invalidate all outstanding tokens of a purpose for a user
+const revokeUserTokens = async (userId, purpose) => {
+  await db.query(
+    `UPDATE user_tokens
+     SET consumed_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND purpose = $2 AND consumed_at IS NULL`,
+    [userId, purpose]
+  );
+};
+
+// Issue a single-use token for a user action (e.g. password reset).
+// Any earlier unused token for the same purpose is invalidated.
+const createUserToken = async (userId, purpose, ttlMinutes, data = {}) => {
+  const token = generateOpaqueToken();
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  await revokeUserTokens(userId, purpose);
+
+  await db.query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, data, expires_at)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, purpose, hashToken(token), JSON.stringify(data), expiresAt]
+  );
+
+  return token;
+};
+
+// The owner and data of a token without using it up, e.g. to check the account before a login.
+// Returns null if the token is unknown, expired, already used or issued for another purpose.
+const findUserToken = async (token, purpose) => {
+  const result = await db.query(
+    `SELECT user_id, data FROM user_tokens
+     WHERE token_hash = $1 AND purpose = $2
+       AND consumed_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [hashToken(token), purpose]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    userId: result.rows[0].user_id,
+    data: result.rows[0].data || {}
+  };
+};
+
+// Mark a token as used and return its owner and data.
+// Returns null if the token is unknown, expired, already used or issued for another purpose.
+const consumeUserToken = async (token, purpose) => {
+  const result = await db.query(
+    `UPDATE user_tokens
+     SET consumed_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2
+       AND consumed_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id, data`,
+    [hashToken(token), purpose]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    userId: result.rows[0].user_id,
+    data: result.rows[0].data || {}
+  };
+};
+
+module.exports = {
+  createUserToken,
+  findUserToken,
+  consumeUserToken,
+  revokeUserTokens
+};
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const dns = require('dns');
+const crypto = require('crypto');
+require('dotenv').config();
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+
+// Addresses webhooks are never sent to: private networks, loopback, link-local (including cloud
+// metadata services) and other reserved ranges. IPv4-mapped IPv6 addresses are checked as IPv4.
+const RESERVED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => RESERVED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 23],
+  ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => RESERVED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !RESERVED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// The host of a URL without the brackets around IPv6 addresses
+const urlHost = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+// Why webhooks can't be sent to a URL's host, or null. Names that don't resolve (yet) are left to
+// the check made when sending, which also catches names changed to point elsewhere later.
+const checkWebhookHost = async (url) => {
+  const host = urlHost(url);
+
+  if (net.isIP(host)) {
+    return 'webhook_url must use a host name, not an IP address';
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    return null;
+  }
+
+  if (addresses.some(({ address }) => !isPublicAddress(address))) {
+    return 'webhook_url must point to a public address';
+  }
+
+  return null;
+};
+
+// DNS lookup for http requests that refuses names resolving to reserved addresses, so the address
+// connected to is the one that was checked
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a reserved address`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Outbox transport: writes every webhook to a JSON file instead of sending it.
+// Used for local development and tests so no receiving server is needed.
+const createOutboxTransport = (directory = process.env.WEBHOOK_OUTBOX_DIR || path.join(__dirname, '..', 'tmp', 'webhooks')) => {
+  return {
+    name: 'outbox',
+    directory,
+    send: async (request) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const file = path.join(directory, `${id}.json`);
+
+      await fs.promises.writeFile(file, JSON.stringify({ id, ...request, sent_at: new Date().toISOString() }, null, 2));
+      return { id, file };
+    }
+  };
+};
+
+// HTTP transport: POSTs the webhook and treats any non-2xx response as a failure. Never connects
+// to reserved addresses, whatever the URL's host resolves to when sending.
+const createHttpTransport = () => {
+  return {
+    name: 'http',
+    send: ({ url, headers, body }) => {
+      return new Promise((resolve, reject) => {
+        // Addresses in the URL itself aren't looked up, so check them here
+        const host = urlHost(url);
+        if (net.isIP(host) && !isPublicAddress(host)) {
+          return reject(new Error(`Webhook host ${host} is a reserved address`));
+        }
+
+        const client = url.startsWith('https:') ? https : http;
+        const req = client.request(url, {
+          method: 'POST',
+          headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+          timeout: WEBHOOK_TIMEOUT_MS,
+          lookup: publicLookup
+        }, (res) => {
+          res.resume();
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve({ status: res.statusCode });
+          } else {
+            reject(new Error(`Webhook responded with ${res.statusCode}`));
+          }
+        });
+
+        req.on('timeout', () => req.destroy(new Error('Webhook timed out')));
+        req.on('error', reject);
+        req.end(body);
+      });
+    }
+  };
+};
+
+const transportFactories = {
+  outbox: createOutboxTransport,
+  http: createHttpTransport
+};
+
+let transport = null;
+
+// Register an additional transport that can be selected with WEBHOOK_TRANSPORT
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+// Replace the active transport (any object with an async send(request) method)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.WEBHOOK_TRANSPORT || 'outbox';
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown webhook transport: ${name}`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+};
+
+// Signature receivers use to check a webhook came from us: HMAC-SHA256 of the body with
+// the secret they were given
+const signPayload = (body, secret) => {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+};
+
+// POST a JSON payload to a URL through the active transport
+const sendWebhook = async ({ url, secret, event, payload }) => {
+  const body = JSON.stringify(payload);
+
+  return getTransport().send({
+    url,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ecommerce-api-webhooks',
+      'X-Webhook-Event': event,
+      'X-Webhook-Signature': signPayload(body, secret)
+    },
+    body
+  });
+};
+
+module.exports = {
+  sendWebhook,
+  signPayload,
+  isPublicAddress,
+  checkWebhookHost,
+  setTransport,
+  getTransport,
+  registerTransport,
+  createOutboxTransport,
+  createHttpTransport
+};